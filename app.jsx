@@ -1,30 +1,163 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInWithCustomToken, signInAnonymously, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, collection, onSnapshot, addDoc, updateDoc, deleteDoc, query, where, getDocs } from 'firebase/firestore';
-import { Plus, Send, X, Edit, Trash2, CheckCircle, ChevronLeft, ChevronRight, Upload, FileText, Check, Archive, ArchiveRestore } from 'lucide-react';
+import { getAuth, connectAuthEmulator, signInWithCustomToken, signInWithEmailAndPassword, createUserWithEmailAndPassword, signOut, onAuthStateChanged } from 'firebase/auth';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator, doc, collection, onSnapshot, query, where, getDoc, getDocs, writeBatch, setDoc } from 'firebase/firestore';
+import { Plus, Send, X, Edit, Trash2, CheckCircle, ChevronLeft, ChevronRight, Upload, FileText, Check, Archive, ArchiveRestore, AlertTriangle, Download, Search, History, LogOut, Users, Settings, Route, Printer, MapPin, Contact, Cloud, CloudOff, RefreshCw, Building2 } from 'lucide-react';
+import { AUDITED_FIELDS, HISTORY_SOURCE_LABELS, normalizeText, formatDateKey, getCollectionPath } from './lib/orders.js';
+import {
+  parseImportText, parseImportLine, parseWorkbook, isWorkbookFile, joinDelimitedCells, getImportSourceKey, guessColumnMapping,
+  validateColumnMapping, parseImportRow, getImportRowStatus, isUnchangedImportRow, buildImportPreview, getSyncArchiveProposals,
+  planImportWrites,
+} from './lib/order_import.js';
+import { EXPORT_FORMATS } from './lib/order_export.js';
+import { createOrderWriter, getWriteOrderNumber } from './lib/order_writes.js';
+import { createSyncTracker, findOverwrittenFields } from './lib/sync.js';
+import { FALLBACK_TYPE_EMAIL_COLOR, ORDER_TYPE_COLORS, canRemoveOrderType, countOrdersByType, getActiveOrderTypes, getOrderTypeColor, getOrderTypeId, getOrderTypeLabel, getOrderTypePriority, getOrderTypes, validateOrderTypes } from './lib/order_types.js';
+import { DEFAULT_EMAIL_TEMPLATE, composeOrdersEmail, buildEml, buildMailtoUrl, buildRouteSheetHtml } from './lib/email.js';
+import { UNASSIGNED_CREW, sortCrews, getCrewName, groupOrdersByCrew } from './lib/crews.js';
+import { CUSTOMER_FIELDS, getCustomerKey, sortCustomers, matchCustomer, searchCustomers, getCustomerOrders, getImportCustomerMatches, getDefaultCustomerAction, linkImportCustomers } from './lib/customers.js';
+import { getCapacityLimit, getOverbookedTypes, checkOrderCapacity, getImportOverbooking } from './lib/capacity.js';
+import { ORDER_STATUS_LABELS, ORDER_STATUS_COLORS, STATUS_TRANSITIONS, getOrderStatus, canTransition, transitionOrder, getNewOrderStatus, getOrderList } from './lib/order_status.js';
+import { normalizeLineItems, getOutstandingItems, formatOutstandingItems, getDeliveryType, recordDelivery } from './lib/line_items.js';
+import { parseDateKey, toDeliveryDate, getDeliveryDate, getDeliveryDay, formatDeliveryDate } from './lib/delivery_dates.js';
+import { DEFAULT_WORKSPACE_ID, isDefaultWorkspace, getWorkspacePaths, sortWorkspaces, getWorkspaceName, getWorkspaceId, countOrdersByWorkspaceDay } from './lib/workspaces.js';
+import { hasCoordinates, parseCoordinates, formatCoordinates, optimizeRoute, sortByRouteStop, getDayRoutes, formatDistanceKm } from './lib/routes.js';
 
 // Define global variables for Firebase configuration.
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// Host of the local Firebase emulators (e.g. 'localhost'); ports match firebase.json.
+const emulatorHost = typeof __emulator_host !== 'undefined' ? __emulator_host : null;
 
-// Order colors.
-const ORDER_COLORS = {
-  instalacion: 'bg-blue-500',
-  posdatado: 'bg-yellow-400',
-  completo: 'bg-green-500',
-  parcial: 'bg-lime-400',
-  recogida: 'bg-red-500',
+// Firestore collections shared by every workspace: the workspaces themselves and the accounts.
+// Each account's profile there holds its role in the default workspace; the collections of
+// the current workspace come from getWorkspacePaths.
+const WORKSPACES_PATH = getCollectionPath(appId, 'workspaces');
+const ACCOUNTS_PATH = getCollectionPath(appId, 'users');
+
+// Roles and the actions each one unlocks; firestore.rules enforces the same split.
+// Accounts start as viewers until an admin promotes them.
+const DEFAULT_ROLE = 'viewer';
+const ROLE_LABELS = {
+  viewer: 'Lector',
+  dispatcher: 'Operador',
+  admin: 'Administrador',
+};
+const ROLE_PERMISSIONS = {
+  viewer: [],
+  dispatcher: ['edit', 'import'],
+  admin: ['edit', 'import', 'bulkDelete', 'manageUsers', 'manageSettings'],
+};
+
+// Spanish messages for the sign-in errors users can act on.
+const AUTH_ERROR_MESSAGES = {
+  'auth/invalid-credential': 'Email o contraseña incorrectos.',
+  'auth/invalid-email': 'El email no es válido.',
+  'auth/user-not-found': 'Email o contraseña incorrectos.',
+  'auth/wrong-password': 'Email o contraseña incorrectos.',
+  'auth/email-already-in-use': 'Ya existe una cuenta con ese email.',
+  'auth/weak-password': 'La contraseña debe tener al menos 6 caracteres.',
+};
+
+// Retention periods offered for the recycle bin, in days.
+const TRASH_RETENTION_OPTIONS = [7, 14, 30, 60, 90];
+
+// Team-wide settings used until an admin saves their own.
+const DEFAULT_SETTINGS = {
+  trashRetentionDays: 30,
+  emailTemplate: DEFAULT_EMAIL_TEMPLATE,
+  // Maximum orders per day for each type; types left out have no limit.
+  dailyCapacity: {},
+  // Starting point of the delivery routes: { address, lat, lng }.
+  depot: null,
+};
+
+// Calendar display modes.
+const CALENDAR_MODES = {
+  month: 'Mes',
+  week: 'Semana',
+  agenda: 'Agenda',
+};
+
+// Search filters when nothing is filtered. NO_FILE_FILTER matches orders created without an import file.
+const EMPTY_SEARCH_FILTERS = { type: '', from: '', to: '', file: '', state: 'all' };
+const NO_FILE_FILTER = '__sin_archivo__';
+
+// Drag-and-drop data type carrying the id of the order being rescheduled or assigned.
+const ORDER_DRAG_TYPE = 'application/x-order-id';
+
+// Email crew filter value for orders without a crew.
+const EMAIL_UNASSIGNED = '__sin_cuadrilla__';
+
+// Number of days the agenda can show.
+const AGENDA_DAY_OPTIONS = [7, 14, 30, 60];
+
+// View preferences remembered between sessions.
+const loadPreference = (key, fallback) => {
+  try {
+    const value = localStorage.getItem(key);
+    return value === null ? fallback : JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+const savePreference = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Could not save the preference "${key}":`, error);
+  }
+};
+
+// localStorage key holding the column mapping remembered for each import source.
+const IMPORT_MAPPINGS_KEY = 'importColumnMappings';
+
+// Read an uploaded file into rows of cells. Excel workbooks use their first sheet.
+const readImportFile = async (file) => (
+  isWorkbookFile(file.name) ? parseWorkbook(await file.arrayBuffer()) : parseImportText(await file.text())
+);
+
+// Offer generated content as a file download.
+const downloadFile = (fileName, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// Print a standalone HTML page from a hidden frame, without leaving the app.
+const printHtml = (html) => {
+  const frame = document.createElement('iframe');
+  frame.style.display = 'none';
+  document.body.appendChild(frame);
+  frame.contentDocument.open();
+  frame.contentDocument.write(html);
+  frame.contentDocument.close();
+  frame.contentWindow.focus();
+  frame.contentWindow.print();
+  setTimeout(() => document.body.removeChild(frame), 1000);
 };
 
-// Color priority for calendar days (higher number = higher priority).
-const COLOR_PRIORITY = {
-  recogida: 5,
-  posdatado: 4,
-  instalacion: 3,
-  completo: 2,
-  parcial: 1,
+const loadImportMappings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(IMPORT_MAPPINGS_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const saveImportMapping = (sourceKey, mapping) => {
+  try {
+    localStorage.setItem(IMPORT_MAPPINGS_KEY, JSON.stringify({ ...loadImportMappings(), [sourceKey]: mapping }));
+  } catch (error) {
+    console.warn("Could not save the import column mapping:", error);
+  }
 };
 
 // Reusable modal component.
@@ -47,17 +180,52 @@ const App = () => {
   const [db, setDb] = useState(null);
   const [auth, setAuth] = useState(null);
   const [userId, setUserId] = useState(null);
+  const [userEmail, setUserEmail] = useState(null);
+  // Role of the account in the default workspace, and in the current one when it is another.
+  const [accountRole, setAccountRole] = useState(null);
+  const [memberRole, setMemberRole] = useState(null);
+  const [users, setUsers] = useState([]);
+  // Every account, so managers can add members to the other workspaces.
+  const [accounts, setAccounts] = useState([]);
+  const [crews, setCrews] = useState([]);
+  const [customers, setCustomers] = useState([]);
+  const [isSignUp, setIsSignUp] = useState(false);
   const [loading, setLoading] = useState(true);
   const [isAuthReady, setIsAuthReady] = useState(false);
 
+  // Workspaces (depots) and the one being worked on. `memberWorkspaceIds` lists the other
+  // workspaces the user is a member of; both are null until loaded.
+  const [workspaces, setWorkspaces] = useState(null);
+  const [memberWorkspaceIds, setMemberWorkspaceIds] = useState(null);
+  const [workspaceId, setWorkspaceId] = useState(() => loadPreference('workspaceId', DEFAULT_WORKSPACE_ID));
+  const { orders: ordersPath, orderHistory: orderHistoryPath, settings: settingsDocPath, users: usersPath, crews: crewsPath, customers: customersPath } = getWorkspacePaths(appId, workspaceId);
+  // Orders of every workspace for the managers' overview.
+  const [workspaceOrders, setWorkspaceOrders] = useState({});
+
   const [orders, setOrders] = useState([]);
   const [pendingOrders, setPendingOrders] = useState([]);
   const [archivedOrders, setArchivedOrders] = useState([]);
+  const [deletedOrders, setDeletedOrders] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
   
   // State for view navigation.
   const [view, setView] = useState('calendar');
   const [selectedDate, setSelectedDate] = useState(new Date());
-  const [selectedDayOrders, setSelectedDayOrders] = useState([]);
+  const [calendarMode, setCalendarMode] = useState(() => {
+    const mode = loadPreference('calendarMode', 'month');
+    return CALENDAR_MODES[mode] ? mode : 'month';
+  });
+  const [agendaDays, setAgendaDays] = useState(() => loadPreference('agendaDays', 14));
+
+  // Drag-and-drop rescheduling: the day under the dragged order, the month of the
+  // small calendar next to the lists, and whether orders may be moved into the past.
+  const [dropTargetKey, setDropTargetKey] = useState(null);
+  const [dropMonth, setDropMonth] = useState(() => new Date());
+  const [allowPastDrops, setAllowPastDrops] = useState(() => loadPreference('allowPastDrops', false));
+
+  // Orders ticked in the day plan for bulk crew assignment, and the crew to assign them to.
+  const [selectedOrderIds, setSelectedOrderIds] = useState([]);
+  const [bulkCrewId, setBulkCrewId] = useState('');
   
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [isImportModalOpen, setIsImportModalOpen] = useState(false);
@@ -66,39 +234,114 @@ const App = () => {
   const [importOrderType, setImportOrderType] = useState('');
   const [uploadedFile, setUploadedFile] = useState(null);
   const [currentOrder, setCurrentOrder] = useState(null);
+  // Type and date picked in the order form, to check the day's capacity while editing.
+  const [orderDraft, setOrderDraft] = useState({ type: '', deliveryDate: '' });
+  // Line items being edited in the order form, with quantities as typed.
+  const [lineItemsDraft, setLineItemsDraft] = useState([]);
+  const deliveryDateInputRef = useRef(null);
+  const addressInputRef = useRef(null);
+  // Customer picker of the order form: the typed name and the customer picked from the suggestions.
+  const [customerQuery, setCustomerQuery] = useState('');
+  const [pickedCustomerId, setPickedCustomerId] = useState(null);
+  const [isCustomerListOpen, setIsCustomerListOpen] = useState(false);
+  // Customer page.
+  const [selectedCustomerId, setSelectedCustomerId] = useState(null);
+  const [customerSearch, setCustomerSearch] = useState('');
   const [isEmailModalOpen, setIsEmailModalOpen] = useState(false);
-  const [emailContent, setEmailContent] = useState('');
+  const [emailOrders, setEmailOrders] = useState([]);
+  const [emailTemplate, setEmailTemplate] = useState(DEFAULT_EMAIL_TEMPLATE);
+  const [emailRecipients, setEmailRecipients] = useState(() => loadPreference('emailRecipients', ''));
+  const [emailView, setEmailView] = useState('html');
+  // '' for every crew, EMAIL_UNASSIGNED for orders without a crew, or a crew id.
+  const [emailCrewId, setEmailCrewId] = useState('');
   const [message, setMessage] = useState(null);
 
   // State for bulk delete confirmation modal.
   const [isDeleteAllModalOpen, setIsDeleteAllModalOpen] = useState(false);
 
+  // Orders awaiting confirmation of a permanent purge from the recycle bin.
+  const [purgeTarget, setPurgeTarget] = useState(null);
+
+  // Progress of a running bulk write and the report of the last one.
+  const [writeProgress, setWriteProgress] = useState(null);
+  const [writeReport, setWriteReport] = useState(null);
+  const isPurgingRef = useRef(false);
+
   // State for import preview.
   const [importPreview, setImportPreview] = useState([]);
   const [isImportPreviewModalOpen, setIsImportPreviewModalOpen] = useState(false);
 
+  // State for the column-mapping step of the import.
+  const [importData, setImportData] = useState(null);
+  const [columnMapping, setColumnMapping] = useState(null);
+  const [isColumnMappingModalOpen, setIsColumnMappingModalOpen] = useState(false);
+
+  // Lines rejected by the import, kept so they can be fixed in the preview.
+  const [importRejects, setImportRejects] = useState([]);
+
+  // State for re-imports: rows identical to existing orders and the optional sync mode.
+  const [importUnchangedOrders, setImportUnchangedOrders] = useState([]);
+  const [importSyncMode, setImportSyncMode] = useState(false);
+  const [syncArchiveSkipped, setSyncArchiveSkipped] = useState([]);
+  // What the import does with each customer name ('link', 'create' or 'none'), by customer key.
+  const [importCustomerActions, setImportCustomerActions] = useState({});
+
   // Estado para controlar la vista de pedidos archivados.
   const [showArchived, setShowArchived] = useState(false);
 
+  // State for recording the quantities of a delivery.
+  const [deliveryOrder, setDeliveryOrder] = useState(null);
+  const [deliveryQuantities, setDeliveryQuantities] = useState([]);
+
+  // State for the audit history modal.
+  const [historyOrder, setHistoryOrder] = useState(null);
+  const [historyEntries, setHistoryEntries] = useState(null);
+
+  // Connection state and the writes waiting to reach the server.
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [isFromCache, setIsFromCache] = useState(false);
+  const [unsyncedOrderCount, setUnsyncedOrderCount] = useState(0);
+  const [syncState, setSyncState] = useState({ pending: [], conflicts: [] });
+  const [syncTracker, setSyncTracker] = useState(null);
+  const [isSyncPanelOpen, setIsSyncPanelOpen] = useState(false);
+  const offlineSinceRef = useRef(null);
+
+  // State for the global search.
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchFilters, setSearchFilters] = useState(EMPTY_SEARCH_FILTERS);
+
   // Initialize Firebase.
   useEffect(() => {
     const initFirebase = async () => {
       try {
         const app = initializeApp(firebaseConfig);
-        const firestore = getFirestore(app);
+        // The local cache keeps the lists readable and queues writes while offline, in every tab.
+        const firestore = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
         const authService = getAuth(app);
+        if (emulatorHost) {
+          connectAuthEmulator(authService, `http://${emulatorHost}:9099`);
+          connectFirestoreEmulator(firestore, emulatorHost, 8080);
+        }
         setDb(firestore);
         setAuth(authService);
 
+        // Without a token from the host page the user signs in with email and password.
+        // Offline, the session saved on this device is used instead.
         if (initialAuthToken) {
-          await signInWithCustomToken(authService, initialAuthToken);
-        } else {
-          await signInAnonymously(authService);
+          try {
+            await signInWithCustomToken(authService, initialAuthToken);
+          } catch (error) {
+            if (navigator.onLine) throw error;
+            console.warn("Signing in offline with the saved session:", error);
+          }
         }
 
         onAuthStateChanged(authService, (user) => {
-          if (user) {
-            setUserId(user.uid);
+          setUserId(user ? user.uid : null);
+          setUserEmail(user ? user.email || null : null);
+          if (!user) {
+            setAccountRole(null);
+            setMemberRole(null);
           }
           setIsAuthReady(true);
           setLoading(false);
@@ -114,84 +357,398 @@ const App = () => {
     initFirebase();
   }, []);
 
-  // Listen for changes in the orders collection and separate into pending, confirmed, and archived orders.
+  // Follow the connection and install the service worker that caches the app shell.
+  useEffect(() => {
+    const goOnline = () => setIsOnline(true);
+    const goOffline = () => {
+      offlineSinceRef.current = new Date().toISOString();
+      setIsOnline(false);
+    };
+    globalThis.addEventListener('online', goOnline);
+    globalThis.addEventListener('offline', goOffline);
+
+    if (!document.querySelector('link[rel="manifest"]')) {
+      const link = document.createElement('link');
+      link.rel = 'manifest';
+      link.href = './manifest.webmanifest';
+      document.head.appendChild(link);
+    }
+    if ('serviceWorker' in navigator && globalThis.isSecureContext) {
+      navigator.serviceWorker.register('./sw.js').catch(error => console.warn("Could not register the service worker:", error));
+    }
+
+    return () => {
+      globalThis.removeEventListener('online', goOnline);
+      globalThis.removeEventListener('offline', goOffline);
+    };
+  }, []);
+
+  // Queued order writes are checked against the audit history once they reach the server:
+  // another user's change to the same fields since the connection dropped is a conflict.
+  useEffect(() => {
+    if (!db || !userId) return;
+    const findConflicts = async (entry) => {
+      const since = offlineSinceRef.current && offlineSinceRef.current < entry.queuedAt ? offlineSinceRef.current : entry.queuedAt;
+      const conflicts = [];
+      try {
+        for (const write of entry.writes.filter(w => w.before && w.after)) {
+          const snapshot = await getDocs(query(collection(db, write.historyPath), where('orderId', '==', write.orderRef.id)));
+          const fields = findOverwrittenFields(write, snapshot.docs.map(d => d.data()), { since, userId });
+          if (fields.length > 0) {
+            conflicts.push({
+              id: `${entry.id}-${write.orderRef.id}`,
+              writes: [write],
+              reason: `Otro usuario también cambió ${fields.map(field => AUDITED_FIELDS[field]).join(', ')}; se ha guardado tu cambio.`,
+            });
+          }
+        }
+      } catch (error) {
+        console.error("Error checking synced changes:", error);
+      }
+      return conflicts;
+    };
+    setSyncTracker(createSyncTracker({ isOnline: () => navigator.onLine, onChange: setSyncState, findConflicts }));
+  }, [db, userId]);
+
+  // Listen for changes in the orders collection and separate into calendar, pending and archived orders.
   useEffect(() => {
     if (db && userId && isAuthReady) {
-      const ordersCollectionRef = collection(db, `artifacts/${appId}/public/data/orders`);
+      const ordersCollectionRef = collection(db, ordersPath);
       const q = query(ordersCollectionRef);
 
-      const unsubscribe = onSnapshot(q, (snapshot) => {
-        const ordersData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-
-        // Get the start of the current day for correct comparison (ignoring time).
-        const todayStart = new Date().setHours(0, 0, 0, 0);
+      const unsubscribe = onSnapshot(q, { includeMetadataChanges: true }, (snapshot) => {
+        const allOrders = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        setIsFromCache(Boolean(snapshot.metadata && snapshot.metadata.fromCache));
+        setUnsyncedOrderCount(snapshot.docs.filter(d => d.metadata && d.metadata.hasPendingWrites).length);
 
-        // Filter orders into three groups.
-        const confirmed = ordersData.filter(order =>
-          order.deliveryDate && new Date(order.deliveryDate).setHours(0, 0, 0, 0) >= todayStart
-        );
-        
-        const pending = ordersData.filter(order =>
-          (!order.deliveryDate || new Date(order.deliveryDate).setHours(0, 0, 0, 0) < todayStart) && !order.archived
-        );
+        // Orders in the recycle bin are kept apart from every other list.
+        const ordersData = allOrders.filter(order => !order.deleted);
+        setDeletedOrders(allOrders.filter(order => order.deleted));
 
-        const archived = ordersData.filter(order => order.archived);
+        // The status of each order decides its list: delivered orders never fall back into pending.
+        const today = new Date();
+        const listOf = new Map(ordersData.map(order => [order.id, getOrderList(order, today)]));
 
-        setOrders(confirmed);
-        setPendingOrders(pending);
-        setArchivedOrders(archived);
+        setOrders(ordersData.filter(order => listOf.get(order.id) === 'calendar'));
+        setPendingOrders(ordersData.filter(order => listOf.get(order.id) === 'pending'));
+        setArchivedOrders(ordersData.filter(order => listOf.get(order.id) === 'archived'));
       }, (error) => {
         console.error("Error getting orders:", error);
         setMessage({ type: 'error', text: 'Error al obtener los datos de pedidos.' });
       });
 
+      return () => unsubscribe();
+    }
+  }, [db, userId, isAuthReady, ordersPath]);
+
+  // Listen for the signed-in user's profile, creating it with the default role on first sign-in.
+  useEffect(() => {
+    if (db && userId && isAuthReady) {
+      const profileRef = doc(db, ACCOUNTS_PATH, userId);
+      const unsubscribe = onSnapshot(profileRef, (snapshot) => {
+        if (snapshot.exists()) {
+          setAccountRole(ROLE_PERMISSIONS[snapshot.data().role] ? snapshot.data().role : DEFAULT_ROLE);
+          return;
+        }
+        setAccountRole(DEFAULT_ROLE);
+        setDoc(profileRef, { email: userEmail, role: DEFAULT_ROLE, createdAt: new Date().toISOString() })
+          .catch(error => console.error("Error creating user profile:", error));
+      }, (error) => {
+        console.error("Error getting user profile:", error);
+        setAccountRole(DEFAULT_ROLE);
+      });
+
+      return () => unsubscribe();
+    }
+  }, [db, userId, userEmail, isAuthReady]);
+
+  // Listen for the user's member profile in the current workspace when it is not the default one.
+  useEffect(() => {
+    if (db && userId && isAuthReady && !isDefaultWorkspace(workspaceId)) {
+      const unsubscribe = onSnapshot(doc(db, usersPath, userId), (snapshot) => {
+        setMemberRole(snapshot.exists() && ROLE_PERMISSIONS[snapshot.data().role] ? snapshot.data().role : null);
+      }, (error) => {
+        console.error("Error getting workspace member profile:", error);
+        setMemberRole(null);
+      });
+
+      return () => unsubscribe();
+    }
+  }, [db, userId, isAuthReady, workspaceId, usersPath]);
+
+  // Admins of the default workspace manage every workspace; elsewhere the member profile decides.
+  const isManager = accountRole === 'admin';
+  const role = isDefaultWorkspace(workspaceId) || isManager ? accountRole : memberRole;
+  const can = (permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+  // Admins see every account (or member of the current workspace) so they can change roles.
+  useEffect(() => {
+    if (db && userId && role === 'admin') {
+      const unsubscribe = onSnapshot(collection(db, usersPath), (snapshot) => {
+        setUsers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      }, (error) => {
+        console.error("Error getting users:", error);
+        setMessage({ type: 'error', text: 'Error al obtener la lista de usuarios.' });
+      });
+
+      return () => unsubscribe();
+    }
+  }, [db, userId, role, usersPath]);
+
+  // Managers pick new workspace members from every account.
+  useEffect(() => {
+    if (db && userId && isManager) {
+      const unsubscribe = onSnapshot(collection(db, ACCOUNTS_PATH), (snapshot) => {
+        setAccounts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      }, (error) => {
+        console.error("Error getting accounts:", error);
+      });
+
+      return () => unsubscribe();
+    }
+  }, [db, userId, isManager]);
+
+  // Listen for the workspaces.
+  useEffect(() => {
+    if (db && userId && isAuthReady) {
+      const unsubscribe = onSnapshot(collection(db, WORKSPACES_PATH), (snapshot) => {
+        setWorkspaces(sortWorkspaces(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+      }, (error) => {
+        console.error("Error getting workspaces:", error);
+        setWorkspaces(sortWorkspaces([]));
+      });
+
       return () => unsubscribe();
     }
   }, [db, userId, isAuthReady]);
 
+  // Find the other workspaces the user is a member of; managers have access to all of them.
+  useEffect(() => {
+    if (!db || !userId || !workspaces || accountRole === null) return;
+    const others = workspaces.filter(w => !isDefaultWorkspace(w.id));
+    if (isManager) {
+      setMemberWorkspaceIds(others.map(w => w.id));
+      return;
+    }
+    let isCurrent = true;
+    Promise.all(others.map(w => getDoc(doc(db, getWorkspacePaths(appId, w.id).users, userId))
+      .then(snapshot => (snapshot.exists() ? w.id : null))
+      .catch(() => null)))
+      .then(ids => {
+        if (isCurrent) setMemberWorkspaceIds(ids.filter(Boolean));
+      });
+    return () => { isCurrent = false; };
+  }, [db, userId, workspaces, accountRole, isManager]);
+
+  const accessibleWorkspaces = (workspaces || sortWorkspaces([]))
+    .filter(w => isDefaultWorkspace(w.id) || (memberWorkspaceIds || []).includes(w.id));
+
+  // Work on another workspace. The lists of the previous one are cleared in the same render,
+  // so nothing of theirs is written to the new workspace's collections.
+  const switchWorkspace = (id) => {
+    if (id !== workspaceId) {
+      setOrders([]);
+      setPendingOrders([]);
+      setArchivedOrders([]);
+      setDeletedOrders([]);
+      setUsers([]);
+      setCrews([]);
+      setCustomers([]);
+      setSettings(DEFAULT_SETTINGS);
+      setMemberRole(null);
+      setSelectedOrderIds([]);
+      setSelectedCustomerId(null);
+      setWorkspaceId(id);
+      savePreference('workspaceId', id);
+    }
+    setView('calendar');
+  };
+
+  // Go back to the default workspace when the saved one is no longer accessible.
+  useEffect(() => {
+    if (workspaces && memberWorkspaceIds && !accessibleWorkspaces.some(w => w.id === workspaceId)) {
+      switchWorkspace(DEFAULT_WORKSPACE_ID);
+    }
+  }, [workspaces, memberWorkspaceIds, workspaceId]);
+
+  // Managers' overview: orders of every workspace while it is open.
+  useEffect(() => {
+    if (!db || !isManager || view !== 'workspaces' || !workspaces) return;
+    const unsubscribes = workspaces.map(w => onSnapshot(collection(db, getWorkspacePaths(appId, w.id).orders), (snapshot) => {
+      setWorkspaceOrders(current => ({ ...current, [w.id]: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })) }));
+    }, (error) => {
+      console.error("Error getting workspace orders:", error);
+    }));
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [db, isManager, view, workspaces]);
+
+  // Listen for the crews orders are assigned to.
+  useEffect(() => {
+    if (db && userId && isAuthReady) {
+      const unsubscribe = onSnapshot(collection(db, crewsPath), (snapshot) => {
+        setCrews(sortCrews(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+      }, (error) => {
+        console.error("Error getting crews:", error);
+      });
+
+      return () => unsubscribe();
+    }
+  }, [db, userId, isAuthReady, crewsPath]);
+
+  // Listen for the customer records.
+  useEffect(() => {
+    if (db && userId && isAuthReady) {
+      const unsubscribe = onSnapshot(collection(db, customersPath), (snapshot) => {
+        setCustomers(sortCustomers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+      }, (error) => {
+        console.error("Error getting customers:", error);
+      });
+
+      return () => unsubscribe();
+    }
+  }, [db, userId, isAuthReady, customersPath]);
+
+  // Listen for the shared settings document.
+  useEffect(() => {
+    if (db && userId && isAuthReady) {
+      const unsubscribe = onSnapshot(doc(db, settingsDocPath), (snapshot) => {
+        setSettings({ ...DEFAULT_SETTINGS, ...(snapshot.exists() ? snapshot.data() : {}) });
+      }, (error) => {
+        console.error("Error getting settings:", error);
+      });
+
+      return () => unsubscribe();
+    }
+  }, [db, userId, isAuthReady, settingsDocPath]);
+
+  // Order types of this workspace; retired ones only label the orders that still use them.
+  const orderTypes = getOrderTypes(settings.orderTypes);
+  const activeOrderTypes = getActiveOrderTypes(orderTypes);
+  const defaultOrderType = activeOrderTypes.length > 0 ? activeOrderTypes[0].id : '';
+
+  // Purge orders that have been in the recycle bin longer than the retention period.
+  // Only admins may delete permanently, so only their sessions run the purge.
+  useEffect(() => {
+    if (!db || role !== 'admin' || deletedOrders.length === 0) return;
+    const cutoff = Date.now() - settings.trashRetentionDays * 24 * 60 * 60 * 1000;
+    const expired = deletedOrders.filter(order => order.deletedAt && new Date(order.deletedAt).getTime() < cutoff);
+    if (expired.length === 0) return;
+
+    // Snapshots keep arriving while the chunks commit, so only one purge runs at a time.
+    if (isPurgingRef.current) return;
+    isPurgingRef.current = true;
+    runOrderWrites(expired.map(order => ({ orderRef: doc(db, ordersPath, order.id), before: order, after: null, source: 'purge' })))
+      .finally(() => { isPurgingRef.current = false; });
+  }, [db, role, deletedOrders, settings.trashRetentionDays, ordersPath]);
+
   const openOrderModal = useCallback((order = null) => {
     setCurrentOrder(order);
+    setOrderDraft({ type: order?.type || defaultOrderType, deliveryDate: getDeliveryDate(order) || '' });
+    setLineItemsDraft(normalizeLineItems(order?.lineItems).map(item => ({ reference: item.reference, quantity: String(item.quantity), delivered: String(item.delivered) })));
+    setCustomerQuery(order?.customerName || '');
+    setPickedCustomerId(order?.customerId || null);
+    setIsCustomerListOpen(false);
     setIsModalOpen(true);
-  }, []);
+  }, [defaultOrderType]);
 
   const closeModals = useCallback(() => {
     setIsModalOpen(false);
     setIsImportModalOpen(false);
     setIsEmailModalOpen(false);
     setIsDeleteAllModalOpen(false);
+    setPurgeTarget(null);
     setIsImportPreviewModalOpen(false);
+    setIsColumnMappingModalOpen(false);
+    setHistoryOrder(null);
+    setHistoryEntries(null);
+    setDeliveryOrder(null);
     setCurrentOrder(null);
     setPastedText('');
     setImportOrderType('');
     setUploadedFile(null);
     setImportPreview([]);
+    setImportData(null);
+    setColumnMapping(null);
+    setImportRejects([]);
+    setImportUnchangedOrders([]);
+    setImportSyncMode(false);
+    setSyncArchiveSkipped([]);
+    setImportCustomerActions({});
   }, []);
 
+  // Order writes and their audit entries, signed by the current user.
+  const { addOrderWrite, commitBatch, commitOrderWrites } = createOrderWriter(db, { historyPath: orderHistoryPath, userId, syncTracker });
+
+  // Every other write (settings, crews, customers, users) also goes through commitBatch, so it
+  // counts as done once queued offline instead of waiting for the server.
+  const commitWrite = (addWrites) => {
+    const batch = writeBatch(db);
+    addWrites(batch);
+    return commitBatch(batch);
+  };
+
   const handleSaveOrder = async (e) => {
     e.preventDefault();
     const form = new FormData(e.target);
     const orderNumber = form.get('orderNumber');
     const customerName = form.get('customerName');
-    const type = form.get('type');
+    const lineItems = normalizeLineItems(lineItemsDraft);
+    // A partial order whose items have all gone out is complete.
+    const type = getDeliveryType(form.get('type'), lineItems);
     const deliveryDate = form.get('deliveryDate');
+    const coordinatesText = String(form.get('coordinates') || '').trim();
+    const coordinates = parseCoordinates(coordinatesText);
+    if (coordinatesText && !coordinates) {
+      setMessage({ type: 'error', text: 'Coordenadas no válidas. Usa latitud y longitud, por ejemplo 40.4168, -3.7038.' });
+      return;
+    }
+
+    // The picked customer, or the one whose name was typed exactly.
+    const pickedCustomer = customers.find(c => c.id === pickedCustomerId);
+    const customerMatch = pickedCustomer ? { customer: pickedCustomer, exact: true } : matchCustomer(customers, customerName);
+    const newCustomerRef = (!customerMatch || !customerMatch.exact) && form.get('createCustomer') ? doc(collection(db, customersPath)) : null;
 
     const orderData = {
       orderNumber,
       customerName,
+      customerId: newCustomerRef ? newCustomerRef.id : (customerMatch && customerMatch.exact ? customerMatch.customer.id : null),
       type: type,
-      color: ORDER_COLORS[type] || 'bg-gray-300',
-      deliveryDate: deliveryDate ? new Date(deliveryDate).toISOString() : null,
+      color: getOrderTypeColor(orderTypes, type),
+      deliveryDate: toDeliveryDate(deliveryDate),
+      crewId: form.get('crewId') || null,
+      address: String(form.get('address') || '').trim(),
+      lat: coordinates ? coordinates.lat : null,
+      lng: coordinates ? coordinates.lng : null,
+      lineItems,
       archived: false,
     };
+    // A stop in the route only holds for the day and crew it was planned for.
+    if (currentOrder && ((currentOrder.crewId || null) !== orderData.crewId || getDeliveryDate(currentOrder) !== orderData.deliveryDate)) {
+      orderData.routeStop = null;
+    }
+
+    const overbooking = checkOrderCapacity(getExistingOrders(), settings.dailyCapacity, { id: currentOrder?.id, ...orderData });
 
     try {
+      const batch = writeBatch(db);
+      if (newCustomerRef) {
+        batch.set(newCustomerRef, { name: String(customerName).trim(), phone: '', email: '', address: orderData.address, notes: '', createdAt: new Date().toISOString() });
+      }
+      let text;
       if (currentOrder) {
-        await updateDoc(doc(db, `artifacts/${appId}/public/data/orders`, currentOrder.id), orderData);
-        setMessage({ type: 'success', text: 'Pedido actualizado con éxito.' });
+        addOrderWrite(batch, { orderRef: doc(db, ordersPath, currentOrder.id), before: currentOrder, after: orderData, source: 'manual' });
+        await commitBatch(batch);
+        text = 'Pedido actualizado con éxito.';
       } else {
-        await addDoc(collection(db, `artifacts/${appId}/public/data/orders`), { ...orderData, createdAt: new Date().toISOString() });
-        setMessage({ type: 'success', text: 'Pedido añadido con éxito.' });
+        const orderRef = doc(collection(db, ordersPath));
+        addOrderWrite(batch, { orderRef, before: null, after: { ...orderData, ...getNewOrderStatus(type), createdAt: new Date().toISOString() }, source: 'manual' });
+        await commitBatch(batch);
+        text = 'Pedido añadido con éxito.';
       }
+      setMessage(overbooking
+        ? { type: 'warning', text: `${text} ${describeOverbooking(overbooking, parseDateKey(orderData.deliveryDate))}` }
+        : { type: 'success', text });
       closeModals();
     } catch (error) {
       console.error("Error saving order:", error);
@@ -199,240 +756,809 @@ const App = () => {
     }
   };
 
-  const handleDeleteOrder = async (id) => {
+  // Commit bulk order writes, showing their progress when a label is given.
+  const runOrderWrites = async (writes, progressLabel = null) => {
+    if (!progressLabel) {
+      return commitOrderWrites(writes);
+    }
+    setWriteProgress({ label: progressLabel, done: 0, total: writes.length });
     try {
-      await deleteDoc(doc(db, `artifacts/${appId}/public/data/orders`, id));
-      setMessage({ type: 'success', text: 'Pedido eliminado con éxito.' });
-    } catch (error) {
-      console.error("Error deleting order:", error);
+      return await commitOrderWrites(writes, (done, total) => setWriteProgress({ label: progressLabel, done, total }));
+    } finally {
+      setWriteProgress(null);
+    }
+  };
+
+  const handleRetryFailedWrites = async () => {
+    const { title, progressLabel, succeeded, failed } = writeReport;
+    setWriteReport(null);
+    const result = await runOrderWrites(failed, progressLabel);
+    setWriteReport({ title, progressLabel, succeeded: [...succeeded, ...result.succeeded], failed: result.failed });
+    if (result.failed.length === 0) {
+      setMessage({ type: 'success', text: `Se han completado los ${failed.length} pedidos pendientes.` });
+    } else {
+      setMessage({ type: 'error', text: `Siguen fallando ${result.failed.length} pedidos. Puedes reintentarlo desde el informe.` });
+    }
+  };
+
+  // Deleting moves orders to the recycle bin; they are only purged after the retention period.
+  const moveToTrash = (list, progressLabel) => runOrderWrites(list.map(order => ({
+    orderRef: doc(db, ordersPath, order.id),
+    before: order,
+    after: { deleted: true, deletedAt: new Date().toISOString(), deletedBy: userId },
+    source: 'delete',
+  })), progressLabel);
+
+  const restoreFromTrash = (list, progressLabel) => runOrderWrites(list.map(order => ({
+    orderRef: doc(db, ordersPath, order.id),
+    before: order,
+    after: { deleted: false, deletedAt: null, deletedBy: null },
+    source: 'undelete',
+  })), progressLabel);
+
+  const handleUndeleteOrders = async (list) => {
+    const { succeeded, failed } = await restoreFromTrash(list, list.length > 1 ? 'Recuperando pedidos' : null);
+    if (failed.length === 0) {
+      setMessage({ type: 'success', text: list.length === 1 ? `Pedido ${list[0].orderNumber} recuperado.` : `Se han recuperado ${list.length} pedidos.` });
+      return;
+    }
+    if (list.length > 1) {
+      setWriteReport({ title: 'Recuperación de pedidos', progressLabel: 'Recuperando pedidos', succeeded, failed });
+    }
+    setMessage({ type: 'error', text: 'Error al recuperar los pedidos de la papelera.' });
+  };
+
+  const handleDeleteOrder = async (order) => {
+    const { failed } = await moveToTrash([order]);
+    if (failed.length > 0) {
       setMessage({ type: 'error', text: 'Error al eliminar el pedido.' });
+      return;
     }
+    setMessage({
+      type: 'success',
+      text: `Pedido ${order.orderNumber} enviado a la papelera.`,
+      action: { label: 'Deshacer', onClick: () => handleUndeleteOrders([{ ...order, deleted: true }]) },
+    });
   };
 
   const handleDeleteAllOrders = async () => {
     if (!db) return;
+    const toDelete = [...new Map([...orders, ...pendingOrders, ...archivedOrders].map(o => [o.id, o])).values()];
+    closeModals();
+
+    const progressLabel = 'Enviando pedidos a la papelera';
+    const { succeeded, failed } = await moveToTrash(toDelete, progressLabel);
+    setWriteReport({ title: 'Eliminación de pedidos', progressLabel, succeeded, failed });
+
+    // Undo only covers the orders that actually reached the recycle bin.
+    const trashed = succeeded.map(write => ({ ...write.before, deleted: true }));
+    setMessage({
+      type: failed.length === 0 ? 'success' : 'error',
+      text: failed.length === 0
+        ? `Se han enviado ${trashed.length} pedidos a la papelera.`
+        : `Se han enviado ${trashed.length} pedidos a la papelera y han fallado ${failed.length}. Puedes reintentarlo desde el informe.`,
+      action: trashed.length > 0 ? { label: 'Deshacer', onClick: () => handleUndeleteOrders(trashed) } : undefined,
+    });
+  };
+
+  const handlePurgeOrders = async (list) => {
+    closeModals();
+    const progressLabel = list.length > 1 ? 'Vaciando la papelera' : null;
+    const { succeeded, failed } = await runOrderWrites(list.map(order => ({
+      orderRef: doc(db, ordersPath, order.id),
+      before: order,
+      after: null,
+      source: 'purge',
+    })), progressLabel);
+
+    if (failed.length === 0) {
+      setMessage({ type: 'success', text: list.length === 1 ? `Pedido ${list[0].orderNumber} eliminado definitivamente.` : `Se han eliminado definitivamente ${list.length} pedidos.` });
+      return;
+    }
+    if (list.length > 1) {
+      setWriteReport({ title: 'Vaciado de la papelera', progressLabel, succeeded, failed });
+    }
+    setMessage({ type: 'error', text: 'Error al vaciar la papelera.' });
+  };
+
+  const handleRetentionChange = async (days) => {
     try {
-      const ordersCollectionRef = collection(db, `artifacts/${appId}/public/data/orders`);
-      const snapshot = await getDocs(ordersCollectionRef);
-      const deletePromises = snapshot.docs.map(d => deleteDoc(doc(db, `artifacts/${appId}/public/data/orders`, d.id)));
-      await Promise.all(deletePromises);
-      setMessage({ type: 'success', text: 'Todos los pedidos han sido eliminados correctamente.' });
-      closeModals();
+      await commitWrite(batch => batch.set(doc(db, settingsDocPath), { trashRetentionDays: days }, { merge: true }));
+      setMessage({ type: 'success', text: `Los pedidos se conservarán en la papelera durante ${days} días.` });
     } catch (error) {
-      console.error("Error deleting all orders:", error);
-      setMessage({ type: 'error', text: 'Error al eliminar todos los pedidos. Inténtalo de nuevo.' });
-      closeModals();
+      console.error("Error saving retention period:", error);
+      setMessage({ type: 'error', text: 'Error al guardar el periodo de conservación.' });
     }
   };
 
-  const handleConfirmDelivery = async (order) => {
+  const handleSignIn = async (e) => {
+    e.preventDefault();
+    const form = new FormData(e.target);
+    const email = form.get('email');
+    const password = form.get('password');
+
     try {
-      await updateDoc(doc(db, `artifacts/${appId}/public/data/orders`, order.id), {
-        deliveryDate: new Date().toISOString(),
-      });
-      setMessage({ type: 'success', text: `Pedido ${order.orderNumber} confirmado para hoy.` });
+      if (isSignUp) {
+        await createUserWithEmailAndPassword(auth, email, password);
+      } else {
+        await signInWithEmailAndPassword(auth, email, password);
+      }
+      setMessage(null);
     } catch (error) {
-      console.error("Error confirming delivery:", error);
-      setMessage({ type: 'error', text: 'Error al confirmar la entrega.' });
+      console.error("Error signing in:", error);
+      setMessage({ type: 'error', text: AUTH_ERROR_MESSAGES[error.code] || 'No se ha podido iniciar sesión. Inténtalo de nuevo.' });
     }
   };
 
-  // Nueva función para archivar un pedido
-  const handleArchiveOrder = async (id) => {
+  const handleSignOut = async () => {
     try {
-      await updateDoc(doc(db, `artifacts/${appId}/public/data/orders`, id), {
-        archived: true,
-      });
-      setMessage({ type: 'success', text: 'Pedido archivado con éxito.' });
+      await signOut(auth);
+      closeModals();
+      setView('calendar');
+      setMessage(null);
     } catch (error) {
-      console.error("Error archiving order:", error);
-      setMessage({ type: 'error', text: 'Error al archivar el pedido.' });
+      console.error("Error signing out:", error);
+      setMessage({ type: 'error', text: 'Error al cerrar la sesión.' });
     }
   };
 
-  // Nueva función para desarchivar un pedido
-  const handleRestoreOrder = async (id) => {
+  const handleRoleChange = async (user, newRole) => {
     try {
-      await updateDoc(doc(db, `artifacts/${appId}/public/data/orders`, id), {
-        archived: false,
-      });
-      setMessage({ type: 'success', text: 'Pedido restaurado con éxito.' });
+      await commitWrite(batch => batch.set(doc(db, usersPath, user.id), { role: newRole }, { merge: true }));
+      setMessage({ type: 'success', text: `${user.email || user.id} ahora es ${ROLE_LABELS[newRole]}.` });
     } catch (error) {
-      console.error("Error restoring order:", error);
-      setMessage({ type: 'error', text: 'Error al restaurar el pedido.' });
+      console.error("Error changing user role:", error);
+      setMessage({ type: 'error', text: 'Error al cambiar el rol del usuario.' });
     }
   };
 
-  const handleGenerateEmail = useCallback(() => {
-    const dailyOrders = orders.filter(o => new Date(o.deliveryDate).toDateString() === selectedDate.toDateString());
-    let emailHtml = `<p><strong>Resumen de Entregas para el ${selectedDate.toLocaleDateString()}:</strong></p><ul>`;
-
-    dailyOrders.forEach(order => {
-      let colorStyle = '';
-      switch(order.type) {
-        case 'instalacion': colorStyle = 'style="color: #3B82F6;"'; break;
-        case 'posdatado': colorStyle = 'style="color: #FACC15;"'; break;
-        case 'completo': colorStyle = 'style="color: #22C55E;"'; break;
-        case 'parcial': colorStyle = 'style="color: #A3E635;"'; break;
-        case 'recogida': colorStyle = 'style="color: #EF4444;"'; break;
-        default: colorStyle = 'style="color: #9CA3AF;"'; break;
+  // Create a workspace, or rename one. New workspaces get an id from their name.
+  const handleSaveWorkspace = async (e, workspace = null) => {
+    e.preventDefault();
+    const name = String(new FormData(e.target).get('name') || '').trim();
+    const id = workspace ? workspace.id : getWorkspaceId(name);
+    if (!name || !id) {
+      setMessage({ type: 'error', text: 'La delegación necesita un nombre.' });
+      return;
+    }
+    if (!workspace && (workspaces || []).some(w => w.id === id)) {
+      setMessage({ type: 'error', text: `Ya existe una delegación llamada ${getWorkspaceName(workspaces, id)}.` });
+      return;
+    }
+    try {
+      await commitWrite(batch => batch.set(doc(db, WORKSPACES_PATH, id), workspace ? { name } : { name, createdAt: new Date().toISOString() }, { merge: true }));
+      if (!workspace) {
+        e.target.reset();
       }
-      emailHtml += `<li><span ${colorStyle}>●</span> Pedido #${order.orderNumber} - Cliente: ${order.customerName} (${order.type})</li>`;
-    });
-
-    emailHtml += `</ul>`;
-    setEmailContent(emailHtml);
-    setIsEmailModalOpen(true);
-  }, [orders, selectedDate]);
-  
-  const handleTypeChange = (e) => {
-    setImportOrderType(e.target.value);
-    setPastedText('');
-    setUploadedFile(null);
-  };
-  
-  const handleFileChange = (e) => {
-    setUploadedFile(e.target.files[0]);
-    setPastedText('');
-  };
-  
-  const handlePreviewImport = async () => {
-    if (!importOrderType) {
-        setMessage({ type: 'error', text: 'Por favor, selecciona un tipo de pedido.' });
-        return;
+      setMessage({ type: 'success', text: `Delegación ${name} guardada.` });
+    } catch (error) {
+      console.error("Error saving workspace:", error);
+      setMessage({ type: 'error', text: 'Error al guardar la delegación.' });
     }
+  };
 
-    const hasData = (uploadedFile) || (pastedText.trim().length > 0);
-    
-    if (!hasData) {
-      setMessage({ type: 'error', text: 'Por favor, sube un archivo o pega el texto de los pedidos.' });
+  // Give an account access to the current workspace with a role there.
+  const handleAddMember = async (e) => {
+    e.preventDefault();
+    const form = new FormData(e.target);
+    const account = accounts.find(a => a.id === form.get('accountId'));
+    const newRole = form.get('role');
+    if (!account) {
+      setMessage({ type: 'error', text: 'Elige la cuenta que quieres añadir.' });
       return;
     }
-
-    setIsImporting(true);
-    setMessage(null);
-
-    let textContent = pastedText;
-    if (uploadedFile) {
-        const reader = new FileReader();
-        reader.onload = async (e) => {
-            textContent = e.target.result;
-            await processImport(textContent, uploadedFile.name);
-        };
-        reader.onerror = (e) => {
-            console.error("Error reading file:", e);
-            setMessage({ type: 'error', text: 'Error al leer el archivo. Asegúrate de que es un archivo de texto válido.' });
-            setIsImporting(false);
-        };
-        reader.readAsText(uploadedFile);
-    } else {
-        await processImport(textContent);
+    try {
+      await commitWrite(batch => batch.set(doc(db, usersPath, account.id), { email: account.email || null, role: newRole, createdAt: new Date().toISOString() }));
+      e.target.reset();
+      setMessage({ type: 'success', text: `${account.email || account.id} ahora es ${ROLE_LABELS[newRole]} en ${getWorkspaceName(accessibleWorkspaces, workspaceId)}.` });
+    } catch (error) {
+      console.error("Error adding workspace member:", error);
+      setMessage({ type: 'error', text: 'Error al añadir el usuario a la delegación.' });
     }
   };
 
-  const processImport = async (text, fileName = null) => {
+  const handleRemoveMember = async (user) => {
     try {
-      const lines = text.trim().split('\n');
-      const parsedOrders = [];
-      const existingOrders = [...orders, ...pendingOrders, ...archivedOrders];
-
-      for (const line of lines) {
-        const trimmedLine = line.trim();
-        if (!trimmedLine) continue;
-        
-        if (trimmedLine.toLowerCase().includes('fecha entrega')) {
-            console.log(`Línea de encabezado detectada y omitida: "${trimmedLine}"`);
-            continue;
-        }
-
-        const commaParts = trimmedLine.split(',');
-        let parts, orderNumber, customerName, deliveryDateStr;
-        
-        if (commaParts.length >= 3) {
-          parts = commaParts;
-          orderNumber = parts[0].trim();
-          deliveryDateStr = parts[parts.length - 1].trim();
-          customerName = parts.slice(1, parts.length - 1).join(',').trim();
-        } else {
-          parts = trimmedLine.split(/\s+/);
-          if (parts.length < 3) {
-            console.warn(`Línea ignorada por formato incorrecto (espacios): "${trimmedLine}"`);
-            continue;
-          }
-          orderNumber = parts[0];
-          deliveryDateStr = parts[parts.length - 1];
-          customerName = parts.slice(1, parts.length - 1).join(' ');
-        }
-        
-        if (!orderNumber || !customerName || !deliveryDateStr) {
-          console.warn(`Línea ignorada por datos incompletos: "${trimmedLine}"`);
-          continue;
-        }
+      await commitWrite(batch => batch.delete(doc(db, usersPath, user.id)));
+      setMessage({ type: 'success', text: `${user.email || user.id} ya no tiene acceso a ${getWorkspaceName(accessibleWorkspaces, workspaceId)}.` });
+    } catch (error) {
+      console.error("Error removing workspace member:", error);
+      setMessage({ type: 'error', text: 'Error al quitar el usuario de la delegación.' });
+    }
+  };
 
-        let deliveryDate = null;
-        const dateParts = deliveryDateStr.split('/');
-        
-        if (dateParts.length === 3) {
-            const day = parseInt(dateParts[0], 10);
-            const month = parseInt(dateParts[1], 10) - 1;
-            const year = parseInt(dateParts[2], 10);
-            
-            const tempDate = new Date(year, month, day);
-            if (tempDate.getFullYear() === year && tempDate.getMonth() === month && !isNaN(tempDate.getTime())) {
-                deliveryDate = tempDate;
-            }
-        } else {
-            const match = deliveryDateStr.match(/^(\d{1,2})\/(\d{1,2})(\d{4})$/);
-            if (match && match.length === 4) {
-                const day = parseInt(match[1], 10);
-                const month = parseInt(match[2], 10) - 1;
-                const year = parseInt(match[3], 10);
-                const tempDate = new Date(year, month, day);
-                if (tempDate.getFullYear() === year && tempDate.getMonth() === month && !isNaN(tempDate.getTime())) {
-                    deliveryDate = tempDate;
-                }
-            }
-        }
-        
-        if (!deliveryDate) {
-            console.error(`Fecha inválida detectada y omitida: "${deliveryDateStr}" en la línea "${trimmedLine}"`);
-            continue;
-        }
+  // Orders with items left to deliver ask which quantities went out first.
+  const handleConfirmDelivery = async (order) => {
+    if (getOutstandingItems(order.lineItems).length > 0) {
+      const items = normalizeLineItems(order.lineItems);
+      setDeliveryQuantities(items.map(item => String(item.quantity - item.delivered)));
+      setDeliveryOrder(order);
+      return;
+    }
+    try {
+      const batch = writeBatch(db);
+      addOrderWrite(batch, {
+        orderRef: doc(db, ordersPath, order.id),
+        before: order,
+        after: { deliveryDate: formatDateKey(new Date()), ...transitionOrder(order, 'entregado') },
+        source: 'confirm',
+      });
+      await commitBatch(batch);
+      setMessage({ type: 'success', text: `Pedido ${order.orderNumber} entregado hoy.` });
+    } catch (error) {
+      console.error("Error confirming delivery:", error);
+      setMessage({ type: 'error', text: 'Error al confirmar la entrega.' });
+    }
+  };
 
-        const newOrderData = {
-          orderNumber: orderNumber.replace(/€/g, '').trim(),
-          customerName: customerName.trim(),
-          type: importOrderType,
-          color: ORDER_COLORS[importOrderType],
-          deliveryDate: deliveryDate.toISOString(),
-          file: fileName,
-        };
-        
-        const existingOrder = existingOrders.find(o => o.orderNumber === newOrderData.orderNumber);
-        
-        if (existingOrder) {
-          const existingPriority = COLOR_PRIORITY[existingOrder.type] || 0;
-          const newPriority = COLOR_PRIORITY[newOrderData.type] || 0;
-          
-          if (newPriority > existingPriority) {
-            parsedOrders.push({
-              ...newOrderData,
-              id: existingOrder.id,
-              status: 'Actualizar'
-            });
-          }
-        } else {
-          parsedOrders.push({
-            ...newOrderData,
-            status: 'Nuevo'
-          });
-        }
+  const handleRecordDelivery = async (e) => {
+    e.preventDefault();
+    const order = deliveryOrder;
+    const lineItems = recordDelivery(order.lineItems, deliveryQuantities);
+    const type = getDeliveryType(order.type, lineItems);
+    const outstanding = formatOutstandingItems(lineItems);
+    try {
+      const batch = writeBatch(db);
+      addOrderWrite(batch, {
+        orderRef: doc(db, ordersPath, order.id),
+        before: order,
+        after: {
+          deliveryDate: formatDateKey(new Date()),
+          lineItems,
+          type,
+          color: getOrderTypeColor(orderTypes, type),
+          ...transitionOrder(order, outstanding ? 'entregado_parcial' : 'entregado'),
+        },
+        source: 'confirm',
+      });
+      await commitBatch(batch);
+      let text = `Pedido ${order.orderNumber} entregado hoy.`;
+      if (outstanding) {
+        text += ` Queda por entregar: ${outstanding}.`;
+      } else if (type !== order.type) {
+        text += ` Entregado por completo: ahora es ${getOrderTypeLabel(orderTypes, type)}.`;
+      }
+      setMessage({ type: 'success', text });
+      closeModals();
+    } catch (error) {
+      console.error("Error recording delivery:", error);
+      setMessage({ type: 'error', text: 'Error al confirmar la entrega.' });
+    }
+  };
+
+  // Deliveries go through the confirmation, which records the quantities and the day.
+  const handleChangeStatus = async (order, status) => {
+    if (!canTransition(getOrderStatus(order), status)) return;
+    if (status === 'entregado') {
+      handleConfirmDelivery(order);
+      return;
+    }
+    try {
+      const batch = writeBatch(db);
+      addOrderWrite(batch, { orderRef: doc(db, ordersPath, order.id), before: order, after: transitionOrder(order, status), source: 'status' });
+      await commitBatch(batch);
+      setMessage({ type: 'success', text: `Pedido ${order.orderNumber}: ${ORDER_STATUS_LABELS[status]}.` });
+    } catch (error) {
+      console.error("Error changing order status:", error);
+      setMessage({ type: 'error', text: 'Error al cambiar el estado del pedido.' });
+    }
+  };
+
+  // Move an order to another day.
+  const handleRescheduleOrder = async (order, date) => {
+    if (getDeliveryDate(order) === formatDateKey(date)) return;
+    if (isPastDay(date) && !allowPastDrops) {
+      setMessage({ type: 'error', text: 'No se puede mover un pedido a un día pasado. Activa «Permitir días pasados» para hacerlo.' });
+      return;
+    }
+
+    // A postponed order with a new day is scheduled again.
+    const after = {
+      deliveryDate: formatDateKey(date),
+      routeStop: null,
+      ...(getOrderStatus(order) === 'aplazado' ? transitionOrder(order, 'programado') : {}),
+    };
+    try {
+      const batch = writeBatch(db);
+      addOrderWrite(batch, { orderRef: doc(db, ordersPath, order.id), before: order, after, source: 'reschedule' });
+      await commitBatch(batch);
+      setMessage({
+        type: 'success',
+        text: `Pedido ${order.orderNumber} movido al ${date.toLocaleDateString('es-ES', { weekday: 'long', day: 'numeric', month: 'long' })}.`,
+        action: {
+          label: 'Deshacer',
+          onClick: () => handleUndoReschedule({ ...order, ...after }, {
+            deliveryDate: order.deliveryDate || null,
+            routeStop: order.routeStop ?? null,
+            ...('status' in after ? { status: order.status ?? null, statusDates: order.statusDates ?? null } : {}),
+          }),
+        },
+      });
+    } catch (error) {
+      console.error("Error rescheduling order:", error);
+      setMessage({ type: 'error', text: 'Error al cambiar la fecha del pedido.' });
+    }
+  };
+
+  // Undo puts the previous date, route stop and status back even when the date is in the past.
+  const handleUndoReschedule = async (order, previous) => {
+    try {
+      const batch = writeBatch(db);
+      addOrderWrite(batch, { orderRef: doc(db, ordersPath, order.id), before: order, after: previous, source: 'reschedule' });
+      await commitBatch(batch);
+      setMessage({ type: 'success', text: `Se ha devuelto el pedido ${order.orderNumber} a su fecha anterior.` });
+    } catch (error) {
+      console.error("Error undoing reschedule:", error);
+      setMessage({ type: 'error', text: 'Error al deshacer el cambio de fecha.' });
+    }
+  };
+
+  const handleAssignCrew = async (list, crewId) => {
+    const toAssign = list.filter(order => (order.crewId || null) !== crewId);
+    if (toAssign.length === 0) return;
+    const crewName = getCrewName(crews, crewId);
+    const progressLabel = toAssign.length > 1 ? 'Asignando pedidos' : null;
+    const { succeeded, failed } = await runOrderWrites(toAssign.map(order => ({
+      orderRef: doc(db, ordersPath, order.id),
+      before: order,
+      after: { crewId, routeStop: null },
+      source: 'assign',
+    })), progressLabel);
+    if (failed.length === 0) {
+      setSelectedOrderIds([]);
+      setMessage({
+        type: 'success',
+        text: toAssign.length === 1
+          ? `Pedido ${toAssign[0].orderNumber} asignado a ${crewName}.`
+          : `Se han asignado ${toAssign.length} pedidos a ${crewName}.`,
+      });
+      return;
+    }
+    if (progressLabel) {
+      setWriteReport({ title: 'Asignación de cuadrilla', progressLabel, succeeded, failed });
+    }
+    setMessage({ type: 'error', text: 'Error al asignar los pedidos a la cuadrilla.' });
+  };
+
+  // Order each crew's stops of the day from the depot. Orders without coordinates are left out of the route.
+  const handleOptimizeRoutes = async (dayOrders) => {
+    if (!hasCoordinates(settings.depot)) {
+      setMessage({ type: 'error', text: 'Indica las coordenadas del almacén en Ajustes para optimizar la ruta.' });
+      return;
+    }
+    const routes = groupOrdersByCrew(dayOrders, crews)
+      .filter(group => group.orders.length > 0)
+      .map(group => optimizeRoute(settings.depot, group.orders));
+    const stopChanges = routes.flatMap(({ stops, unlocated }) => [
+      ...stops.map((order, index) => ({ order, routeStop: index + 1 })),
+      ...unlocated.map(order => ({ order, routeStop: null })),
+    ]).filter(({ order, routeStop }) => (order.routeStop ?? null) !== routeStop);
+    const progressLabel = stopChanges.length > 20 ? 'Guardando la ruta' : null;
+    const { succeeded, failed } = await runOrderWrites(stopChanges.map(({ order, routeStop }) => ({
+      orderRef: doc(db, ordersPath, order.id),
+      before: order,
+      after: { routeStop },
+      source: 'route',
+    })), progressLabel);
+    if (failed.length > 0) {
+      if (progressLabel) {
+        setWriteReport({ title: 'Optimización de ruta', progressLabel, succeeded, failed });
+      }
+      setMessage({ type: 'error', text: 'Error al guardar el orden de la ruta.' });
+      return;
+    }
+
+    const stopCount = routes.reduce((sum, route) => sum + route.stops.length, 0);
+    const distanceKm = routes.reduce((sum, route) => sum + (route.distanceKm || 0), 0);
+    const unlocatedCount = routes.reduce((sum, route) => sum + route.unlocated.length, 0);
+    setMessage({
+      type: unlocatedCount > 0 ? 'warning' : 'success',
+      text: `Ruta optimizada: ${stopCount} paradas y ${formatDistanceKm(distanceKm)} en línea recta desde el almacén.`
+        + (unlocatedCount > 0 ? ` ${unlocatedCount} pedidos no tienen coordenadas y quedan fuera de la ruta.` : ''),
+    });
+  };
+
+  const handlePrintRoutes = (dayOrders) => {
+    const routes = getDayRoutes(dayOrders, crews, settings.depot);
+    if (routes.length === 0) {
+      setMessage({ type: 'warning', text: 'No hay ninguna ruta para este día. Optimiza la ruta antes de imprimirla.' });
+      return;
+    }
+    printHtml(buildRouteSheetHtml(routes, { date: selectedDate, orderTypes }));
+  };
+
+  const handleSaveDepot = async (e) => {
+    e.preventDefault();
+    const form = new FormData(e.target);
+    const coordinatesText = String(form.get('coordinates') || '').trim();
+    const coordinates = parseCoordinates(coordinatesText);
+    if (!coordinates && coordinatesText) {
+      setMessage({ type: 'error', text: 'Coordenadas no válidas. Usa latitud y longitud, por ejemplo 40.4168, -3.7038.' });
+      return;
+    }
+    const depot = { address: String(form.get('address') || '').trim(), lat: coordinates ? coordinates.lat : null, lng: coordinates ? coordinates.lng : null };
+    try {
+      await commitWrite(batch => batch.set(doc(db, settingsDocPath), { depot }, { merge: true }));
+      setMessage({ type: 'success', text: 'Almacén guardado.' });
+    } catch (error) {
+      console.error("Error saving depot:", error);
+      setMessage({ type: 'error', text: 'Error al guardar el almacén.' });
+    }
+  };
+
+  const toggleOrderSelection = (orderId) => {
+    setSelectedOrderIds(selectedOrderIds.includes(orderId)
+      ? selectedOrderIds.filter(id => id !== orderId)
+      : [...selectedOrderIds, orderId]);
+  };
+
+  const handleSaveCrew = async (e, crew = null) => {
+    e.preventDefault();
+    const form = new FormData(e.target);
+    const crewData = {
+      name: String(form.get('name') || '').trim(),
+      vehicle: String(form.get('vehicle') || '').trim(),
+      email: String(form.get('email') || '').trim(),
+    };
+    if (!crewData.name) {
+      setMessage({ type: 'error', text: 'La cuadrilla necesita un nombre.' });
+      return;
+    }
+    try {
+      if (crew) {
+        await commitWrite(batch => batch.set(doc(db, crewsPath, crew.id), crewData, { merge: true }));
+      } else {
+        await commitWrite(batch => batch.set(doc(collection(db, crewsPath)), crewData));
+        e.target.reset();
+      }
+      setMessage({ type: 'success', text: `Cuadrilla ${crewData.name} guardada.` });
+    } catch (error) {
+      console.error("Error saving crew:", error);
+      setMessage({ type: 'error', text: 'Error al guardar la cuadrilla.' });
+    }
+  };
+
+  // Orders of a removed crew go back to unassigned first, so none points to a missing crew.
+  const handleDeleteCrew = async (crew) => {
+    const assigned = getExistingOrders().filter(order => order.crewId === crew.id);
+    const { failed } = await runOrderWrites(assigned.map(order => ({
+      orderRef: doc(db, ordersPath, order.id),
+      before: order,
+      after: { crewId: null, routeStop: null },
+      source: 'assign',
+    })), assigned.length > 1 ? 'Desasignando pedidos' : null);
+    if (failed.length > 0) {
+      setMessage({ type: 'error', text: 'Error al desasignar los pedidos de la cuadrilla. No se ha eliminado.' });
+      return;
+    }
+    try {
+      await commitWrite(batch => batch.delete(doc(db, crewsPath, crew.id)));
+      setMessage({ type: 'success', text: `Cuadrilla ${crew.name} eliminada.${assigned.length > 0 ? ` ${assigned.length} pedidos han quedado sin asignar.` : ''}` });
+    } catch (error) {
+      console.error("Error deleting crew:", error);
+      setMessage({ type: 'error', text: 'Error al eliminar la cuadrilla.' });
+    }
+  };
+
+  // The whole list of types is saved at once, so the built-in ones are stored with the first change.
+  const saveOrderTypes = async (nextTypes, successText) => {
+    const error = validateOrderTypes(nextTypes);
+    if (error) {
+      setMessage({ type: 'error', text: error });
+      return false;
+    }
+    try {
+      await commitWrite(batch => batch.set(doc(db, settingsDocPath), { orderTypes: nextTypes }, { merge: true }));
+      setMessage({ type: 'success', text: successText });
+      return true;
+    } catch (error) {
+      console.error("Error saving order types:", error);
+      setMessage({ type: 'error', text: 'Error al guardar los tipos de pedido.' });
+      return false;
+    }
+  };
+
+  const handleSaveOrderType = async (e, type = null) => {
+    e.preventDefault();
+    const form = new FormData(e.target);
+    const label = String(form.get('label') || '').trim();
+    const typeData = {
+      id: type ? type.id : getOrderTypeId(label),
+      label,
+      color: String(form.get('color') || ''),
+      emailColor: String(form.get('emailColor') || ''),
+      priority: parseInt(form.get('priority'), 10) || 0,
+      aliases: type ? type.aliases : [],
+      retired: Boolean(form.get('retired')),
+    };
+    const nextTypes = type ? orderTypes.map(t => (t.id === type.id ? typeData : t)) : [...orderTypes, typeData];
+    const saved = await saveOrderTypes(nextTypes, `Tipo ${label} guardado.`);
+    if (saved && !type) e.target.reset();
+  };
+
+  // Types still used by an order can only be retired, so those orders keep their label and colour.
+  const handleRemoveOrderType = async (type) => {
+    if (!canRemoveOrderType(type, countOrdersByType([...getExistingOrders(), ...deletedOrders]))) {
+      setMessage({ type: 'error', text: `El tipo ${type.label} está en uso y no se puede eliminar. Márcalo como retirado para dejar de ofrecerlo.` });
+      return;
+    }
+    await saveOrderTypes(orderTypes.filter(t => t.id !== type.id), `Tipo ${type.label} eliminado.`);
+  };
+
+  // Renaming a customer also renames it on its linked orders.
+  const handleSaveCustomer = async (e, customer = null) => {
+    e.preventDefault();
+    const form = new FormData(e.target);
+    const customerData = Object.fromEntries(CUSTOMER_FIELDS.map(field => [field, String(form.get(field) || '').trim()]));
+    if (!customerData.name) {
+      setMessage({ type: 'error', text: 'El cliente necesita un nombre.' });
+      return;
+    }
+    if (customers.some(c => c.id !== customer?.id && getCustomerKey(c.name) === getCustomerKey(customerData.name))) {
+      setMessage({ type: 'error', text: `Ya existe un cliente llamado ${customerData.name}.` });
+      return;
+    }
+    try {
+      if (customer) {
+        await commitWrite(batch => batch.set(doc(db, customersPath, customer.id), customerData, { merge: true }));
+      } else {
+        const customerRef = doc(collection(db, customersPath));
+        await commitWrite(batch => batch.set(customerRef, { ...customerData, createdAt: new Date().toISOString() }));
+        e.target.reset();
+        setSelectedCustomerId(customerRef.id);
+      }
+    } catch (error) {
+      console.error("Error saving customer:", error);
+      setMessage({ type: 'error', text: 'Error al guardar el cliente.' });
+      return;
+    }
+
+    const renamed = customer && customer.name !== customerData.name
+      ? getExistingOrders().filter(order => order.customerId === customer.id && order.customerName !== customerData.name)
+      : [];
+    const { failed } = await runOrderWrites(renamed.map(order => ({
+      orderRef: doc(db, ordersPath, order.id),
+      before: order,
+      after: { customerName: customerData.name },
+      source: 'manual',
+    })), renamed.length > 1 ? 'Renombrando pedidos' : null);
+    setMessage(failed.length > 0
+      ? { type: 'error', text: `Cliente guardado, pero no se ha podido renombrar en ${failed.length} pedidos.` }
+      : { type: 'success', text: `Cliente ${customerData.name} guardado.${renamed.length > 0 ? ` Se ha actualizado el nombre en ${renamed.length} pedidos.` : ''}` });
+  };
+
+  // Customers with orders are kept so no order points to a missing customer.
+  const handleDeleteCustomer = async (customer) => {
+    const linked = getExistingOrders().filter(order => order.customerId === customer.id);
+    if (linked.length > 0) {
+      setMessage({ type: 'error', text: `No se puede eliminar ${customer.name}: tiene ${linked.length} pedidos.` });
+      return;
+    }
+    try {
+      await commitWrite(batch => batch.delete(doc(db, customersPath, customer.id)));
+      setSelectedCustomerId(null);
+      setMessage({ type: 'success', text: `Cliente ${customer.name} eliminado.` });
+    } catch (error) {
+      console.error("Error deleting customer:", error);
+      setMessage({ type: 'error', text: 'Error al eliminar el cliente.' });
+    }
+  };
+
+  const openCustomerPage = (customerId) => {
+    setSelectedCustomerId(customerId);
+    setView('customers');
+  };
+
+  // Nueva función para archivar un pedido
+  const handleArchiveOrder = async (order) => {
+    try {
+      const batch = writeBatch(db);
+      addOrderWrite(batch, { orderRef: doc(db, ordersPath, order.id), before: order, after: { archived: true }, source: 'archive' });
+      await commitBatch(batch);
+      setMessage({ type: 'success', text: 'Pedido archivado con éxito.' });
+    } catch (error) {
+      console.error("Error archiving order:", error);
+      setMessage({ type: 'error', text: 'Error al archivar el pedido.' });
+    }
+  };
+
+  // Nueva función para desarchivar un pedido
+  const handleRestoreOrder = async (order) => {
+    try {
+      const batch = writeBatch(db);
+      addOrderWrite(batch, { orderRef: doc(db, ordersPath, order.id), before: order, after: { archived: false }, source: 'restore' });
+      await commitBatch(batch);
+      setMessage({ type: 'success', text: 'Pedido restaurado con éxito.' });
+    } catch (error) {
+      console.error("Error restoring order:", error);
+      setMessage({ type: 'error', text: 'Error al restaurar el pedido.' });
+    }
+  };
+
+  const handleShowHistory = async (order) => {
+    setHistoryOrder(order);
+    setHistoryEntries(null);
+    try {
+      const snapshot = await getDocs(query(collection(db, orderHistoryPath), where('orderId', '==', order.id)));
+      const entries = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+      setHistoryEntries(entries.sort((a, b) => b.timestamp.localeCompare(a.timestamp)));
+    } catch (error) {
+      console.error("Error loading order history:", error);
+      setMessage({ type: 'error', text: 'Error al cargar el historial del pedido.' });
+      setHistoryOrder(null);
+    }
+  };
+
+  const handleGenerateEmail = useCallback(() => {
+    setEmailOrders(orders.filter(o => getDeliveryDate(o) === formatDateKey(selectedDate)));
+    setEmailTemplate({ ...DEFAULT_EMAIL_TEMPLATE, ...settings.emailTemplate });
+    setEmailView('html');
+    setEmailCrewId('');
+    setEmailRecipients(loadPreference('emailRecipients', ''));
+    setIsEmailModalOpen(true);
+  }, [orders, selectedDate, settings.emailTemplate]);
+  
+  const handleTypeChange = (e) => {
+    setImportOrderType(e.target.value);
+    setPastedText('');
+    setUploadedFile(null);
+  };
+  
+  const handleFileChange = (e) => {
+    setUploadedFile(e.target.files[0]);
+    setPastedText('');
+  };
+  
+  const handlePreviewImport = async () => {
+    const hasData = (uploadedFile) || (pastedText.trim().length > 0);
+    
+    if (!hasData) {
+      setMessage({ type: 'error', text: 'Por favor, sube un archivo o pega el texto de los pedidos.' });
+      return;
+    }
+
+    setIsImporting(true);
+    setMessage(null);
+
+    let parsed;
+    try {
+      parsed = uploadedFile ? await readImportFile(uploadedFile) : parseImportText(pastedText);
+    } catch (error) {
+      console.error("Error reading file:", error);
+      setMessage({ type: 'error', text: 'Error al leer el archivo. Asegúrate de que es un archivo CSV, TSV, Excel o de texto válido.' });
+      setIsImporting(false);
+      return;
+    }
+
+    const { rows, delimiter } = parsed;
+    if (rows.length === 0) {
+      setMessage({ type: 'warning', text: 'El contenido está vacío o no contiene datos válidos. No se ha generado ninguna vista previa.' });
+      setIsImporting(false);
+      return;
+    }
+
+    const fileName = uploadedFile ? uploadedFile.name : null;
+    const data = { rows, delimiter, fileName, sourceKey: getImportSourceKey(rows, fileName) };
+    setImportData(data);
+
+    // Sources imported before skip the mapping step.
+    const savedMapping = loadImportMappings()[data.sourceKey];
+    if (savedMapping && savedMapping.type < 0 && !importOrderType) {
+      setMessage({ type: 'error', text: 'Este formato no tiene columna de tipo. Por favor, selecciona un tipo de pedido.' });
+      setIsImporting(false);
+    } else if (savedMapping) {
+      setColumnMapping(savedMapping);
+      processImport(data, savedMapping);
+    } else {
+      setColumnMapping(guessColumnMapping(rows));
+      setIsColumnMappingModalOpen(true);
+      setIsImportModalOpen(false);
+      setIsImporting(false);
+    }
+  };
+
+  const handleConfirmMapping = () => {
+    const error = validateColumnMapping(columnMapping, importOrderType);
+    if (error) {
+      setMessage({ type: 'error', text: error });
+      return;
+    }
+
+    saveImportMapping(importData.sourceKey, columnMapping);
+    setIsColumnMappingModalOpen(false);
+    setMessage(null);
+    processImport(importData, columnMapping);
+  };
+
+  const handleEditMapping = () => {
+    setImportPreview([]);
+    setImportRejects([]);
+    setImportUnchangedOrders([]);
+    setIsImportPreviewModalOpen(false);
+    setIsColumnMappingModalOpen(true);
+  };
+
+  const handlePreviewTypeChange = (index, type) => {
+    setImportPreview(importPreview.map((row, i) => {
+      if (i !== index) return row;
+      // Picking a type by hand accepts it even over a higher-priority one.
+      const previousChanges = [...row.changes.filter(c => c.field !== 'type'), { field: 'type', accepted: true }];
+      return getImportRowStatus({ ...row, type, color: getOrderTypeColor(orderTypes, type), rawType: null }, getImportMatchOrders(), previousChanges, orderTypes);
+    }));
+  };
+
+  const handleToggleImportChange = (index, field) => {
+    setImportPreview(importPreview.map((row, i) => {
+      if (i !== index) return row;
+      const changes = row.changes.map(c => (c.field === field ? { ...c, accepted: !c.accepted } : c));
+      return { ...row, changes, importStatus: changes.some(c => c.accepted) ? 'Actualizar' : 'Sin cambios' };
+    }));
+  };
+
+  // Every order an imported row can match, archived ones included.
+  // The three lists never share an order: its status puts each one in exactly one of them.
+  const getExistingOrders = () => [...orders, ...pendingOrders, ...archivedOrders];
+
+  // Orders an import matches by number: the recycle bin too, so a trashed order is restored
+  // instead of being added again.
+  const getImportMatchOrders = () => [...getExistingOrders(), ...deletedOrders];
+
+  const formatCapacityDay = (date) => date.toLocaleDateString('es-ES', { weekday: 'long', day: 'numeric', month: 'long' });
+
+  // "El lunes, 5 de marzo ya tiene 7 de 6 pedidos de Instalación. Siguiente día con hueco: ..."
+  const describeOverbooking = ({ type, count, limit, nextFreeDay }, date) => (
+    `El ${formatCapacityDay(date)} tendría ${count} pedidos de ${getOrderTypeLabel(orderTypes, type)} y el máximo es ${limit}.`
+    + (nextFreeDay ? ` Siguiente día con hueco: ${formatCapacityDay(nextFreeDay)}.` : '')
+  );
+
+  const handleSaveCapacity = async (e) => {
+    e.preventDefault();
+    const form = new FormData(e.target);
+    const dailyCapacity = {};
+    orderTypes.forEach(({ id: type }) => {
+      const value = String(form.get(type) || '').trim();
+      if (value !== '') {
+        dailyCapacity[type] = Math.max(0, parseInt(value, 10) || 0);
       }
-      
-      if (parsedOrders.length > 0) {
+    });
+    try {
+      await commitWrite(batch => batch.set(doc(db, settingsDocPath), { dailyCapacity }, { merge: true }));
+      setMessage({ type: 'success', text: 'Capacidad diaria guardada.' });
+    } catch (error) {
+      console.error("Error saving daily capacity:", error);
+      setMessage({ type: 'error', text: 'Error al guardar la capacidad diaria.' });
+    }
+  };
+
+  const handlePreviewDateChange = (index, date) => {
+    setImportPreview(importPreview.map((row, i) => (i === index ? { ...row, deliveryDate: formatDateKey(date) } : row)));
+  };
+
+  const getImportSyncProposals = () => (importSyncMode
+    ? getSyncArchiveProposals({ preview: importPreview, unchanged: importUnchangedOrders, rejects: importRejects, activeOrders: [...orders, ...pendingOrders] })
+    : []);
+
+  const handleToggleSyncArchive = (id) => {
+    setSyncArchiveSkipped(syncArchiveSkipped.includes(id) ? syncArchiveSkipped.filter(skipped => skipped !== id) : [...syncArchiveSkipped, id]);
+  };
+
+  const processImport = ({ rows, fileName }, mapping) => {
+    try {
+      const { preview: parsedOrders, unchanged: unchangedOrders, rejects: rejectedRows } = buildImportPreview(rows, mapping, {
+        fallbackType: importOrderType,
+        fileName,
+        existingOrders: getImportMatchOrders(),
+        orderTypes,
+      });
+
+      if (parsedOrders.length > 0 || rejectedRows.length > 0 || (importSyncMode && unchangedOrders.length > 0)) {
         setImportPreview(parsedOrders);
+        setImportUnchangedOrders(unchangedOrders);
+        setImportRejects(rejectedRows);
         setIsImportPreviewModalOpen(true);
         setIsImportModalOpen(false);
+      } else if (unchangedOrders.length > 0) {
+        setMessage({ type: 'success', text: `Los ${unchangedOrders.length} pedidos del archivo ya coinciden con los existentes. No hay cambios que importar.` });
       } else {
         setMessage({ type: 'warning', text: 'El contenido está vacío o no contiene datos válidos. No se ha generado ninguna vista previa.' });
       }
@@ -445,254 +1571,2210 @@ const App = () => {
     }
   };
 
+  const handleRejectTextChange = (line, text) => {
+    setImportRejects(importRejects.map(reject => (reject.line === line ? { ...reject, text } : reject)));
+  };
+
+  // Re-validate an edited rejected line and move it to the preview when it is now valid.
+  const handleRevalidateReject = (line) => {
+    const reject = importRejects.find(r => r.line === line);
+    const cells = parseImportLine(reject.text, importData.delimiter);
+    const result = parseImportRow(cells, columnMapping, { fallbackType: importOrderType, fileName: importData.fileName, orderTypes });
+
+    if (result.skip || result.reason) {
+      const reason = result.reason || 'La línea parece un encabezado';
+      setImportRejects(importRejects.map(r => (r.line === line ? { ...r, reason } : r)));
+      return;
+    }
+
+    const row = getImportRowStatus({ ...result.order, line }, getImportMatchOrders(), [], orderTypes);
+    if (isUnchangedImportRow(row)) {
+      setImportUnchangedOrders([...importUnchangedOrders, { orderNumber: row.orderNumber, type: row.type }]);
+    } else {
+      setImportPreview([...importPreview, row].sort((a, b) => a.line - b.line));
+    }
+    setImportRejects(importRejects.filter(r => r.line !== line));
+  };
+
+  const handleDownloadRejects = () => {
+    const header = ['Línea', 'Motivo', 'Contenido'];
+    const lines = [header, ...importRejects.map(r => [r.line, r.reason, r.text])].map(cells => joinDelimitedCells(cells, ';'));
+    const baseName = importData.fileName ? importData.fileName.replace(/\.[^.]+$/, '') : 'texto-pegado';
+    downloadFile(`rechazos-${baseName}.csv`, `\uFEFF${lines.join('\r\n')}`, 'text/csv;charset=utf-8');
+  };
+
   const handleConfirmImport = async () => {
-    try {
-      const ordersToAdd = importPreview.filter(o => o.status === 'Nuevo');
-      const ordersToUpdate = importPreview.filter(o => o.status === 'Actualizar');
-      
-      const addPromises = ordersToAdd.map(order => {
-        const { status, ...rest } = order;
-        return addDoc(collection(db, `artifacts/${appId}/public/data/orders`), { ...rest, createdAt: new Date().toISOString() });
-      });
-      
-      const updatePromises = ordersToUpdate.map(order => {
-        const { status, id, ...rest } = order;
-        return updateDoc(doc(db, `artifacts/${appId}/public/data/orders`, id), rest);
-      });
-      
-      await Promise.all([...addPromises, ...updatePromises]);
-      setMessage({ type: 'success', text: `Se han importado ${ordersToAdd.length} pedidos nuevos y se han actualizado ${ordersToUpdate.length}.` });
-    } catch (error) {
-      console.error("Error importing orders:", error);
-      setMessage({ type: 'error', text: 'Error al importar los pedidos. Inténtalo de nuevo.' });
-    } finally {
-      closeModals();
+    if (importPreview.some(o => !o.type)) {
+      setMessage({ type: 'error', text: 'Hay pedidos sin tipo. Asígnales un tipo antes de confirmar la importación.' });
+      return;
     }
+
+    // New customers are written in the same batches as the orders linked to them,
+    // so a failed batch does not leave customers behind without orders.
+    const links = {};
+    const newCustomers = {};
+    getImportCustomerMatches(importPreview, customers).forEach(match => {
+      const action = importCustomerActions[match.key] || getDefaultCustomerAction(match);
+      if (action === 'link' && match.customer) {
+        links[match.key] = { id: match.customer.id, name: match.customer.name };
+      } else if (action === 'create') {
+        const customerRef = doc(collection(db, customersPath));
+        newCustomers[customerRef.id] = { ref: customerRef, data: { name: match.name, phone: '', email: '', address: match.address, notes: '', createdAt: new Date().toISOString() } };
+        links[match.key] = { id: customerRef.id, name: match.name };
+      }
+    });
+
+    const importFile = importData && importData.fileName ? importData.fileName : 'texto pegado';
+    const plannedWrites = planImportWrites({
+      preview: linkImportCustomers(importPreview, links),
+      existingOrders: getImportMatchOrders(),
+      ordersToArchive: getImportSyncProposals().filter(o => !syncArchiveSkipped.includes(o.id)),
+    });
+
+    closeModals();
+    const progressLabel = 'Importando pedidos';
+    const writes = plannedWrites.map(({ id, ...write }) => ({
+      ...write,
+      orderRef: id ? doc(db, ordersPath, id) : doc(collection(db, ordersPath)),
+      source: 'import',
+      file: importFile,
+      linkedDocs: write.after.customerId && newCustomers[write.after.customerId] ? [newCustomers[write.after.customerId]] : [],
+    }));
+    const { succeeded, failed } = await runOrderWrites(writes, progressLabel);
+    const createdCustomers = new Set(succeeded.filter(write => write.linkedDocs.length > 0).map(write => write.after.customerId)).size;
+    setWriteReport({ title: 'Importación de pedidos', progressLabel, succeeded, failed });
+
+    const countKind = (kind) => succeeded.filter(write => write.kind === kind).length;
+    const archivedCount = countKind('archive');
+    setMessage({
+      type: failed.length === 0 ? 'success' : 'error',
+      text: `Se han importado ${countKind('add')} pedidos nuevos y se han actualizado ${countKind('update')}.`
+        + (createdCustomers > 0 ? ` Se han creado ${createdCustomers} clientes.` : '')
+        + (archivedCount > 0 ? ` Se han archivado ${archivedCount} pedidos que no estaban en el archivo.` : '')
+        + (failed.length > 0 ? ` Han fallado ${failed.length} pedidos; puedes reintentarlo desde el informe.` : ''),
+    });
+  };
+
+  const handleExportOrders = (list, baseName, format) => {
+    if (list.length === 0) {
+      setMessage({ type: 'error', text: 'No hay pedidos que exportar.' });
+      return;
+    }
+    const { mimeType, serialize } = EXPORT_FORMATS[format];
+    downloadFile(`${baseName}.${format}`, serialize(list, appId, orderTypes), mimeType);
+    setMessage({ type: 'success', text: `Se han exportado ${list.length} pedidos.` });
+  };
+
+  const renderExportButtons = (list, baseName) => (
+    <div className="flex items-center space-x-1">
+      <Download size={18} className="text-gray-500 dark:text-gray-400" />
+      {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+        <button
+          key={format}
+          onClick={() => handleExportOrders(list, baseName, format)}
+          className="px-2 py-1 text-xs font-medium text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600 transition"
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+
+  const getComposedEmail = () => {
+    if (!emailCrewId) {
+      const routes = getDayRoutes(emailOrders, crews, settings.depot);
+      return composeOrdersEmail(emailOrders, { date: selectedDate, template: emailTemplate, routes, orderTypes });
+    }
+    const crewId = emailCrewId === EMAIL_UNASSIGNED ? null : emailCrewId;
+    const crewOrders = emailOrders.filter(order => (order.crewId || null) === crewId);
+    return composeOrdersEmail(crewOrders, {
+      date: selectedDate,
+      template: emailTemplate,
+      crewName: getCrewName(crews, crewId),
+      routes: getDayRoutes(crewOrders, crews, settings.depot),
+      orderTypes,
+    });
+  };
+
+  // A crew with an email gets it as the recipient; the saved recipients are for the whole day.
+  const handleEmailCrewChange = (value) => {
+    setEmailCrewId(value);
+    const crew = crews.find(c => c.id === value);
+    setEmailRecipients(crew && crew.email ? crew.email : loadPreference('emailRecipients', ''));
+  };
+
+  // Copy both versions so rich editors paste the HTML and plain ones the text.
+  const handleCopyEmailContent = async () => {
+    const { html, text } = getComposedEmail();
+    try {
+      if (typeof ClipboardItem !== 'undefined' && navigator.clipboard.write) {
+        await navigator.clipboard.write([new ClipboardItem({
+          'text/html': new Blob([html], { type: 'text/html' }),
+          'text/plain': new Blob([text], { type: 'text/plain' }),
+        })]);
+      } else {
+        await navigator.clipboard.writeText(text);
+      }
+      setMessage({ type: 'success', text: 'Contenido del email copiado al portapapeles.' });
+      closeModals();
+    } catch (error) {
+      console.error("Error copying the email:", error);
+      setMessage({ type: 'error', text: 'Error al copiar el contenido. Descarga el email o ábrelo en tu programa de correo.' });
+    }
+  };
+
+  const handleEmailRecipientsChange = (value) => {
+    setEmailRecipients(value);
+    if (!emailCrewId) {
+      savePreference('emailRecipients', value);
+    }
+  };
+
+  const handleDownloadEmail = () => {
+    downloadFile(`entregas-${formatDateKey(selectedDate)}.eml`, buildEml(getComposedEmail(), { to: emailRecipients }), 'message/rfc822');
+  };
+
+  const handleOpenEmailDraft = () => {
+    location.assign(buildMailtoUrl(getComposedEmail(), { to: emailRecipients }));
+  };
+
+  const handleSaveEmailTemplate = async () => {
+    try {
+      await commitWrite(batch => batch.set(doc(db, settingsDocPath), { emailTemplate }, { merge: true }));
+      setMessage({ type: 'success', text: 'Plantilla de email guardada para todo el equipo.' });
+    } catch (error) {
+      console.error("Error saving email template:", error);
+      setMessage({ type: 'error', text: 'Error al guardar la plantilla de email.' });
+    }
+  };
+
+  const daysInMonth = (date) => new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  const firstDayOfMonth = (date) => new Date(date.getFullYear(), date.getMonth(), 1).getDay();
+  const isSameDay = (d1, d2) => d1.getFullYear() === d2.getFullYear() && d1.getMonth() === d2.getMonth() && d1.getDate() === d2.getDate();
+  const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  const startOfWeek = (date) => addDays(date, -((date.getDay() + 6) % 7));
+
+  // Moves the calendar back or forward by one month, one week or one agenda period.
+  const shiftCalendar = (direction) => {
+    if (calendarMode === 'week') {
+      setSelectedDate(addDays(selectedDate, 7 * direction));
+    } else if (calendarMode === 'agenda') {
+      setSelectedDate(addDays(selectedDate, agendaDays * direction));
+    } else {
+      setSelectedDate(new Date(selectedDate.getFullYear(), selectedDate.getMonth() + direction, 1));
+    }
+  };
+
+  const handleCalendarModeChange = (mode) => {
+    setCalendarMode(mode);
+    savePreference('calendarMode', mode);
+    if (mode === 'agenda') {
+      setSelectedDate(new Date());
+    }
+  };
+
+  const handleAgendaDaysChange = (days) => {
+    setAgendaDays(days);
+    savePreference('agendaDays', days);
+  };
+
+  const getOrdersForDay = (date) => orders.filter(o => getDeliveryDate(o) === formatDateKey(date));
+
+  const openDay = (date) => {
+    setSelectedDate(date);
+    setDropMonth(date);
+    setSelectedOrderIds([]);
+    setView('dayOrders');
+  };
+
+  const isPastDay = (date) => date < new Date().setHours(0, 0, 0, 0);
+
+  const handleAllowPastDropsChange = (allowed) => {
+    setAllowPastDrops(allowed);
+    savePreference('allowPastDrops', allowed);
+  };
+
+  // Drag sources and drop targets exist only for users who can edit orders.
+  const orderDragProps = (order) => (can('edit') ? {
+    draggable: true,
+    onDragStart: (e) => {
+      e.dataTransfer.setData(ORDER_DRAG_TYPE, order.id);
+      e.dataTransfer.effectAllowed = 'move';
+    },
+    onDragEnd: () => setDropTargetKey(null),
+  } : {});
+
+  const dayDropProps = (date) => (can('edit') ? {
+    onDragOver: (e) => {
+      if (!e.dataTransfer.types.includes(ORDER_DRAG_TYPE)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      setDropTargetKey(formatDateKey(date));
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) {
+        setDropTargetKey(null);
+      }
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      setDropTargetKey(null);
+      const orderId = e.dataTransfer.getData(ORDER_DRAG_TYPE);
+      const order = [...orders, ...pendingOrders, ...archivedOrders].find(o => o.id === orderId);
+      if (order) {
+        handleRescheduleOrder(order, date);
+      }
+    },
+  } : {});
+
+  // Day plan columns: dropping an order on a crew assigns it.
+  const crewDropProps = (crewId) => (can('edit') ? {
+    onDragOver: (e) => {
+      if (!e.dataTransfer.types.includes(ORDER_DRAG_TYPE)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      setDropTargetKey(`crew:${crewId}`);
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) {
+        setDropTargetKey(null);
+      }
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      setDropTargetKey(null);
+      const order = getExistingOrders().find(o => o.id === e.dataTransfer.getData(ORDER_DRAG_TYPE));
+      if (order) {
+        handleAssignCrew([order], crewId);
+      }
+    },
+  } : {});
+
+  // Outline of the day an order is dragged over: red when the drop will be refused.
+  const dropHighlight = (date) => {
+    if (dropTargetKey !== formatDateKey(date)) return '';
+    return isPastDay(date) && !allowPastDrops ? 'ring-2 ring-red-500' : 'ring-2 ring-blue-500';
+  };
+
+  // One coloured chip per type present in the day, highest priority first.
+  // Types with a daily capacity show their usage, e.g. 7/6, and a warning when the day is over.
+  const renderTypeCounts = (dailyOrders) => {
+    const counts = dailyOrders.reduce((acc, order) => ({ ...acc, [order.type]: (acc[order.type] || 0) + 1 }), {});
+    const overbooked = getOverbookedTypes(counts, settings.dailyCapacity);
+    return (
+      <div className="flex flex-wrap items-center gap-1">
+        {Object.keys(counts)
+          .sort((a, b) => getOrderTypePriority(orderTypes, b) - getOrderTypePriority(orderTypes, a))
+          .map(type => {
+            const limit = getCapacityLimit(settings.dailyCapacity, type);
+            return (
+              <span
+                key={type}
+                title={limit === null ? getOrderTypeLabel(orderTypes, type) : `${getOrderTypeLabel(orderTypes, type)}: ${counts[type]} de ${limit}`}
+                className={`px-1.5 rounded-full text-xs font-semibold text-white ${getOrderTypeColor(orderTypes, type)} ${limit !== null && counts[type] > limit ? 'ring-2 ring-red-600' : ''}`}
+              >
+                {limit === null ? counts[type] : `${counts[type]}/${limit}`}
+              </span>
+            );
+          })}
+        {overbooked.length > 0 && (
+          <span title={`Capacidad superada: ${overbooked.map(({ type, count, limit }) => `${getOrderTypeLabel(orderTypes, type)} ${count}/${limit}`).join(', ')}`}>
+            <AlertTriangle size={14} className="text-red-600" />
+          </span>
+        )}
+      </div>
+    );
+  };
+
+  const renderCalendarOrder = (order) => (
+    <button
+      key={order.id}
+      {...orderDragProps(order)}
+      onClick={(e) => {
+        e.stopPropagation();
+        if (can('edit')) {
+          openOrderModal(order);
+        } else {
+          openDay(getDeliveryDay(order));
+        }
+      }}
+      className="w-full text-left p-2 rounded-lg bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition"
+    >
+      <div className="flex items-center space-x-2">
+        <span className={`w-2 h-2 rounded-full flex-shrink-0 ${getOrderTypeColor(orderTypes, order.type)}`}></span>
+        <span className="text-sm font-semibold text-gray-900 dark:text-white truncate">#{order.orderNumber}</span>
+      </div>
+      <p className="text-xs text-gray-600 dark:text-gray-300 truncate">{order.customerName}</p>
+    </button>
+  );
+
+  // `compact` is the small calendar shown next to the lists as a drop target.
+  const renderMonthGrid = (monthDate, today, compact = false) => {
+    const totalDays = daysInMonth(monthDate);
+    const firstDay = firstDayOfMonth(monthDate);
+    const blanks = Array(firstDay === 0 ? 6 : firstDay - 1).fill(null);
+    const days = Array.from({ length: totalDays }, (_, i) => i + 1);
+    const allDays = [...blanks, ...days];
+
+    return (
+      <div className="grid grid-cols-7 gap-1">
+        {['Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb', 'Dom'].map(day => (
+          <div key={day} className={`text-center font-bold text-gray-500 dark:text-gray-400 ${compact ? 'text-xs' : ''}`}>
+            {compact ? day.charAt(0) : day}
+          </div>
+        ))}
+        {allDays.map((day, index) => {
+          const date = day ? new Date(monthDate.getFullYear(), monthDate.getMonth(), day) : null;
+          const dailyOrders = date ? getOrdersForDay(date) : [];
+          const hasOrders = dailyOrders.length > 0;
+          const isToday = day && isSameDay(date, today);
+
+          return (
+            <div
+              key={index}
+              {...(day ? dayDropProps(date) : {})}
+              className={`
+                ${compact ? 'p-1 text-xs' : 'p-2'} aspect-square rounded-lg flex flex-col justify-between cursor-pointer
+                ${day ? 'hover:scale-105 transform transition duration-150' : ''}
+                ${day && !hasOrders ? 'bg-gray-100 dark:bg-gray-700' : ''}
+                ${isToday ? 'border-2 border-blue-500 dark:border-blue-400' : ''}
+                ${day ? dropHighlight(date) : ''}
+              `}
+              onClick={() => {
+                if (day) {
+                  openDay(date);
+                }
+              }}
+            >
+              <div className={`text-right font-bold ${isToday ? 'text-blue-600 dark:text-blue-400' : 'text-gray-700 dark:text-gray-100'}`}>
+                {day}
+              </div>
+              {hasOrders && (compact ? (
+                <span className="text-center font-semibold text-gray-500 dark:text-gray-400">{dailyOrders.length}</span>
+              ) : renderTypeCounts(dailyOrders))}
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  const renderWeekGrid = (weekDays, today) => (
+    <div className="grid grid-cols-1 md:grid-cols-7 gap-2">
+      {weekDays.map(date => {
+        const dailyOrders = getOrdersForDay(date);
+        const isToday = isSameDay(date, today);
+        return (
+          <div
+            key={date.toISOString()}
+            {...dayDropProps(date)}
+            className={`flex flex-col rounded-lg bg-white dark:bg-gray-800 shadow min-h-[12rem] ${isToday ? 'border-2 border-blue-500 dark:border-blue-400' : ''} ${dropHighlight(date)}`}
+          >
+            <button
+              onClick={() => openDay(date)}
+              className="p-2 border-b border-gray-200 dark:border-gray-700 text-left hover:bg-gray-50 dark:hover:bg-gray-700 rounded-t-lg"
+            >
+              <p className={`text-sm font-bold capitalize ${isToday ? 'text-blue-600 dark:text-blue-400' : 'text-gray-700 dark:text-gray-100'}`}>
+                {date.toLocaleDateString('es-ES', { weekday: 'short', day: 'numeric' })}
+              </p>
+              {dailyOrders.length > 0 && renderTypeCounts(dailyOrders)}
+            </button>
+            <div className="flex-1 p-2 space-y-1 overflow-y-auto">
+              {dailyOrders.map(renderCalendarOrder)}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  const renderAgenda = (agendaDates) => {
+    const agendaEntries = agendaDates
+      .map(date => ({ date, dailyOrders: getOrdersForDay(date) }))
+      .filter(entry => entry.dailyOrders.length > 0);
+
+    if (agendaEntries.length === 0) {
+      return (
+        <div className="text-center text-gray-500 dark:text-gray-400 p-8">
+          No hay pedidos en los próximos {agendaDays} días.
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-4">
+        {agendaEntries.map(({ date, dailyOrders }) => (
+          <div key={date.toISOString()} {...dayDropProps(date)} className={`bg-white dark:bg-gray-800 rounded-xl shadow p-4 ${dropHighlight(date)}`}>
+            <button onClick={() => openDay(date)} className="flex items-center justify-between w-full mb-2 text-left">
+              <span className="text-lg font-semibold capitalize text-gray-800 dark:text-gray-100">
+                {date.toLocaleDateString('es-ES', { weekday: 'long', day: 'numeric', month: 'long' })}
+              </span>
+              {renderTypeCounts(dailyOrders)}
+            </button>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
+              {dailyOrders.map(renderCalendarOrder)}
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  // The day view: one column per crew plus the unassigned orders, with bulk assignment.
+  const renderDayPlan = (dayOrders) => {
+    const groups = groupOrdersByCrew(dayOrders, crews);
+    const routes = getDayRoutes(dayOrders, crews, settings.depot);
+    const getRouteDistance = (crew) => {
+      const route = routes.find(r => (r.crew ? r.crew.id : null) === (crews.length > 0 ? crew.id : null));
+      return route && route.distanceKm !== null ? route.distanceKm : null;
+    };
+    const selectable = can('edit') && crews.length > 0;
+    const selectedOrders = dayOrders.filter(order => selectedOrderIds.includes(order.id));
+
+    return (
+      <div className="space-y-4">
+        {dayOrders.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2">
+            {can('edit') && (
+              <button onClick={() => handleOptimizeRoutes(dayOrders)} className="px-3 py-2 text-sm font-medium text-white bg-emerald-600 rounded-lg hover:bg-emerald-700 transition flex items-center space-x-2">
+                <Route size={16} />
+                <span>Optimizar ruta</span>
+              </button>
+            )}
+            <button onClick={() => handlePrintRoutes(dayOrders)} className="px-3 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition flex items-center space-x-2">
+              <Printer size={16} />
+              <span>Imprimir ruta</span>
+            </button>
+            {!hasCoordinates(settings.depot) && (
+              <span className="text-sm text-gray-500 dark:text-gray-400">Indica las coordenadas del almacén en Ajustes para calcular rutas.</span>
+            )}
+          </div>
+        )}
+        {selectable && selectedOrders.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 p-3 rounded-lg bg-blue-50 dark:bg-blue-900 dark:bg-opacity-30">
+            <span className="text-sm font-medium text-gray-800 dark:text-gray-100">{selectedOrders.length} seleccionados</span>
+            <select
+              value={bulkCrewId}
+              onChange={(e) => setBulkCrewId(e.target.value)}
+              className="rounded-md border-gray-300 text-sm shadow-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+            >
+              <option value="">{UNASSIGNED_CREW.name}</option>
+              {crews.map(crew => (
+                <option key={crew.id} value={crew.id}>{crew.name}</option>
+              ))}
+            </select>
+            <button onClick={() => handleAssignCrew(selectedOrders, bulkCrewId || null)} className="px-3 py-1 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition">
+              Asignar
+            </button>
+            <button onClick={() => setSelectedOrderIds([])} className="px-3 py-1 text-sm font-medium text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition">
+              Quitar selección
+            </button>
+          </div>
+        )}
+        <div className={`grid gap-4 ${groups.length > 1 ? 'xl:grid-cols-2' : ''}`}>
+          {groups.map(({ crew, orders: crewOrders }) => (
+            <div
+              key={crew.id || 'unassigned'}
+              {...crewDropProps(crew.id)}
+              className={`rounded-xl bg-gray-100 dark:bg-gray-900 p-3 ${dropTargetKey === `crew:${crew.id}` ? 'ring-2 ring-blue-500' : ''}`}
+            >
+              {(crews.length > 0 || getRouteDistance(crew) !== null) && (
+                <div className="flex items-baseline justify-between mb-2">
+                  <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100">
+                    {crews.length > 0 ? crew.name : 'Ruta'}
+                    {crew.vehicle && <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">{crew.vehicle}</span>}
+                  </h3>
+                  <span className="text-sm text-gray-500 dark:text-gray-400">
+                    {crewOrders.length} pedidos
+                    {getRouteDistance(crew) !== null && ` · ${formatDistanceKm(getRouteDistance(crew))}`}
+                  </span>
+                </div>
+              )}
+              {crewOrders.length > 0 ? (
+                renderOrderList(sortByRouteStop(crewOrders), false, selectable)
+              ) : (
+                <p className="text-center text-sm text-gray-500 dark:text-gray-400 p-4">
+                  {dayOrders.length === 0 ? 'No hay pedidos para este día.' : 'Sin pedidos. Arrastra aquí los pedidos de esta cuadrilla.'}
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  const renderAllowPastDrops = () => can('edit') && (
+    <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+      <input type="checkbox" checked={allowPastDrops} onChange={(e) => handleAllowPastDropsChange(e.target.checked)} />
+      <span>Permitir días pasados</span>
+    </label>
+  );
+
+  // Small month calendar next to the pending list and the day view, to drop orders on.
+  const renderDropCalendar = () => (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow p-3 space-y-2 self-start">
+      <div className="flex items-center justify-between">
+        <button onClick={() => setDropMonth(new Date(dropMonth.getFullYear(), dropMonth.getMonth() - 1, 1))} className="p-1 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition">
+          <ChevronLeft size={18} className="text-gray-700 dark:text-gray-300" />
+        </button>
+        <span className="text-sm font-semibold capitalize text-gray-800 dark:text-gray-100">
+          {dropMonth.toLocaleDateString('es-ES', { month: 'long', year: 'numeric' })}
+        </span>
+        <button onClick={() => setDropMonth(new Date(dropMonth.getFullYear(), dropMonth.getMonth() + 1, 1))} className="p-1 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition">
+          <ChevronRight size={18} className="text-gray-700 dark:text-gray-300" />
+        </button>
+      </div>
+      {renderMonthGrid(dropMonth, new Date(), true)}
+      <p className="text-xs text-gray-500 dark:text-gray-400">Arrastra un pedido a un día para cambiar su fecha de entrega.</p>
+      {renderAllowPastDrops()}
+    </div>
+  );
+
+  const renderCalendar = () => {
+    const today = new Date();
+    const weekDays = Array.from({ length: 7 }, (_, i) => addDays(startOfWeek(selectedDate), i));
+    const agendaDates = Array.from({ length: agendaDays }, (_, i) => addDays(selectedDate, i));
+
+    // The range shown by the current mode, used for the title and the export.
+    let rangeStart, rangeEnd, title;
+    if (calendarMode === 'week') {
+      [rangeStart, rangeEnd] = [weekDays[0], weekDays[6]];
+      title = `${rangeStart.toLocaleDateString('es-ES', { day: 'numeric', month: 'short' })} – ${rangeEnd.toLocaleDateString('es-ES', { day: 'numeric', month: 'short', year: 'numeric' })}`;
+    } else if (calendarMode === 'agenda') {
+      [rangeStart, rangeEnd] = [agendaDates[0], agendaDates[agendaDates.length - 1]];
+      title = isSameDay(rangeStart, today) ? `Próximos ${agendaDays} días` : `${agendaDays} días desde el ${rangeStart.toLocaleDateString('es-ES', { day: 'numeric', month: 'short' })}`;
+    } else {
+      rangeStart = new Date(selectedDate.getFullYear(), selectedDate.getMonth(), 1);
+      rangeEnd = new Date(selectedDate.getFullYear(), selectedDate.getMonth(), daysInMonth(selectedDate));
+      title = selectedDate.toLocaleDateString('es-ES', { month: 'long', year: 'numeric' });
+    }
+    const calendarOrders = orders.filter(o => {
+      const dateKey = getDeliveryDate(o);
+      return dateKey && dateKey >= formatDateKey(rangeStart) && dateKey <= formatDateKey(rangeEnd);
+    });
+    const exportName = calendarMode === 'month'
+      ? `pedidos-${formatDateKey(rangeStart).substring(0, 7)}`
+      : `pedidos-${formatDateKey(rangeStart)}-a-${formatDateKey(rangeEnd)}`;
+
+    return (
+      <div className="flex-1 p-4 overflow-y-auto">
+        <div className="flex items-center justify-between p-2 mb-4 bg-white dark:bg-gray-800 rounded-xl shadow-lg">
+          <button onClick={() => shiftCalendar(-1)} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition">
+            <ChevronLeft size={24} className="text-gray-700 dark:text-gray-300" />
+          </button>
+          <h2 className="text-xl font-semibold text-gray-800 dark:text-gray-100">
+            {title}
+          </h2>
+          <button onClick={() => shiftCalendar(1)} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition">
+            <ChevronRight size={24} className="text-gray-700 dark:text-gray-300" />
+          </button>
+        </div>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <div className="flex items-center space-x-1">
+            {Object.entries(CALENDAR_MODES).map(([mode, label]) => (
+              <button
+                key={mode}
+                onClick={() => handleCalendarModeChange(mode)}
+                className={`px-3 py-1 text-sm font-medium rounded-lg transition ${calendarMode === mode ? 'bg-blue-600 text-white' : 'text-gray-700 bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600'}`}
+              >
+                {label}
+              </button>
+            ))}
+            {calendarMode === 'agenda' && (
+              <select
+                value={agendaDays}
+                onChange={(e) => handleAgendaDaysChange(parseInt(e.target.value, 10))}
+                className="ml-2 rounded-md border-gray-300 text-sm shadow-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+              >
+                {AGENDA_DAY_OPTIONS.map(days => (
+                  <option key={days} value={days}>{days} días</option>
+                ))}
+              </select>
+            )}
+          </div>
+          <div className="flex items-center gap-4">
+            {renderAllowPastDrops()}
+            {renderExportButtons(calendarOrders, exportName)}
+          </div>
+        </div>
+        {calendarMode === 'month' && renderMonthGrid(selectedDate, today)}
+        {calendarMode === 'week' && renderWeekGrid(weekDays, today)}
+        {calendarMode === 'agenda' && renderAgenda(agendaDates)}
+      </div>
+    );
+  };
+  
+  // Every order once, labelled with the list it belongs to.
+  const getAllOrdersWithSet = () => {
+    const byId = new Map();
+    [[orders, 'confirmed'], [pendingOrders, 'pending'], [archivedOrders, 'archived']].forEach(([list, set]) => {
+      list.forEach(order => byId.set(order.id, { ...order, set }));
+    });
+    return [...byId.values()];
+  };
+
+  const getSearchResults = () => {
+    const words = normalizeText(searchQuery).split(/\s+/).filter(Boolean);
+    const { type, from, to, file, state } = searchFilters;
+
+    return getAllOrdersWithSet()
+      .filter(order => {
+        if (words.length > 0) {
+          const orderNumber = normalizeText(order.orderNumber);
+          const customerName = normalizeText(order.customerName);
+          const matchesNumber = orderNumber.includes(words.join(' '));
+          const matchesName = words.every(word => customerName.includes(word));
+          if (!matchesNumber && !matchesName) return false;
+        }
+        if (type && order.type !== type) return false;
+        if (file && (order.file || NO_FILE_FILTER) !== file) return false;
+        if (state === 'active' && order.set === 'archived') return false;
+        if (state === 'archived' && order.set !== 'archived') return false;
+        if (from || to) {
+          const dateKey = getDeliveryDate(order);
+          if (!dateKey) return false;
+          if ((from && dateKey < from) || (to && dateKey > to)) return false;
+        }
+        return true;
+      })
+      .sort((a, b) => String(getDeliveryDate(b) || '').localeCompare(String(getDeliveryDate(a) || '')));
+  };
+
+  const handleSearchChange = (value) => {
+    setSearchQuery(value);
+    if (value.trim()) {
+      setView('search');
+    }
+  };
+
+  // Opens the result in the edit modal and moves the calendar to its delivery day.
+  const handleOpenSearchResult = (order) => {
+    const day = getDeliveryDay(order);
+    if (day) {
+      openDay(day);
+    }
+    if (can('edit')) {
+      openOrderModal(order);
+    }
+  };
+
+  const renderSearch = () => {
+    const results = getSearchResults();
+    const files = [...new Set(getAllOrdersWithSet().map(o => o.file || NO_FILE_FILTER))].sort();
+    const setLabels = { confirmed: 'Confirmado', pending: 'Pendiente', archived: 'Archivado' };
+    const inputClassName = 'mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white';
+    const updateFilter = (field, value) => setSearchFilters({ ...searchFilters, [field]: value });
+
+    return (
+      <div className="flex-1 p-4 overflow-y-auto space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-3xl font-extrabold text-gray-800 dark:text-gray-100">Buscar Pedidos</h2>
+          {renderExportButtons(results, 'pedidos-busqueda')}
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4 bg-white dark:bg-gray-800 rounded-xl shadow-md p-4">
+          <div>
+            <label htmlFor="searchType" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Tipo</label>
+            <select id="searchType" value={searchFilters.type} onChange={(e) => updateFilter('type', e.target.value)} className={inputClassName}>
+              <option value="">Todos</option>
+              {orderTypes.map(type => (
+                <option key={type.id} value={type.id}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="searchFrom" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Desde</label>
+            <input id="searchFrom" type="date" value={searchFilters.from} onChange={(e) => updateFilter('from', e.target.value)} className={inputClassName} />
+          </div>
+          <div>
+            <label htmlFor="searchTo" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Hasta</label>
+            <input id="searchTo" type="date" value={searchFilters.to} onChange={(e) => updateFilter('to', e.target.value)} className={inputClassName} />
+          </div>
+          <div>
+            <label htmlFor="searchFile" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Archivo de origen</label>
+            <select id="searchFile" value={searchFilters.file} onChange={(e) => updateFilter('file', e.target.value)} className={inputClassName}>
+              <option value="">Todos</option>
+              {files.map(file => (
+                <option key={file} value={file}>{file === NO_FILE_FILTER ? 'Sin archivo (manual o texto pegado)' : file}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="searchState" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Estado</label>
+            <select id="searchState" value={searchFilters.state} onChange={(e) => updateFilter('state', e.target.value)} className={inputClassName}>
+              <option value="all">Todos</option>
+              <option value="active">Sin archivar</option>
+              <option value="archived">Archivados</option>
+            </select>
+          </div>
+        </div>
+        <div className="flex items-center justify-between text-sm text-gray-600 dark:text-gray-400">
+          <span>{results.length} pedidos encontrados.</span>
+          <button
+            onClick={() => { setSearchQuery(''); setSearchFilters(EMPTY_SEARCH_FILTERS); }}
+            className="text-blue-600 hover:underline dark:text-blue-400"
+          >
+            Limpiar búsqueda
+          </button>
+        </div>
+        {results.length === 0 ? (
+          <div className="text-center text-gray-500 dark:text-gray-400 p-8">
+            No hay pedidos que coincidan con la búsqueda.
+          </div>
+        ) : (
+          <ul className="space-y-2">
+            {results.map(order => (
+              <li key={order.id}>
+                <button
+                  onClick={() => handleOpenSearchResult(order)}
+                  className="w-full text-left bg-white dark:bg-gray-800 rounded-xl shadow-md p-4 flex flex-col md:flex-row md:items-center justify-between hover:bg-gray-50 dark:hover:bg-gray-700 transition"
+                >
+                  <div>
+                    <p className="text-lg font-bold text-gray-900 dark:text-white">Pedido #{order.orderNumber}</p>
+                    <p className="text-sm text-gray-600 dark:text-gray-300">Cliente: {order.customerName}</p>
+                    {order.file && <p className="text-xs text-gray-500 dark:text-gray-400">Archivo: {order.file}</p>}
+                  </div>
+                  <div className="flex items-center space-x-2 mt-2 md:mt-0">
+                    <span className={`inline-block px-2 py-1 text-xs font-semibold text-white rounded-full ${getOrderTypeColor(orderTypes, order.type)}`}>
+                      {getOrderTypeLabel(orderTypes, order.type)}
+                    </span>
+                    <span className="inline-block px-2 py-1 text-xs font-semibold rounded-full bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300">
+                      {setLabels[order.set]}
+                    </span>
+                    <span className="text-sm text-gray-500 dark:text-gray-400">
+                      {formatDeliveryDate(order.deliveryDate) || 'Sin fecha'}
+                    </span>
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  const renderTrash = () => {
+    const sortedDeleted = [...deletedOrders].sort((a, b) => String(b.deletedAt || '').localeCompare(String(a.deletedAt || '')));
+    const retentionMs = settings.trashRetentionDays * 24 * 60 * 60 * 1000;
+
+    return (
+      <div className="flex-1 p-4 overflow-y-auto space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <h2 className="text-3xl font-extrabold text-gray-800 dark:text-gray-100">Papelera</h2>
+          {can('bulkDelete') && (
+            <div className="flex items-center space-x-2">
+              <label htmlFor="trashRetentionDays" className="text-sm text-gray-700 dark:text-gray-300">Conservar durante</label>
+              <select
+                id="trashRetentionDays"
+                value={settings.trashRetentionDays}
+                onChange={(e) => handleRetentionChange(parseInt(e.target.value, 10))}
+                className="rounded-md border-gray-300 text-sm shadow-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+              >
+                {[...new Set([...TRASH_RETENTION_OPTIONS, settings.trashRetentionDays])].sort((a, b) => a - b).map(days => (
+                  <option key={days} value={days}>{days} días</option>
+                ))}
+              </select>
+              <button
+                onClick={() => setPurgeTarget(deletedOrders)}
+                disabled={deletedOrders.length === 0}
+                className="px-4 py-2 text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 transition disabled:opacity-50"
+              >
+                Vaciar Papelera
+              </button>
+            </div>
+          )}
+        </div>
+        {sortedDeleted.length === 0 ? (
+          <div className="text-center text-gray-500 dark:text-gray-400 p-8">
+            La papelera está vacía.
+          </div>
+        ) : (
+          <ul className="space-y-4">
+            {sortedDeleted.map(order => (
+              <li key={order.id} className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-4 flex flex-col md:flex-row items-start md:items-center justify-between">
+                <div className="flex-1 mb-2 md:mb-0">
+                  <p className="text-lg font-bold text-gray-900 dark:text-white">Pedido #{order.orderNumber}</p>
+                  <p className="text-sm text-gray-600 dark:text-gray-300">Cliente: {order.customerName}</p>
+                  <span className={`inline-block px-2 py-1 mt-1 text-xs font-semibold text-white rounded-full ${getOrderTypeColor(orderTypes, order.type)}`}>
+                    {getOrderTypeLabel(orderTypes, order.type)}
+                  </span>
+                  {order.deletedAt && (
+                    <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+                      {`Eliminado el ${new Date(order.deletedAt).toLocaleDateString()}. `}
+                      {`Se borrará definitivamente el ${new Date(new Date(order.deletedAt).getTime() + retentionMs).toLocaleDateString()}.`}
+                    </p>
+                  )}
+                </div>
+                <div className="flex space-x-2">
+                  <button onClick={() => handleShowHistory(order)} className="p-2 rounded-full text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700 transition">
+                    <History size={20} />
+                  </button>
+                  {can('edit') && (
+                    <button onClick={() => handleUndeleteOrders([order])} className="p-2 rounded-full text-blue-500 hover:bg-blue-100 dark:hover:bg-blue-900 transition">
+                      <ArchiveRestore size={20} />
+                    </button>
+                  )}
+                  {can('bulkDelete') && (
+                    <button onClick={() => setPurgeTarget([order])} className="p-2 rounded-full text-red-500 hover:bg-red-100 dark:hover:bg-red-900 transition">
+                      <Trash2 size={20} />
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  // Status badge of an order, or a menu with the statuses it can move to for those who can edit.
+  const renderOrderStatus = (order) => {
+    const status = getOrderStatus(order);
+    const badgeClass = `inline-block ml-2 px-2 py-1 mt-1 text-xs font-semibold rounded-full ${ORDER_STATUS_COLORS[status]}`;
+    const since = order.statusDates && order.statusDates[status];
+    const title = since ? `${ORDER_STATUS_LABELS[status]} desde el ${new Date(since).toLocaleString('es-ES')}` : undefined;
+    if (!can('edit') || STATUS_TRANSITIONS[status].length === 0) {
+      return <span title={title} className={badgeClass}>{ORDER_STATUS_LABELS[status]}</span>;
+    }
+    return (
+      <select
+        value={status}
+        title={title}
+        onChange={(e) => handleChangeStatus(order, e.target.value)}
+        aria-label={`Estado del pedido ${order.orderNumber}`}
+        className={`${badgeClass} border-0 py-0 pr-7 focus:ring-blue-500`}
+      >
+        {[status, ...STATUS_TRANSITIONS[status]].map(value => (
+          <option key={value} value={value}>{ORDER_STATUS_LABELS[value]}</option>
+        ))}
+      </select>
+    );
+  };
+
+  // `selectable` adds a checkbox per order for bulk crew assignment.
+  const renderOrderList = (list, isPending = false, selectable = false) => {
+    if (list.length === 0) {
+      return (
+        <div className="text-center text-gray-500 dark:text-gray-400 p-8">
+          No hay pedidos {isPending ? 'pendientes' : 'archivados'}.
+        </div>
+      );
+    }
+    
+    return (
+      <ul className="space-y-4">
+        {list.map(order => (
+          <li key={order.id} {...orderDragProps(order)} className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-4 flex flex-col md:flex-row items-start md:items-center justify-between transition-transform duration-200 hover:scale-[1.01]">
+            {selectable && (
+              <input
+                type="checkbox"
+                checked={selectedOrderIds.includes(order.id)}
+                onChange={() => toggleOrderSelection(order.id)}
+                aria-label={`Seleccionar pedido ${order.orderNumber}`}
+                className="mr-3 mb-2 md:mb-0 rounded border-gray-300"
+              />
+            )}
+            <div className="flex-1 mb-2 md:mb-0">
+              <p className="text-lg font-bold text-gray-900 dark:text-white">
+                {Number.isInteger(order.routeStop) && (
+                  <span className="inline-flex items-center justify-center w-7 h-7 mr-2 text-sm text-white bg-gray-700 rounded-full" title="Parada en la ruta">{order.routeStop}</span>
+                )}
+                Pedido #{order.orderNumber}
+              </p>
+              <p className="text-sm text-gray-600 dark:text-gray-300">
+                Cliente:{' '}
+                {order.customerId && customers.some(c => c.id === order.customerId) ? (
+                  <button onClick={() => openCustomerPage(order.customerId)} className="underline hover:text-blue-600 dark:hover:text-blue-400">{order.customerName}</button>
+                ) : order.customerName}
+              </p>
+              {order.address && (
+                <p className="flex items-center text-sm text-gray-600 dark:text-gray-300">
+                  <MapPin size={14} className={`mr-1 flex-shrink-0 ${hasCoordinates(order) ? '' : 'text-red-500'}`} />
+                  <span>{order.address}</span>
+                </p>
+              )}
+              <span className={`inline-block px-2 py-1 mt-1 text-xs font-semibold text-white rounded-full ${getOrderTypeColor(orderTypes, order.type)}`}>
+                {getOrderTypeLabel(orderTypes, order.type)}
+              </span>
+              {renderOrderStatus(order)}
+              {order.deliveryDate && (
+                <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+                  Fecha: {formatDeliveryDate(order.deliveryDate)}
+                </p>
+              )}
+              {order.crewId && (
+                <p className="text-sm text-gray-500 dark:text-gray-400">Cuadrilla: {getCrewName(crews, order.crewId)}</p>
+              )}
+              {formatOutstandingItems(order.lineItems) && (
+                <p className="text-sm text-amber-700 dark:text-amber-400">Por entregar: {formatOutstandingItems(order.lineItems)}</p>
+              )}
+            </div>
+            <div className="flex space-x-2">
+              {can('edit') && (
+                <button onClick={() => openOrderModal(order)} className="p-2 rounded-full text-blue-500 hover:bg-blue-100 dark:hover:bg-blue-900 transition">
+                  <Edit size={20} />
+                </button>
+              )}
+              <button onClick={() => handleShowHistory(order)} className="p-2 rounded-full text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700 transition">
+                <History size={20} />
+              </button>
+              {can('edit') && canTransition(getOrderStatus(order), 'entregado') && (
+                <button onClick={() => handleConfirmDelivery(order)} title="Confirmar entrega" className="p-2 rounded-full text-green-500 hover:bg-green-100 dark:hover:bg-green-900 transition">
+                  <Check size={20} />
+                </button>
+              )}
+              {can('edit') && isPending && (
+                <button onClick={() => handleArchiveOrder(order)} className="p-2 rounded-full text-yellow-500 hover:bg-yellow-100 dark:hover:bg-yellow-900 transition">
+                  <Archive size={20} />
+                </button>
+              )}
+              {can('edit') && order.archived && (
+                <button onClick={() => handleRestoreOrder(order)} className="p-2 rounded-full text-blue-500 hover:bg-blue-100 dark:hover:bg-blue-900 transition">
+                  <ArchiveRestore size={20} />
+                </button>
+              )}
+              {can('edit') && (
+                <button onClick={() => handleDeleteOrder(order)} className="p-2 rounded-full text-red-500 hover:bg-red-100 dark:hover:bg-red-900 transition">
+                  <Trash2 size={20} />
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    );
+  };
+  
+  // Customer names of the import: similar names can be linked to the existing customer
+  // and unknown ones get a new customer record on confirmation.
+  const renderImportCustomers = () => {
+    const matches = getImportCustomerMatches(importPreview, customers);
+    const toReview = matches.filter(match => match.kind !== 'exact');
+    if (toReview.length === 0) return null;
+    const getAction = (match) => importCustomerActions[match.key] || getDefaultCustomerAction(match);
+    const setAction = (match, action) => setImportCustomerActions({ ...importCustomerActions, [match.key]: action });
+    const knownCount = matches.length - toReview.length;
+
+    return (
+      <div className="mb-4 p-3 rounded-lg bg-gray-50 dark:bg-gray-700 text-sm text-gray-700 dark:text-gray-300">
+        <p className="font-medium mb-2">
+          Clientes: {knownCount > 0 ? `${knownCount} ya existen. ` : ''}Revisa los que no coinciden exactamente.
+        </p>
+        <ul className="space-y-1">
+          {toReview.map(match => (
+            <li key={match.key}>
+              <label className="flex items-center space-x-2">
+                {match.kind === 'similar' ? (
+                  <>
+                    <input type="checkbox" checked={getAction(match) === 'link'} onChange={(e) => setAction(match, e.target.checked ? 'link' : 'create')} className="rounded border-gray-300" />
+                    <span>«{match.name}» es el cliente <strong>{match.customer.name}</strong> (si no, se creará uno nuevo)</span>
+                  </>
+                ) : (
+                  <>
+                    <input type="checkbox" checked={getAction(match) === 'create'} onChange={(e) => setAction(match, e.target.checked ? 'create' : 'none')} className="rounded border-gray-300" />
+                    <span>Crear el cliente «{match.name}»</span>
+                  </>
+                )}
+              </label>
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  };
+
+  const renderImportPreview = () => {
+    const syncProposals = getImportSyncProposals();
+    const overbooking = getImportOverbooking(importPreview, getImportMatchOrders(), settings.dailyCapacity);
+    const overbookedCount = overbooking.filter(Boolean).length;
+    const formatFieldValue = (field, value) => {
+      if (!value) return '—';
+      if (field === 'deliveryDate') return formatDeliveryDate(value);
+      if (field === 'type') return getOrderTypeLabel(orderTypes, value);
+      return value;
+    };
+    const renderFieldChange = (order, index, field) => {
+      const change = order.changes && order.changes.find(c => c.field === field);
+      if (!change) return null;
+      return (
+        <label className="mt-1 flex items-center space-x-1 text-xs text-gray-500 dark:text-gray-400">
+          <input
+            type="checkbox"
+            checked={change.accepted}
+            onChange={() => handleToggleImportChange(index, field)}
+            className="rounded border-gray-300"
+          />
+          <span>Aplicar (antes: <span className="line-through">{formatFieldValue(field, change.before)}</span>)</span>
+        </label>
+      );
+    };
+
+    return (
+      <CustomModal title="Vista Previa de Importación" onClose={closeModals} fullWidth>
+        <div className="max-h-96 overflow-y-auto">
+          <p className="text-gray-600 dark:text-gray-400 mb-4">
+            Se han detectado {importPreview.length} pedidos{importRejects.length > 0 ? ` y ${importRejects.length} líneas rechazadas` : ''}. Revisa y confirma la importación.
+            {' '}Puedes corregir el tipo de cada pedido y elegir qué cambios aplicar a los pedidos existentes; los marcados «Sin cambios» no se importarán.
+            {importUnchangedOrders.length > 0 && ` ${importUnchangedOrders.length} pedidos del archivo ya coinciden con los existentes.`}
+          </p>
+          {renderImportCustomers()}
+          {overbookedCount > 0 && (
+            <p className="flex items-center space-x-2 mb-4 p-3 rounded-lg bg-red-50 text-sm text-red-700 dark:bg-red-900 dark:bg-opacity-30 dark:text-red-300">
+              <AlertTriangle size={16} className="flex-shrink-0" />
+              <span>{overbookedCount} pedidos superan la capacidad diaria de su día. Puedes moverlos al siguiente día con hueco o importarlos igualmente.</span>
+            </p>
+          )}
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead className="bg-gray-50 dark:bg-gray-700">
+              <tr>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                  Estado
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                  Nº de Pedido
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                  Cliente
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                  Fecha
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                  Tipo
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200 dark:bg-gray-800 dark:divide-gray-700">
+              {importPreview.map((order, index) => (
+                <tr key={index}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${order.importStatus === 'Nuevo' ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300' : order.importStatus === 'Actualizar' ? 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300' : 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300'}`}>
+                      {order.importStatus}
+                    </span>
+                    {order.changes && order.changes.some(c => c.field === 'deleted') && (
+                      <label className="mt-1 flex items-center space-x-1 text-xs text-gray-500 dark:text-gray-400">
+                        <input
+                          type="checkbox"
+                          checked={order.changes.find(c => c.field === 'deleted').accepted}
+                          onChange={() => handleToggleImportChange(index, 'deleted')}
+                          className="rounded border-gray-300"
+                        />
+                        <span>Restaurar de la papelera</span>
+                      </label>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">{order.orderNumber}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
+                    {order.customerName}
+                    {renderFieldChange(order, index, 'customerName')}
+                    {order.address && <p className="text-xs text-gray-500 dark:text-gray-400">{order.address}</p>}
+                    {renderFieldChange(order, index, 'address')}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-300">
+                    {formatDeliveryDate(order.deliveryDate)}
+                    {renderFieldChange(order, index, 'deliveryDate')}
+                    {overbooking[index] && (
+                      <div className="mt-1 text-xs text-red-600 dark:text-red-400 whitespace-normal">
+                        <p>Capacidad superada: {overbooking[index].count}/{overbooking[index].limit}</p>
+                        {overbooking[index].nextFreeDay && order.importStatus === 'Nuevo' && (
+                          <button onClick={() => handlePreviewDateChange(index, overbooking[index].nextFreeDay)} className="underline hover:text-red-800">
+                            Mover al {formatCapacityDay(overbooking[index].nextFreeDay)}
+                          </button>
+                        )}
+                        {overbooking[index].nextFreeDay && order.importStatus !== 'Nuevo' && (
+                          <p>Siguiente día con hueco: {formatCapacityDay(overbooking[index].nextFreeDay)}</p>
+                        )}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <div className="flex items-center space-x-2">
+                      <span className={`w-3 h-3 rounded-full flex-shrink-0 ${getOrderTypeColor(orderTypes, order.type)}`}></span>
+                      <select
+                        value={order.type}
+                        onChange={(e) => handlePreviewTypeChange(index, e.target.value)}
+                        className={`block rounded-md text-sm shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:text-white ${order.type ? 'border-gray-300 dark:border-gray-600' : 'border-red-500'}`}
+                      >
+                        <option value="">Sin tipo</option>
+                        {activeOrderTypes.map(type => (
+                          <option key={type.id} value={type.id}>{type.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    {order.rawType && (
+                      <p className="mt-1 text-xs text-red-600 dark:text-red-400">Tipo no reconocido: «{order.rawType}»</p>
+                    )}
+                    {renderFieldChange(order, index, 'type')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {importRejects.length > 0 && (
+            <div className="mt-6">
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="flex items-center space-x-2 text-lg font-semibold text-red-700 dark:text-red-400">
+                  <AlertTriangle size={20} />
+                  <span>{importRejects.length} líneas rechazadas</span>
+                </h4>
+                <button onClick={handleDownloadRejects} className="flex items-center space-x-1 px-3 py-1 text-sm font-medium text-red-700 bg-red-100 rounded-lg hover:bg-red-200 transition">
+                  <Download size={16} />
+                  <span>Descargar informe</span>
+                </button>
+              </div>
+              <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">
+                Corrige el texto de la línea y pulsa «Revalidar» para incluirla en la importación.
+              </p>
+              <ul className="space-y-2">
+                {importRejects.map(reject => (
+                  <li key={reject.line} className="p-3 rounded-lg bg-red-50 dark:bg-red-900 dark:bg-opacity-30">
+                    <div className="flex items-center justify-between text-sm">
+                      <span className="font-semibold text-gray-700 dark:text-gray-200">Línea {reject.line}</span>
+                      <span className="text-red-700 dark:text-red-300">{reject.reason}</span>
+                    </div>
+                    <div className="mt-2 flex space-x-2">
+                      <input
+                        type="text"
+                        value={reject.text}
+                        onChange={(e) => handleRejectTextChange(reject.line, e.target.value)}
+                        onKeyDown={(e) => { if (e.key === 'Enter') handleRevalidateReject(reject.line); }}
+                        className="flex-1 rounded-md border-gray-300 text-sm font-mono shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                      />
+                      <button onClick={() => handleRevalidateReject(reject.line)} className="px-3 py-1 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition">
+                        Revalidar
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {importSyncMode && (
+            <div className="mt-6">
+              <h4 className="flex items-center space-x-2 text-lg font-semibold text-yellow-700 dark:text-yellow-400 mb-2">
+                <Archive size={20} />
+                <span>{syncProposals.length} pedidos no aparecen en el archivo</span>
+              </h4>
+              {syncProposals.length > 0 ? (
+                <>
+                  <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">
+                    Los pedidos marcados se archivarán al confirmar la importación.
+                  </p>
+                  <ul className="space-y-1">
+                    {syncProposals.map(order => (
+                      <li key={order.id}>
+                        <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                          <input
+                            type="checkbox"
+                            checked={!syncArchiveSkipped.includes(order.id)}
+                            onChange={() => handleToggleSyncArchive(order.id)}
+                            className="rounded border-gray-300"
+                          />
+                          <span className={`w-3 h-3 rounded-full flex-shrink-0 ${getOrderTypeColor(orderTypes, order.type)}`}></span>
+                          <span>
+                            Pedido #{order.orderNumber} - {order.customerName}
+                            {order.deliveryDate ? ` (${formatDeliveryDate(order.deliveryDate)})` : ''}
+                          </span>
+                        </label>
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              ) : (
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  Todos los pedidos activos de estos tipos están en el archivo.
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+        <div className="mt-6 flex justify-end space-x-3">
+          {importData && (
+            <button onClick={handleEditMapping} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition">
+              Cambiar Columnas
+            </button>
+          )}
+          <button onClick={closeModals} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition">
+            Cancelar
+          </button>
+          <button onClick={handleConfirmImport} className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition">
+            Confirmar Importación
+          </button>
+        </div>
+      </CustomModal>
+  
+    );
+  };
+
+  const formatHistoryValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (field === 'deliveryDate') return formatDeliveryDate(value);
+    if (field === 'archived') return value ? 'Sí' : 'No';
+    if (field === 'type') return getOrderTypeLabel(orderTypes, value);
+    if (field === 'crewId') return getCrewName(crews, value);
+    if (field === 'status') return ORDER_STATUS_LABELS[value] || value;
+    return value;
+  };
+
+  // Quantities that go out with a delivery, prefilled with everything still outstanding.
+  const renderDeliveryForm = () => {
+    const items = normalizeLineItems(deliveryOrder.lineItems);
+    return (
+      <CustomModal title={`Confirmar Entrega del Pedido #${deliveryOrder.orderNumber}`} onClose={closeModals}>
+        <form onSubmit={handleRecordDelivery} className="space-y-4">
+          <p className="text-sm text-gray-600 dark:text-gray-300">Indica cuántas unidades de cada artículo se entregan hoy.</p>
+          <ul className="space-y-2">
+            {items.map((item, index) => (
+              <li key={index} className="flex items-center justify-between space-x-3">
+                <label htmlFor={`delivered-${index}`} className="text-sm text-gray-800 dark:text-gray-100">
+                  <span className="font-medium">{item.reference}</span>
+                  <span className="block text-xs text-gray-500 dark:text-gray-400">Entregadas {item.delivered} de {item.quantity}</span>
+                </label>
+                <input
+                  type="number"
+                  id={`delivered-${index}`}
+                  min="0"
+                  max={item.quantity - item.delivered}
+                  step="1"
+                  value={deliveryQuantities[index] ?? ''}
+                  onChange={(e) => setDeliveryQuantities(deliveryQuantities.map((value, i) => (i === index ? e.target.value : value)))}
+                  className="w-24 rounded-md border-gray-300 text-sm shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                />
+              </li>
+            ))}
+          </ul>
+          <div className="flex justify-end space-x-3">
+            <button type="button" onClick={closeModals} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition">
+              Cancelar
+            </button>
+            <button type="submit" className="px-4 py-2 text-sm font-medium text-white bg-green-600 rounded-lg hover:bg-green-700 transition">
+              Confirmar Entrega
+            </button>
+          </div>
+        </form>
+      </CustomModal>
+    );
+  };
+
+  const renderHistory = () => (
+    <CustomModal title={`Historial del Pedido #${historyOrder.orderNumber}`} onClose={closeModals}>
+      <div className="max-h-96 overflow-y-auto">
+        {historyEntries === null && (
+          <p className="text-center text-gray-500 dark:text-gray-400 p-4">Cargando...</p>
+        )}
+        {historyEntries && historyEntries.length === 0 && (
+          <p className="text-center text-gray-500 dark:text-gray-400 p-4">No hay cambios registrados para este pedido.</p>
+        )}
+        {historyEntries && historyEntries.length > 0 && (
+          <ul className="space-y-3">
+            {historyEntries.map(entry => (
+              <li key={entry.id} className="p-3 rounded-lg bg-gray-50 dark:bg-gray-700">
+                <div className="flex items-center justify-between text-sm">
+                  <span className="font-semibold text-gray-800 dark:text-gray-100">
+                    {HISTORY_SOURCE_LABELS[entry.source] || entry.source}
+                    {entry.file ? ` (${entry.file})` : ''}
+                  </span>
+                  <span className="text-gray-500 dark:text-gray-400">{new Date(entry.timestamp).toLocaleString()}</span>
+                </div>
+                <p className="text-xs text-gray-500 dark:text-gray-400">Usuario: {entry.userId || 'desconocido'}</p>
+                <ul className="mt-2 space-y-1 text-sm">
+                  {Object.entries(entry.changes).map(([field, change]) => (
+                    <li key={field} className="text-gray-700 dark:text-gray-300">
+                      <span className="font-medium">{AUDITED_FIELDS[field] || field}:</span>{' '}
+                      <span className="line-through text-gray-500 dark:text-gray-400">{formatHistoryValue(field, change.before)}</span>
+                      {' → '}
+                      <span>{formatHistoryValue(field, change.after)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </CustomModal>
+  );
+
+  const renderWriteProgress = () => {
+    const percent = writeProgress.total > 0 ? Math.round((writeProgress.done / writeProgress.total) * 100) : 100;
+    return (
+      <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+        <div className="w-full max-w-md rounded-xl bg-white p-6 shadow-2xl dark:bg-gray-800">
+          <p className="font-semibold text-gray-900 dark:text-white">{writeProgress.label}...</p>
+          <div className="mt-4 h-3 w-full overflow-hidden rounded-full bg-gray-200 dark:bg-gray-700">
+            <div className="h-full bg-blue-600 transition-all" style={{ width: `${percent}%` }} />
+          </div>
+          <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+            {writeProgress.done} de {writeProgress.total} pedidos ({percent}%)
+          </p>
+        </div>
+      </div>
+    );
+  };
+
+  const renderWriteReport = () => {
+    const { title, succeeded, failed } = writeReport;
+    return (
+      <CustomModal title={`Informe: ${title}`} onClose={() => setWriteReport(null)}>
+        <p className="text-gray-700 dark:text-gray-300">
+          {`${succeeded.length} pedidos guardados correctamente, ${failed.length} con error.`}
+        </p>
+        {failed.length > 0 && (
+          <div className="mt-4">
+            <h4 className="font-semibold text-red-600 dark:text-red-400">Pedidos con error</h4>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Estos pedidos no se han modificado. Puedes reintentarlos sin repetir los que ya se guardaron.
+            </p>
+            <ul className="mt-2 max-h-40 overflow-y-auto text-sm text-gray-800 dark:text-gray-200">
+              {failed.map(write => (
+                <li key={write.orderRef.id}>{getWriteOrderNumber(write)}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {succeeded.length > 0 && (
+          <details className="mt-4">
+            <summary className="cursor-pointer font-semibold text-green-700 dark:text-green-400">Pedidos guardados</summary>
+            <ul className="mt-2 max-h-40 overflow-y-auto text-sm text-gray-800 dark:text-gray-200">
+              {succeeded.map(write => (
+                <li key={write.orderRef.id}>{getWriteOrderNumber(write)}</li>
+              ))}
+            </ul>
+          </details>
+        )}
+        <div className="mt-6 flex justify-end space-x-4">
+          <button
+            onClick={() => setWriteReport(null)}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition"
+          >
+            Cerrar
+          </button>
+          {failed.length > 0 && (
+            <button
+              onClick={handleRetryFailedWrites}
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition"
+            >
+              Reintentar Fallidos
+            </button>
+          )}
+        </div>
+      </CustomModal>
+    );
+  };
+
+  const renderEmailComposer = () => {
+    const email = getComposedEmail();
+    const inputClass = "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white";
+    const updateTemplate = (field, value) => setEmailTemplate(template => ({ ...template, [field]: value }));
+
+    return (
+      <CustomModal title="Email Diario de Pedidos" onClose={closeModals} fullWidth>
+        <div className="grid gap-6 md:grid-cols-2">
+          <div className="space-y-3">
+            {crews.length > 0 && (
+              <div>
+                <label htmlFor="emailCrew" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Cuadrilla</label>
+                <select id="emailCrew" value={emailCrewId} onChange={(e) => handleEmailCrewChange(e.target.value)} className={inputClass}>
+                  <option value="">Todas las cuadrillas</option>
+                  {crews.map(crew => (
+                    <option key={crew.id} value={crew.id}>{crew.name}</option>
+                  ))}
+                  <option value={EMAIL_UNASSIGNED}>{UNASSIGNED_CREW.name}</option>
+                </select>
+              </div>
+            )}
+            <div>
+              <label htmlFor="emailRecipients" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Para</label>
+              <input type="text" id="emailRecipients" value={emailRecipients} onChange={(e) => handleEmailRecipientsChange(e.target.value)} placeholder="equipo@ejemplo.com, otro@ejemplo.com" className={inputClass} />
+            </div>
+            <div>
+              <label htmlFor="emailSubject" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Asunto</label>
+              <input type="text" id="emailSubject" value={emailTemplate.subject} onChange={(e) => updateTemplate('subject', e.target.value)} className={inputClass} />
+            </div>
+            <div>
+              <label htmlFor="emailGreeting" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Saludo</label>
+              <textarea id="emailGreeting" rows="3" value={emailTemplate.greeting} onChange={(e) => updateTemplate('greeting', e.target.value)} className={inputClass} />
+            </div>
+            <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+              <input type="checkbox" checked={emailTemplate.groupByType} onChange={(e) => updateTemplate('groupByType', e.target.checked)} />
+              <span>Agrupar los pedidos por tipo</span>
+            </label>
+            <div>
+              <label htmlFor="emailFooter" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Pie</label>
+              <textarea id="emailFooter" rows="3" value={emailTemplate.footer} onChange={(e) => updateTemplate('footer', e.target.value)} className={inputClass} />
+            </div>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {'{fecha} se sustituye por el día, {total} por el número de pedidos y {cuadrilla} por la cuadrilla.'}
+            </p>
+            {can('manageSettings') && (
+              <button
+                onClick={handleSaveEmailTemplate}
+                className="px-3 py-1 text-sm font-medium text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600 transition"
+              >
+                Guardar como Plantilla del Equipo
+              </button>
+            )}
+          </div>
+          <div>
+            <div className="flex space-x-2 mb-2">
+              {[['html', 'Vista Previa'], ['text', 'Texto Plano']].map(([view, label]) => (
+                <button
+                  key={view}
+                  onClick={() => setEmailView(view)}
+                  className={`px-3 py-1 text-sm rounded-lg transition ${emailView === view ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-200'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <p className="font-semibold text-gray-900 dark:text-white mb-2">{email.subject}</p>
+            {emailView === 'html' ? (
+              // Every customer and template value is escaped by composeOrdersEmail.
+              <div
+                className="p-4 bg-gray-100 dark:bg-gray-700 rounded-lg border border-gray-300 dark:border-gray-600 overflow-auto max-h-96 text-gray-900 dark:text-gray-100"
+                dangerouslySetInnerHTML={{ __html: email.html }}
+              />
+            ) : (
+              <pre className="p-4 bg-gray-100 dark:bg-gray-700 rounded-lg border border-gray-300 dark:border-gray-600 overflow-auto max-h-96 whitespace-pre-wrap text-sm text-gray-900 dark:text-gray-100">{email.text}</pre>
+            )}
+          </div>
+        </div>
+        <div className="mt-6 flex flex-wrap justify-end gap-2">
+          <button
+            onClick={handleOpenEmailDraft}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition"
+          >
+            Abrir en el Correo
+          </button>
+          <button
+            onClick={handleDownloadEmail}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition"
+          >
+            Descargar .eml
+          </button>
+          <button
+            onClick={handleCopyEmailContent}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition"
+          >
+            Copiar al Portapapeles
+          </button>
+        </div>
+      </CustomModal>
+    );
+  };
+
+  const renderColumnMapping = () => {
+    const { rows } = importData;
+    const columnCount = Math.max(0, ...rows.slice(0, 20).map(row => row.cells.length));
+    const columns = Array.from({ length: columnCount }, (_, i) => i);
+    const sampleRows = columnMapping.hasHeader ? rows.slice(1, 6) : rows.slice(0, 5);
+    const columnLabel = (i) => (columnMapping.hasHeader && rows[0].cells[i] ? `Columna ${i + 1} (${rows[0].cells[i]})` : `Columna ${i + 1}`);
+    const fields = [
+      { key: 'orderNumber', label: 'Nº de Pedido' },
+      { key: 'customerName', label: 'Cliente' },
+      { key: 'deliveryDate', label: 'Fecha de Entrega' },
+      { key: 'type', label: 'Tipo (opcional)', optional: true },
+      { key: 'address', label: 'Dirección (opcional)', optional: true },
+      { key: 'coordinates', label: 'Coordenadas (opcional)', optional: true },
+    ];
+
+    return (
+      <CustomModal title="Asignar Columnas" onClose={closeModals} fullWidth>
+        <p className="text-gray-600 dark:text-gray-400 mb-4">
+          Indica qué columna contiene cada dato. La asignación se recordará para las próximas importaciones de {importData.fileName ? `archivos como ${importData.fileName}` : 'este formato'}.
+        </p>
+        <label className="flex items-center space-x-2 mb-4 text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={columnMapping.hasHeader}
+            onChange={(e) => setColumnMapping({ ...columnMapping, hasHeader: e.target.checked })}
+            className="rounded border-gray-300"
+          />
+          <span>La primera fila es un encabezado</span>
+        </label>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+          {fields.map(field => (
+            <div key={field.key}>
+              <label htmlFor={`mapping-${field.key}`} className="block text-sm font-medium text-gray-700 dark:text-gray-300">{field.label}</label>
+              <select
+                id={`mapping-${field.key}`}
+                value={columnMapping[field.key] ?? -1}
+                onChange={(e) => setColumnMapping({ ...columnMapping, [field.key]: parseInt(e.target.value, 10) })}
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+              >
+                <option value={-1}>{field.optional ? 'Ninguna' : 'Selecciona una columna...'}</option>
+                {columns.map(i => (
+                  <option key={i} value={i}>{columnLabel(i)}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+        <div className="max-h-64 overflow-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead className="bg-gray-50 dark:bg-gray-700">
+              <tr>
+                {columns.map(i => (
+                  <th key={i} scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                    {columnLabel(i)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200 dark:bg-gray-800 dark:divide-gray-700">
+              {sampleRows.map(row => (
+                <tr key={row.line}>
+                  {columns.map(i => (
+                    <td key={i} className="px-4 py-2 whitespace-nowrap text-sm text-gray-900 dark:text-white">{row.cells[i]}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="mt-6 flex justify-end space-x-3">
+          <button onClick={closeModals} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition">
+            Cancelar
+          </button>
+          <button onClick={handleConfirmMapping} className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition">
+            Previsualizar
+          </button>
+        </div>
+      </CustomModal>
+    );
+  };
+
+  // Accounts of the default workspace, or the members of another one with their role there.
+  const renderUsers = () => {
+    const sortedUsers = [...users].sort((a, b) => String(a.email || a.id).localeCompare(String(b.email || b.id)));
+    const isMemberList = !isDefaultWorkspace(workspaceId);
+    const candidates = accounts
+      .filter(account => !users.some(user => user.id === account.id))
+      .sort((a, b) => String(a.email || a.id).localeCompare(String(b.email || b.id)));
+    return (
+      <div className="flex-1 p-4 overflow-y-auto space-y-4">
+        <h2 className="text-3xl font-extrabold text-gray-800 dark:text-gray-100">
+          {isMemberList ? `Usuarios de ${getWorkspaceName(accessibleWorkspaces, workspaceId)}` : 'Usuarios'}
+        </h2>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Los lectores solo consultan los pedidos, los operadores crean, editan e importan, y los administradores además eliminan en bloque y gestionan usuarios.
+          {isMemberList && ' Solo los miembros de la delegación ven sus pedidos; los administradores de la delegación principal tienen acceso a todas.'}
+        </p>
+        {isMemberList && isManager && (
+          <form onSubmit={handleAddMember} className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-4 grid gap-2 sm:grid-cols-[1fr_auto_auto] items-center">
+            <select name="accountId" aria-label="Cuenta" required defaultValue="" className="rounded-md border-gray-300 text-sm shadow-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white">
+              <option value="" disabled>Añadir una cuenta...</option>
+              {candidates.map(account => (
+                <option key={account.id} value={account.id}>{account.email || account.id}</option>
+              ))}
+            </select>
+            <select name="role" aria-label="Rol en la delegación" defaultValue={DEFAULT_ROLE} className="rounded-md border-gray-300 text-sm shadow-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white">
+              {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <button type="submit" className="px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition">
+              Añadir
+            </button>
+          </form>
+        )}
+        {isMemberList && sortedUsers.length === 0 && (
+          <p className="text-gray-500 dark:text-gray-400">Esta delegación aún no tiene miembros.</p>
+        )}
+        <ul className="space-y-2">
+          {sortedUsers.map(user => (
+            <li key={user.id} className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-4 flex items-center justify-between">
+              <div>
+                <p className="font-semibold text-gray-900 dark:text-white">{user.email || user.id}</p>
+                {user.id === userId && <p className="text-xs text-gray-500 dark:text-gray-400">Tu cuenta</p>}
+              </div>
+              <div className="flex items-center space-x-2">
+                <select
+                  value={ROLE_PERMISSIONS[user.role] ? user.role : DEFAULT_ROLE}
+                  onChange={(e) => handleRoleChange(user, e.target.value)}
+                  disabled={user.id === userId}
+                  className="rounded-md border-gray-300 text-sm shadow-sm dark:bg-gray-700 dark:border-gray-600 dark:text-white disabled:opacity-50"
+                >
+                  {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                {isMemberList && user.id !== userId && (
+                  <button onClick={() => handleRemoveMember(user)} title="Quitar de la delegación" className="p-2 rounded-full text-red-600 hover:bg-red-100 dark:hover:bg-red-900 transition">
+                    <X size={18} />
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  };
+
+  const pickCustomer = (customer) => {
+    setCustomerQuery(customer.name);
+    setPickedCustomerId(customer.id);
+    setIsCustomerListOpen(false);
+    if (addressInputRef.current && !addressInputRef.current.value && customer.address) {
+      addressInputRef.current.value = customer.address;
+    }
+  };
+
+  // Customer name of the order form, with suggestions from the customer records.
+  const renderCustomerPicker = () => {
+    const suggestions = isCustomerListOpen ? searchCustomers(customers, customerQuery) : [];
+    const match = pickedCustomerId ? null : matchCustomer(customers, customerQuery);
+    const isKnownCustomer = Boolean(pickedCustomerId) || Boolean(match && match.exact);
+
+    return (
+      <div className="relative">
+        <label htmlFor="customerName" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Nombre del Cliente</label>
+        <input
+          type="text"
+          id="customerName"
+          name="customerName"
+          required
+          autoComplete="off"
+          value={customerQuery}
+          onChange={(e) => { setCustomerQuery(e.target.value); setPickedCustomerId(null); setIsCustomerListOpen(true); }}
+          onFocus={() => setIsCustomerListOpen(true)}
+          onBlur={() => setIsCustomerListOpen(false)}
+          onKeyDown={(e) => { if (e.key === 'Escape') setIsCustomerListOpen(false); }}
+          className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+        />
+        {suggestions.length > 0 && (
+          <ul role="listbox" className="absolute z-10 mt-1 w-full max-h-56 overflow-y-auto rounded-md bg-white dark:bg-gray-700 shadow-lg border border-gray-200 dark:border-gray-600">
+            {suggestions.map(customer => (
+              <li key={customer.id} role="option" aria-selected={customer.id === pickedCustomerId}>
+                <button type="button" onMouseDown={(e) => e.preventDefault()} onClick={() => pickCustomer(customer)} className="w-full text-left px-3 py-2 text-sm hover:bg-blue-50 dark:hover:bg-gray-600">
+                  <span className="font-medium text-gray-900 dark:text-white">{customer.name}</span>
+                  {(customer.phone || customer.address) && (
+                    <span className="block text-xs text-gray-500 dark:text-gray-400">{[customer.phone, customer.address].filter(Boolean).join(' · ')}</span>
+                  )}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        {match && !match.exact && (
+          <p className="mt-1 text-xs text-gray-600 dark:text-gray-400">
+            ¿Te refieres a{' '}
+            <button type="button" onClick={() => pickCustomer(match.customer)} className="underline text-blue-600 dark:text-blue-400">{match.customer.name}</button>?
+          </p>
+        )}
+        {customerQuery.trim() && !isKnownCustomer && (
+          <label className="mt-1 flex items-center space-x-2 text-xs text-gray-600 dark:text-gray-400">
+            <input type="checkbox" name="createCustomer" defaultChecked className="rounded border-gray-300" />
+            <span>Crear ficha de cliente</span>
+          </label>
+        )}
+      </div>
+    );
+  };
+
+  // Products of the order form: reference, quantity ordered and quantity already delivered.
+  const renderLineItemsEditor = () => {
+    const inputClass = "block w-full rounded-md border-gray-300 text-sm shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white";
+    const updateItem = (index, field, value) => setLineItemsDraft(lineItemsDraft.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+    return (
+      <div>
+        <span className="block text-sm font-medium text-gray-700 dark:text-gray-300">Artículos</span>
+        {lineItemsDraft.length > 0 && (
+          <div className="mt-1 grid grid-cols-[1fr_5rem_5rem_auto] gap-2 items-center text-xs text-gray-500 dark:text-gray-400">
+            <span>Referencia</span>
+            <span>Pedidas</span>
+            <span>Entregadas</span>
+            <span></span>
+            {lineItemsDraft.map((item, index) => (
+              <React.Fragment key={index}>
+                <input type="text" aria-label={`Referencia del artículo ${index + 1}`} value={item.reference} onChange={(e) => updateItem(index, 'reference', e.target.value)} className={inputClass} />
+                <input type="number" min="1" step="1" aria-label={`Cantidad pedida del artículo ${index + 1}`} value={item.quantity} onChange={(e) => updateItem(index, 'quantity', e.target.value)} className={inputClass} />
+                <input type="number" min="0" step="1" aria-label={`Cantidad entregada del artículo ${index + 1}`} value={item.delivered} onChange={(e) => updateItem(index, 'delivered', e.target.value)} className={inputClass} />
+                <button type="button" onClick={() => setLineItemsDraft(lineItemsDraft.filter((_, i) => i !== index))} aria-label={`Quitar el artículo ${index + 1}`} className="p-1 rounded-full text-red-500 hover:bg-red-100 dark:hover:bg-red-900 transition">
+                  <X size={16} />
+                </button>
+              </React.Fragment>
+            ))}
+          </div>
+        )}
+        <button type="button" onClick={() => setLineItemsDraft([...lineItemsDraft, { reference: '', quantity: '1', delivered: '0' }])} className="mt-2 flex items-center text-sm text-blue-600 dark:text-blue-400 hover:underline">
+          <Plus size={16} className="mr-1" /> Añadir artículo
+        </button>
+      </div>
+    );
+  };
+
+  // Warning under the order form's date when the day is full for the chosen type.
+  const renderOrderCapacityWarning = () => {
+    const deliveryDate = parseDateKey(orderDraft.deliveryDate);
+    if (!deliveryDate) return null;
+    const overbooking = checkOrderCapacity(getExistingOrders(), settings.dailyCapacity, { id: currentOrder?.id, type: orderDraft.type, deliveryDate: orderDraft.deliveryDate });
+    if (!overbooking) return null;
+    const useNextFreeDay = () => {
+      const value = formatDateKey(overbooking.nextFreeDay);
+      deliveryDateInputRef.current.value = value;
+      setOrderDraft({ ...orderDraft, deliveryDate: value });
+    };
+    return (
+      <div className="mt-2 flex items-start space-x-2 p-2 rounded-lg bg-red-50 text-sm text-red-700 dark:bg-red-900 dark:bg-opacity-30 dark:text-red-300">
+        <AlertTriangle size={16} className="flex-shrink-0 mt-0.5" />
+        <div>
+          <p>{describeOverbooking(overbooking, deliveryDate)}</p>
+          {overbooking.nextFreeDay && (
+            <button type="button" onClick={useNextFreeDay} className="mt-1 font-semibold underline">
+              Usar el {formatCapacityDay(overbooking.nextFreeDay)}
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const renderCustomerForm = (customer = null) => {
+    const inputClass = "mt-1 block w-full rounded-md border-gray-300 text-sm shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white disabled:opacity-75";
+    const labelClass = "block text-sm font-medium text-gray-700 dark:text-gray-300";
+    const readOnly = !can('edit');
+    return (
+      <form key={customer ? JSON.stringify(customer) : 'new'} onSubmit={(e) => handleSaveCustomer(e, customer)} className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-4 grid gap-3 sm:grid-cols-2">
+        <div>
+          <label htmlFor={`customer-name-${customer?.id || 'new'}`} className={labelClass}>Nombre</label>
+          <input type="text" id={`customer-name-${customer?.id || 'new'}`} name="name" required disabled={readOnly} defaultValue={customer?.name || ''} className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor={`customer-phone-${customer?.id || 'new'}`} className={labelClass}>Teléfono</label>
+          <input type="tel" id={`customer-phone-${customer?.id || 'new'}`} name="phone" disabled={readOnly} defaultValue={customer?.phone || ''} className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor={`customer-email-${customer?.id || 'new'}`} className={labelClass}>Email</label>
+          <input type="email" id={`customer-email-${customer?.id || 'new'}`} name="email" disabled={readOnly} defaultValue={customer?.email || ''} className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor={`customer-address-${customer?.id || 'new'}`} className={labelClass}>Dirección</label>
+          <input type="text" id={`customer-address-${customer?.id || 'new'}`} name="address" disabled={readOnly} defaultValue={customer?.address || ''} className={inputClass} />
+        </div>
+        <div className="sm:col-span-2">
+          <label htmlFor={`customer-notes-${customer?.id || 'new'}`} className={labelClass}>Notas</label>
+          <textarea id={`customer-notes-${customer?.id || 'new'}`} name="notes" rows="3" disabled={readOnly} defaultValue={customer?.notes || ''} className={inputClass} />
+        </div>
+        {!readOnly && (
+          <div className="sm:col-span-2 flex justify-end space-x-2">
+            {customer && can('bulkDelete') && (
+              <button type="button" onClick={() => handleDeleteCustomer(customer)} className="px-4 py-2 text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 transition">
+                Eliminar Cliente
+              </button>
+            )}
+            <button type="submit" className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition">
+              {customer ? 'Guardar Cliente' : 'Añadir Cliente'}
+            </button>
+          </div>
+        )}
+      </form>
+    );
+  };
+
+  // A customer's record and every order of theirs, pending, confirmed or archived.
+  const renderCustomerDetail = (customer) => {
+    const sections = [
+      { title: 'Pendientes', list: getCustomerOrders(customer, pendingOrders) },
+      { title: 'Confirmados', list: getCustomerOrders(customer, orders) },
+      { title: 'Archivados', list: getCustomerOrders(customer, archivedOrders) },
+    ];
+    return (
+      <div className="flex-1 p-4 overflow-y-auto space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-3xl font-extrabold text-gray-800 dark:text-gray-100">{customer.name}</h2>
+          <button onClick={() => setSelectedCustomerId(null)} className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition">
+            Volver a Clientes
+          </button>
+        </div>
+        {renderCustomerForm(customer)}
+        {sections.map(({ title, list }) => (
+          <div key={title}>
+            <h3 className="text-xl font-semibold text-gray-800 dark:text-gray-100 mb-2">{title} ({list.length})</h3>
+            {list.length > 0 ? renderOrderList(list) : (
+              <p className="text-sm text-gray-500 dark:text-gray-400">Sin pedidos.</p>
+            )}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const renderCustomers = () => {
+    const selectedCustomer = customers.find(c => c.id === selectedCustomerId);
+    if (selectedCustomer) return renderCustomerDetail(selectedCustomer);
+    const list = customerSearch.trim() ? searchCustomers(customers, customerSearch, customers.length) : customers;
+    const allOrders = getExistingOrders();
+
+    return (
+      <div className="flex-1 p-4 overflow-y-auto space-y-4">
+        <h2 className="text-3xl font-extrabold text-gray-800 dark:text-gray-100">Clientes</h2>
+        <input
+          type="search"
+          value={customerSearch}
+          onChange={(e) => setCustomerSearch(e.target.value)}
+          placeholder="Buscar por nombre o teléfono"
+          aria-label="Buscar clientes"
+          className="block w-full max-w-md rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+        />
+        {list.length > 0 ? (
+          <ul className="space-y-2">
+            {list.map(customer => (
+              <li key={customer.id}>
+                <button onClick={() => setSelectedCustomerId(customer.id)} className="w-full text-left bg-white dark:bg-gray-800 rounded-xl shadow-md p-4 hover:bg-blue-50 dark:hover:bg-gray-700 transition">
+                  <p className="font-semibold text-gray-900 dark:text-white">{customer.name}</p>
+                  <p className="text-sm text-gray-600 dark:text-gray-300">
+                    {[customer.phone, customer.email, customer.address].filter(Boolean).join(' · ') || 'Sin datos de contacto'}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">{getCustomerOrders(customer, allOrders).length} pedidos</p>
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-center text-gray-500 dark:text-gray-400 p-8">
+            {customers.length === 0 ? 'Todavía no hay clientes.' : 'Ningún cliente coincide con la búsqueda.'}
+          </p>
+        )}
+        {can('edit') && (
+          <div className="space-y-2">
+            <h3 className="text-xl font-semibold text-gray-800 dark:text-gray-100">Nuevo cliente</h3>
+            {renderCustomerForm()}
+          </div>
+        )}
+      </div>
+    );
   };
 
-  const handleCopyEmailContent = () => {
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = emailContent;
-    document.body.appendChild(tempDiv);
-    
-    const range = document.createRange();
-    range.selectNodeContents(tempDiv);
-    const selection = window.getSelection();
-    selection.removeAllRanges();
-    selection.addRange(range);
-    
-    try {
-      document.execCommand('copy');
-      setMessage({ type: 'success', text: 'Contenido del email copiado al portapapeles.' });
-    } catch (err) {
-      console.error('Failed to copy text: ', err);
-      setMessage({ type: 'error', text: 'Error al copiar el contenido.' });
-    }
-    
-    document.body.removeChild(tempDiv);
-    closeModals();
+  const renderCrewForm = (crew = null) => {
+    const inputClass = "rounded-md border-gray-300 text-sm shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white";
+    return (
+      <form key={crew ? `${crew.id}-${crew.name}-${crew.vehicle}-${crew.email}` : 'new'} onSubmit={(e) => handleSaveCrew(e, crew)} className="grid gap-2 sm:grid-cols-[1fr_1fr_1fr_auto] items-center">
+        <input type="text" name="name" defaultValue={crew?.name || ''} placeholder="Nombre" aria-label="Nombre de la cuadrilla" required className={inputClass} />
+        <input type="text" name="vehicle" defaultValue={crew?.vehicle || ''} placeholder="Vehículo" aria-label="Vehículo" className={inputClass} />
+        <input type="email" name="email" defaultValue={crew?.email || ''} placeholder="Email" aria-label="Email de la cuadrilla" className={inputClass} />
+        <div className="flex space-x-2">
+          <button type="submit" className="px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition">
+            {crew ? 'Guardar' : 'Añadir'}
+          </button>
+          {crew && (
+            <button type="button" onClick={() => handleDeleteCrew(crew)} className="px-3 py-2 text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 transition">
+              Eliminar
+            </button>
+          )}
+        </div>
+      </form>
+    );
   };
 
-  const daysInMonth = (date) => new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
-  const firstDayOfMonth = (date) => new Date(date.getFullYear(), date.getMonth(), 1).getDay();
-  const prevMonth = () => setSelectedDate(new Date(selectedDate.getFullYear(), selectedDate.getMonth() - 1, 1));
-  const nextMonth = () => setSelectedDate(new Date(selectedDate.getFullYear(), selectedDate.getMonth() + 1, 1));
-  const isSameDay = (d1, d2) => d1.getFullYear() === d2.getFullYear() && d1.getMonth() === d2.getMonth() && d1.getDate() === d2.getDate();
+  const renderCrewSettings = () => (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-4 space-y-4 max-w-3xl">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Cuadrillas</h3>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Equipos o vehículos a los que se asignan los pedidos. El email se usa para enviar a cada cuadrilla solo sus pedidos.
+        </p>
+      </div>
+      {crews.map(crew => renderCrewForm(crew))}
+      <div className="pt-2 border-t border-gray-200 dark:border-gray-700">
+        <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Nueva cuadrilla</p>
+        {renderCrewForm()}
+      </div>
+    </div>
+  );
 
-  const renderCalendar = () => {
-    const totalDays = daysInMonth(selectedDate);
-    const firstDay = firstDayOfMonth(selectedDate);
-    const blanks = Array(firstDay === 0 ? 6 : firstDay - 1).fill(null);
-    const days = Array.from({ length: totalDays }, (_, i) => i + 1);
+  const renderOrderTypeSettings = () => {
+    const inputClass = "rounded-md border-gray-300 text-sm shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white";
+    const counts = countOrdersByType([...getExistingOrders(), ...deletedOrders]);
+    const renderOrderTypeForm = (type = null) => (
+      <form key={type ? JSON.stringify(type) : 'new'} onSubmit={(e) => handleSaveOrderType(e, type)} className="grid gap-2 sm:grid-cols-[1fr_auto_5rem_3rem_auto_auto] items-center">
+        <input type="text" name="label" defaultValue={type?.label || ''} placeholder="Nombre" aria-label={type ? `Nombre del tipo ${type.label}` : 'Nombre del nuevo tipo'} required className={inputClass} />
+        <select name="color" defaultValue={type?.color || Object.keys(ORDER_TYPE_COLORS)[0]} aria-label="Color en el calendario" className={inputClass}>
+          {Object.entries(ORDER_TYPE_COLORS).map(([color, name]) => (
+            <option key={color} value={color}>{name}</option>
+          ))}
+        </select>
+        <input type="number" name="priority" defaultValue={type ? type.priority : 0} title="Prioridad en el calendario" aria-label="Prioridad" className={inputClass} />
+        <input type="color" name="emailColor" defaultValue={type?.emailColor || FALLBACK_TYPE_EMAIL_COLOR} title="Color en el email" aria-label="Color en el email" className="h-9 w-12 rounded-md border-gray-300 dark:border-gray-600" />
+        {type ? (
+          <label className="flex items-center space-x-1 text-sm text-gray-700 dark:text-gray-300">
+            <input type="checkbox" name="retired" defaultChecked={type.retired} />
+            <span>Retirado</span>
+          </label>
+        ) : <span></span>}
+        <div className="flex items-center space-x-2">
+          <button type="submit" className="px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition">
+            {type ? 'Guardar' : 'Añadir'}
+          </button>
+          {type && canRemoveOrderType(type, counts) && (
+            <button type="button" onClick={() => handleRemoveOrderType(type)} className="px-3 py-2 text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 transition">
+              Eliminar
+            </button>
+          )}
+          {type && <span className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">{counts[type.id] || 0} pedidos</span>}
+        </div>
+      </form>
+    );
 
-    const allDays = [...blanks, ...days];
-    const today = new Date();
-    const calendarOrders = orders.filter(o => {
-      const deliveryDate = new Date(o.deliveryDate);
-      return deliveryDate.getFullYear() === selectedDate.getFullYear() && deliveryDate.getMonth() === selectedDate.getMonth();
-    });
+    return (
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-4 space-y-4 max-w-3xl">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Tipos de pedido</h3>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Nombre, color en el calendario, prioridad y color en el email de cada tipo. El de mayor prioridad va primero en cada día.
+            Un tipo retirado ya no se ofrece para pedidos nuevos ni importaciones, pero los pedidos que lo usan lo conservan.
+          </p>
+        </div>
+        {orderTypes.map(type => renderOrderTypeForm(type))}
+        <div className="pt-2 border-t border-gray-200 dark:border-gray-700">
+          <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Nuevo tipo</p>
+          {renderOrderTypeForm()}
+        </div>
+      </div>
+    );
+  };
+
+  const renderWorkspaceSettings = () => {
+    const inputClass = "flex-1 rounded-md border-gray-300 text-sm shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white";
+    const renderWorkspaceForm = (workspace = null) => (
+      <form key={workspace ? `${workspace.id}-${workspace.name}` : 'new'} onSubmit={(e) => handleSaveWorkspace(e, workspace)} className="flex items-center space-x-2">
+        <input type="text" name="name" defaultValue={workspace?.name || ''} placeholder="Nombre" aria-label={workspace ? `Nombre de la delegación ${workspace.name}` : 'Nombre de la nueva delegación'} required className={inputClass} />
+        <button type="submit" className="px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition">
+          {workspace ? 'Guardar' : 'Añadir'}
+        </button>
+      </form>
+    );
 
     return (
-      <div className="flex-1 p-4 overflow-y-auto">
-        <div className="flex items-center justify-between p-2 mb-4 bg-white dark:bg-gray-800 rounded-xl shadow-lg">
-          <button onClick={prevMonth} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition">
-            <ChevronLeft size={24} className="text-gray-700 dark:text-gray-300" />
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-4 space-y-4 max-w-lg">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Delegaciones</h3>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Cada delegación tiene sus propios pedidos, ajustes, cuadrillas, clientes y usuarios. Los miembros se añaden desde Usuarios con la delegación abierta.
+          </p>
+        </div>
+        {accessibleWorkspaces.map(workspace => renderWorkspaceForm(workspace))}
+        <div className="pt-2 border-t border-gray-200 dark:border-gray-700">
+          <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Nueva delegación</p>
+          {renderWorkspaceForm()}
+        </div>
+      </div>
+    );
+  };
+
+  // Managers' overview: orders per day in every workspace for the month of the selected date.
+  // Each count opens that day in its workspace.
+  const renderWorkspaceOverview = () => {
+    const monthDate = new Date(selectedDate.getFullYear(), selectedDate.getMonth(), 1);
+    const counts = countOrdersByWorkspaceDay(workspaceOrders);
+    const days = Array.from({ length: daysInMonth(monthDate) }, (_, i) => new Date(monthDate.getFullYear(), monthDate.getMonth(), i + 1));
+    const totals = accessibleWorkspaces.map(workspace => days.reduce((sum, date) => sum + ((counts[formatDateKey(date)] || {})[workspace.id] || 0), 0));
+
+    return (
+      <div className="flex-1 p-4 overflow-y-auto space-y-4">
+        <div className="flex items-center justify-between p-2 bg-white dark:bg-gray-800 rounded-xl shadow-lg">
+          <button onClick={() => setSelectedDate(new Date(monthDate.getFullYear(), monthDate.getMonth() - 1, 1))} title="Mes anterior" className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition">
+            <ChevronLeft size={24} />
           </button>
-          <h2 className="text-xl font-semibold text-gray-800 dark:text-gray-100">
-            {selectedDate.toLocaleDateString('es-ES', { month: 'long', year: 'numeric' })}
+          <h2 className="text-2xl font-bold capitalize">
+            Resumen de delegaciones · {monthDate.toLocaleDateString('es-ES', { month: 'long', year: 'numeric' })}
           </h2>
-          <button onClick={nextMonth} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition">
-            <ChevronRight size={24} className="text-gray-700 dark:text-gray-300" />
+          <button onClick={() => setSelectedDate(new Date(monthDate.getFullYear(), monthDate.getMonth() + 1, 1))} title="Mes siguiente" className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 transition">
+            <ChevronRight size={24} />
           </button>
         </div>
-        <div className="grid grid-cols-7 gap-1">
-          {['Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb', 'Dom'].map(day => (
-            <div key={day} className="text-center font-bold text-gray-500 dark:text-gray-400">
-              {day}
-            </div>
-          ))}
-          {allDays.map((day, index) => {
-            const date = day ? new Date(selectedDate.getFullYear(), selectedDate.getMonth(), day) : null;
-            const dailyOrders = date ? calendarOrders.filter(o => isSameDay(new Date(o.deliveryDate), date)) : [];
-            const hasOrders = dailyOrders.length > 0;
-            const isToday = day && isSameDay(date, today);
-
-            // Determine the color for the day based on order priority.
-            const dayColor = dailyOrders.reduce((color, order) => {
-              const orderPriority = COLOR_PRIORITY[order.type];
-              if (orderPriority > (COLOR_PRIORITY[color] || 0)) {
-                return order.type;
-              }
-              return color;
-            }, '');
-            const dayColorClass = dayColor ? ORDER_COLORS[dayColor] : 'bg-gray-200 dark:bg-gray-600';
-
-            return (
-              <div
-                key={index}
-                className={`
-                  p-2 aspect-square rounded-lg flex flex-col justify-between cursor-pointer
-                  ${day ? 'hover:scale-105 transform transition duration-150' : ''}
-                  ${day && !hasOrders ? 'bg-gray-100 dark:bg-gray-700' : ''}
-                  ${isToday ? 'border-2 border-blue-500 dark:border-blue-400' : ''}
-                `}
-                onClick={() => {
-                  if (day) {
-                    setSelectedDate(date);
-                    setSelectedDayOrders(dailyOrders);
-                    setView('dayOrders');
-                  }
-                }}
-              >
-                <div className={`text-right font-bold ${isToday ? 'text-blue-600 dark:text-blue-400' : 'text-gray-700 dark:text-gray-100'}`}>
-                  {day}
-                </div>
-                {hasOrders && (
-                  <div className={`
-                    w-full h-2 rounded-full
-                    ${dayColorClass}
-                  `}></div>
-                )}
-              </div>
-            );
-          })}
+        <div className="overflow-x-auto bg-white dark:bg-gray-800 rounded-xl shadow-md">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 dark:text-gray-400">
+                <th className="p-2">Día</th>
+                {accessibleWorkspaces.map(workspace => (
+                  <th key={workspace.id} className="p-2 text-center">{workspace.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {days.map(date => {
+                const dayCounts = counts[formatDateKey(date)] || {};
+                return (
+                  <tr key={formatDateKey(date)} className={`border-t border-gray-100 dark:border-gray-700 ${isSameDay(date, new Date()) ? 'bg-blue-50 dark:bg-blue-900 dark:bg-opacity-30' : ''}`}>
+                    <td className="p-2 whitespace-nowrap text-gray-700 dark:text-gray-300">
+                      {date.toLocaleDateString('es-ES', { weekday: 'short', day: 'numeric' })}
+                    </td>
+                    {accessibleWorkspaces.map(workspace => (
+                      <td key={workspace.id} className="p-2 text-center">
+                        {dayCounts[workspace.id] ? (
+                          <button
+                            onClick={() => { switchWorkspace(workspace.id); openDay(date); }}
+                            title={`Ver ${workspace.name} el ${date.toLocaleDateString('es-ES')}`}
+                            className="px-2 py-0.5 rounded-full text-xs font-semibold text-blue-800 bg-blue-100 hover:bg-blue-200 transition"
+                          >
+                            {dayCounts[workspace.id]}
+                          </button>
+                        ) : (
+                          <span className="text-gray-300 dark:text-gray-600">·</span>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+              <tr className="border-t-2 border-gray-200 dark:border-gray-600 font-semibold">
+                <td className="p-2">Total</td>
+                {totals.map((total, index) => (
+                  <td key={accessibleWorkspaces[index].id} className="p-2 text-center">{total}</td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
         </div>
       </div>
     );
   };
-  
-  const renderOrderList = (list, isPending = false) => {
-    if (list.length === 0) {
-      return (
-        <div className="text-center text-gray-500 dark:text-gray-400 p-8">
-          No hay pedidos {isPending ? 'pendientes' : 'archivados'}.
+
+  const renderSettings = () => (
+    <div className="flex-1 p-4 overflow-y-auto space-y-4">
+      <h2 className="text-3xl font-extrabold text-gray-800 dark:text-gray-100">Ajustes</h2>
+      <form key={JSON.stringify(settings.dailyCapacity)} onSubmit={handleSaveCapacity} className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-4 space-y-4 max-w-lg">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Capacidad diaria</h3>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Número máximo de pedidos de cada tipo por día. Déjalo vacío para no limitarlo.
+          </p>
         </div>
-      );
-    }
-    
-    return (
-      <ul className="space-y-4">
-        {list.map(order => (
-          <li key={order.id} className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-4 flex flex-col md:flex-row items-start md:items-center justify-between transition-transform duration-200 hover:scale-[1.01]">
-            <div className="flex-1 mb-2 md:mb-0">
-              <p className="text-lg font-bold text-gray-900 dark:text-white">Pedido #{order.orderNumber}</p>
-              <p className="text-sm text-gray-600 dark:text-gray-300">Cliente: {order.customerName}</p>
-              <span className={`inline-block px-2 py-1 mt-1 text-xs font-semibold text-white rounded-full ${order.color}`}>
-                {order.type}
-              </span>
-              {order.deliveryDate && (
-                <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
-                  Fecha: {new Date(order.deliveryDate).toLocaleDateString()}
-                </p>
-              )}
-            </div>
-            <div className="flex space-x-2">
-              <button onClick={() => openOrderModal(order)} className="p-2 rounded-full text-blue-500 hover:bg-blue-100 dark:hover:bg-blue-900 transition">
-                <Edit size={20} />
-              </button>
-              {isPending && (
-                <button onClick={() => handleConfirmDelivery(order)} className="p-2 rounded-full text-green-500 hover:bg-green-100 dark:hover:bg-green-900 transition">
-                  <Check size={20} />
-                </button>
-              )}
-              {isPending && (
-                <button onClick={() => handleArchiveOrder(order.id)} className="p-2 rounded-full text-yellow-500 hover:bg-yellow-100 dark:hover:bg-yellow-900 transition">
-                  <Archive size={20} />
-                </button>
-              )}
-              {!isPending && (
-                <button onClick={() => handleRestoreOrder(order.id)} className="p-2 rounded-full text-blue-500 hover:bg-blue-100 dark:hover:bg-blue-900 transition">
-                  <ArchiveRestore size={20} />
-                </button>
-              )}
-              <button onClick={() => handleDeleteOrder(order.id)} className="p-2 rounded-full text-red-500 hover:bg-red-100 dark:hover:bg-red-900 transition">
-                <Trash2 size={20} />
-              </button>
-            </div>
-          </li>
+        {orderTypes.filter(({ id, retired }) => !retired || getCapacityLimit(settings.dailyCapacity, id) !== null).map(({ id: type, label, color }) => (
+          <div key={type} className="flex items-center justify-between">
+            <label htmlFor={`capacity-${type}`} className="flex items-center space-x-2 text-sm font-medium text-gray-700 dark:text-gray-300">
+              <span className={`w-3 h-3 rounded-full ${color}`}></span>
+              <span>{label}</span>
+            </label>
+            <input
+              type="number"
+              min="0"
+              id={`capacity-${type}`}
+              name={type}
+              defaultValue={getCapacityLimit(settings.dailyCapacity, type) ?? ''}
+              placeholder="Sin límite"
+              className="w-32 rounded-md border-gray-300 text-sm shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+            />
+          </div>
         ))}
-      </ul>
-    );
-  };
-  
-  const renderImportPreview = () => (
-    <CustomModal title="Vista Previa de Importación" onClose={closeModals} fullWidth>
-      <div className="max-h-96 overflow-y-auto">
-        <p className="text-gray-600 dark:text-gray-400 mb-4">
-          Se han detectado {importPreview.length} pedidos. Revisa y confirma la importación.
-        </p>
-        <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
-          <thead className="bg-gray-50 dark:bg-gray-700">
-            <tr>
-              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
-                Estado
-              </th>
-              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
-                Nº de Pedido
-              </th>
-              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
-                Cliente
-              </th>
-              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
-                Fecha
-              </th>
-              <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
-                Tipo
-              </th>
-            </tr>
-          </thead>
-          <tbody className="bg-white divide-y divide-gray-200 dark:bg-gray-800 dark:divide-gray-700">
-            {importPreview.map((order, index) => (
-              <tr key={index}>
-                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${order.status === 'Nuevo' ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300' : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300'}`}>
-                    {order.status}
-                  </span>
-                </td>
-                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">{order.orderNumber}</td>
-                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">{order.customerName}</td>
-                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-300">{new Date(order.deliveryDate).toLocaleDateString()}</td>
-                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${order.color}`}>
-                    {order.type}
-                  </span>
-                </td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
-      </div>
-      <div className="mt-6 flex justify-end space-x-3">
-        <button onClick={closeModals} className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition">
-          Cancelar
+        <div className="flex justify-end">
+          <button type="submit" className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition">
+            Guardar Capacidad
+          </button>
+        </div>
+      </form>
+      <form key={JSON.stringify(settings.depot)} onSubmit={handleSaveDepot} className="bg-white dark:bg-gray-800 rounded-xl shadow-md p-4 space-y-4 max-w-lg">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Almacén</h3>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Punto de salida y llegada de las rutas. Las distancias se calculan en línea recta a partir de sus coordenadas.
+          </p>
+        </div>
+        <div>
+          <label htmlFor="depot-address" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Dirección</label>
+          <input type="text" id="depot-address" name="address" defaultValue={settings.depot?.address || ''} className="mt-1 block w-full rounded-md border-gray-300 text-sm shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white" />
+        </div>
+        <div>
+          <label htmlFor="depot-coordinates" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Coordenadas (latitud, longitud)</label>
+          <input type="text" id="depot-coordinates" name="coordinates" defaultValue={formatCoordinates(settings.depot)} placeholder="40.4168, -3.7038" className="mt-1 block w-full rounded-md border-gray-300 text-sm shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white" />
+        </div>
+        <div className="flex justify-end">
+          <button type="submit" className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition">
+            Guardar Almacén
+          </button>
+        </div>
+      </form>
+      {renderOrderTypeSettings()}
+      {renderCrewSettings()}
+      {isManager && renderWorkspaceSettings()}
+    </div>
+  );
+
+  const renderSignIn = () => (
+    <div className="flex items-center justify-center min-h-screen bg-gray-50 dark:bg-gray-900 p-4">
+      <form onSubmit={handleSignIn} className="w-full max-w-sm space-y-4 rounded-xl bg-white p-6 shadow-2xl dark:bg-gray-800">
+        <h1 className="text-2xl font-extrabold text-blue-600 dark:text-blue-400">Pedidos</h1>
+        {message && message.type === 'error' && (
+          <p className="p-3 rounded-lg bg-red-100 text-sm text-red-800">{message.text}</p>
+        )}
+        <div>
+          <label htmlFor="email" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Email</label>
+          <input type="email" name="email" id="email" required autoComplete="email" className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white" />
+        </div>
+        <div>
+          <label htmlFor="password" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Contraseña</label>
+          <input type="password" name="password" id="password" required minLength={6} autoComplete={isSignUp ? 'new-password' : 'current-password'} className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white" />
+        </div>
+        <button type="submit" className="w-full px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition">
+          {isSignUp ? 'Crear Cuenta' : 'Iniciar Sesión'}
         </button>
-        <button onClick={handleConfirmImport} className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition">
-          Confirmar Importación
+        <button
+          type="button"
+          onClick={() => { setIsSignUp(!isSignUp); setMessage(null); }}
+          className="w-full text-sm text-blue-600 hover:underline dark:text-blue-400"
+        >
+          {isSignUp ? '¿Ya tienes cuenta? Inicia sesión' : '¿No tienes cuenta? Créala'}
         </button>
-      </div>
-    </CustomModal>
+      </form>
+    </div>
   );
 
+  // Connection and sync indicator, with the conflicts found when queued changes reached the server.
+  const renderSyncStatus = () => {
+    const { pending, conflicts } = syncState;
+    const isOffline = !isOnline || isFromCache;
+    let status;
+    if (unsyncedOrderCount > 0) {
+      status = `${unsyncedOrderCount} ${unsyncedOrderCount === 1 ? 'pedido' : 'pedidos'} sin sincronizar`;
+    } else if (pending.length > 0) {
+      status = 'Cambios sin sincronizar';
+    } else {
+      status = isOffline ? 'Sin cambios pendientes' : 'Sincronizado';
+    }
+    const Icon = isOffline ? CloudOff : unsyncedOrderCount > 0 || pending.length > 0 ? RefreshCw : Cloud;
+
+    return (
+      <div className="text-sm">
+        <div className={`flex items-center justify-between px-3 py-2 rounded-lg ${isOffline ? 'bg-yellow-50 text-yellow-800 dark:bg-yellow-900 dark:bg-opacity-30 dark:text-yellow-300' : 'bg-gray-50 text-gray-600 dark:bg-gray-700 dark:text-gray-300'}`}>
+          <span className="flex items-center space-x-2" role="status">
+            <Icon size={16} className="flex-shrink-0" />
+            <span>{isOffline ? `Sin conexión · ${status}` : status}</span>
+          </span>
+          {conflicts.length > 0 && (
+            <button onClick={() => setIsSyncPanelOpen(!isSyncPanelOpen)} className="px-2 py-0.5 rounded-full text-xs font-semibold text-white bg-red-600 hover:bg-red-700 transition">
+              {conflicts.length} {conflicts.length === 1 ? 'conflicto' : 'conflictos'}
+            </button>
+          )}
+        </div>
+        {isSyncPanelOpen && conflicts.length > 0 && (
+          <div className="mt-2 p-3 rounded-lg bg-red-50 text-red-800 dark:bg-red-900 dark:bg-opacity-30 dark:text-red-300 space-y-2">
+            <p className="font-semibold">Cambios hechos sin conexión que necesitan revisión:</p>
+            <ul className="space-y-1">
+              {conflicts.map(conflict => (
+                <li key={conflict.id}>
+                  {conflict.writes.length > 0 && <span className="font-medium">Pedido {conflict.writes.map(getWriteOrderNumber).join(', ')}: </span>}
+                  {conflict.reason}
+                </li>
+              ))}
+            </ul>
+            <button onClick={() => { syncTracker.dismissConflicts(); setIsSyncPanelOpen(false); }} className="px-3 py-1 text-xs font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 transition">
+              Entendido
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  if (isAuthReady && !userId) {
+    return renderSignIn();
+  }
+
   return (
     <div className="flex flex-col md:flex-row min-h-screen bg-gray-50 dark:bg-gray-900 text-gray-900 dark:text-gray-100 font-sans">
       {/* Sidebar de Vistas y Pedidos Pendientes */}
@@ -705,6 +3787,44 @@ const App = () => {
             ID: {userId || 'Cargando...'}
           </span>
         </div>
+        {userId && (
+          <div className="flex items-center justify-between text-sm text-gray-600 dark:text-gray-300">
+            <span className="truncate">
+              {userEmail || 'Sesión del sistema'}{role ? ` · ${ROLE_LABELS[role]}` : ''}
+            </span>
+            <button onClick={handleSignOut} title="Cerrar sesión" className="p-1 rounded-full text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700 transition">
+              <LogOut size={18} />
+            </button>
+          </div>
+        )}
+        {userId && renderSyncStatus()}
+        {accessibleWorkspaces.length > 1 && (
+          <div>
+            <label htmlFor="workspace" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Delegación</label>
+            <select
+              id="workspace"
+              value={workspaceId}
+              onChange={(e) => switchWorkspace(e.target.value)}
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+            >
+              {accessibleWorkspaces.map(workspace => (
+                <option key={workspace.id} value={workspace.id}>{workspace.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className="relative">
+          <Search size={18} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            type="search"
+            value={searchQuery}
+            onChange={(e) => handleSearchChange(e.target.value)}
+            onFocus={() => setView('search')}
+            placeholder="Buscar nº de pedido o cliente..."
+            className="w-full pl-10 rounded-lg border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+          />
+        </div>
 
         <nav className="flex space-x-2 md:flex-col md:space-x-0 md:space-y-2">
           <button
@@ -731,21 +3851,73 @@ const App = () => {
             <Archive size={20} />
             <span>Pedidos Archivados ({archivedOrders.length})</span>
           </button>
-        </nav>
-
-        <div className="flex-1 mt-6">
-          <button onClick={() => openOrderModal()} className="w-full bg-green-500 text-white px-4 py-2 rounded-lg shadow-md hover:bg-green-600 transition flex items-center justify-center space-x-2">
-            <Plus size={20} />
-            <span>Añadir Pedido</span>
-          </button>
-          <button onClick={() => setIsImportModalOpen(true)} className="w-full bg-indigo-500 text-white px-4 py-2 mt-2 rounded-lg shadow-md hover:bg-indigo-600 transition flex items-center justify-center space-x-2">
-            <Upload size={20} />
-            <span>Importar Pedidos</span>
+          <button
+            onClick={() => { setView('customers'); setSelectedCustomerId(null); }}
+            className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-colors duration-200
+              ${view === 'customers' ? 'bg-blue-600 text-white shadow-md' : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+          >
+            <Contact size={20} />
+            <span>Clientes ({customers.length})</span>
           </button>
-          <button onClick={() => setIsDeleteAllModalOpen(true)} className="w-full bg-red-500 text-white px-4 py-2 mt-2 rounded-lg shadow-md hover:bg-red-600 transition flex items-center justify-center space-x-2">
+          <button
+            onClick={() => setView('trash')}
+            className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-colors duration-200
+              ${view === 'trash' ? 'bg-blue-600 text-white shadow-md' : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+          >
             <Trash2 size={20} />
-            <span>Eliminar Todos</span>
+            <span>Papelera ({deletedOrders.length})</span>
           </button>
+          {can('manageUsers') && (
+            <button
+              onClick={() => setView('users')}
+              className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-colors duration-200
+                ${view === 'users' ? 'bg-blue-600 text-white shadow-md' : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+            >
+              <Users size={20} />
+              <span>Usuarios</span>
+            </button>
+          )}
+          {can('manageSettings') && (
+            <button
+              onClick={() => setView('settings')}
+              className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-colors duration-200
+                ${view === 'settings' ? 'bg-blue-600 text-white shadow-md' : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+            >
+              <Settings size={20} />
+              <span>Ajustes</span>
+            </button>
+          )}
+          {isManager && accessibleWorkspaces.length > 1 && (
+            <button
+              onClick={() => setView('workspaces')}
+              className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-colors duration-200
+                ${view === 'workspaces' ? 'bg-blue-600 text-white shadow-md' : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+            >
+              <Building2 size={20} />
+              <span>Resumen de delegaciones</span>
+            </button>
+          )}
+        </nav>
+
+        <div className="flex-1 mt-6">
+          {can('edit') && (
+            <button onClick={() => openOrderModal()} className="w-full bg-green-500 text-white px-4 py-2 rounded-lg shadow-md hover:bg-green-600 transition flex items-center justify-center space-x-2">
+              <Plus size={20} />
+              <span>Añadir Pedido</span>
+            </button>
+          )}
+          {can('import') && (
+            <button onClick={() => setIsImportModalOpen(true)} className="w-full bg-indigo-500 text-white px-4 py-2 mt-2 rounded-lg shadow-md hover:bg-indigo-600 transition flex items-center justify-center space-x-2">
+              <Upload size={20} />
+              <span>Importar Pedidos</span>
+            </button>
+          )}
+          {can('bulkDelete') && (
+            <button onClick={() => setIsDeleteAllModalOpen(true)} className="w-full bg-red-500 text-white px-4 py-2 mt-2 rounded-lg shadow-md hover:bg-red-600 transition flex items-center justify-center space-x-2">
+              <Trash2 size={20} />
+              <span>Eliminar Todos</span>
+            </button>
+          )}
         </div>
       </aside>
 
@@ -763,6 +3935,14 @@ const App = () => {
             {message && (
               <div className={`p-4 mb-4 rounded-lg shadow-md flex justify-between items-center ${message.type === 'success' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
                 <span>{message.text}</span>
+                {message.action && (
+                  <button
+                    onClick={() => { setMessage(null); message.action.onClick(); }}
+                    className="ml-auto px-3 py-1 text-sm font-semibold rounded-lg bg-white bg-opacity-60 hover:bg-opacity-100 transition"
+                  >
+                    {message.action.label}
+                  </button>
+                )}
                 <button onClick={() => setMessage(null)} className="ml-4 text-gray-500 hover:text-gray-700">
                   <X size={20} />
                 </button>
@@ -773,13 +3953,35 @@ const App = () => {
 
             {view === 'pending' && (
               <div className="flex-1 p-4 overflow-y-auto space-y-4">
-                <h2 className="text-3xl font-extrabold text-gray-800 dark:text-gray-100">
-                  {showArchived ? 'Pedidos Archivados' : 'Pedidos Pendientes'}
-                </h2>
-                {renderOrderList(showArchived ? archivedOrders : pendingOrders, !showArchived)}
+                <div className="flex items-center justify-between">
+                  <h2 className="text-3xl font-extrabold text-gray-800 dark:text-gray-100">
+                    {showArchived ? 'Pedidos Archivados' : 'Pedidos Pendientes'}
+                  </h2>
+                  {renderExportButtons(showArchived ? archivedOrders : pendingOrders, showArchived ? 'pedidos-archivados' : 'pedidos-pendientes')}
+                </div>
+                {showArchived || !can('edit') ? (
+                  renderOrderList(showArchived ? archivedOrders : pendingOrders, !showArchived)
+                ) : (
+                  <div className="grid gap-4 lg:grid-cols-3">
+                    <div className="lg:col-span-2">{renderOrderList(pendingOrders, true)}</div>
+                    {renderDropCalendar()}
+                  </div>
+                )}
               </div>
             )}
 
+            {view === 'search' && renderSearch()}
+
+            {view === 'trash' && renderTrash()}
+
+            {view === 'users' && can('manageUsers') && renderUsers()}
+
+            {view === 'settings' && can('manageSettings') && renderSettings()}
+
+            {view === 'customers' && renderCustomers()}
+
+            {view === 'workspaces' && isManager && renderWorkspaceOverview()}
+
             {view === 'dayOrders' && (
               <div className="flex-1 p-4 overflow-y-auto">
                 <div className="flex items-center justify-between mb-4">
@@ -794,13 +3996,15 @@ const App = () => {
                     <span>Generar Email</span>
                   </button>
                 </div>
-                {selectedDayOrders.length > 0 ? (
-                  renderOrderList(selectedDayOrders, false)
-                ) : (
-                  <div className="text-center text-gray-500 dark:text-gray-400 p-8">
-                    No hay pedidos para este día.
+                <div className="flex justify-end mb-4">
+                  {renderExportButtons(getOrdersForDay(selectedDate), `pedidos-${formatDateKey(selectedDate)}`)}
+                </div>
+                <div className={can('edit') ? 'grid gap-4 lg:grid-cols-3' : ''}>
+                  <div className="lg:col-span-2">
+                    {renderDayPlan(getOrdersForDay(selectedDate))}
                   </div>
-                )}
+                  {can('edit') && renderDropCalendar()}
+                </div>
               </div>
             )}
           </div>
@@ -810,7 +4014,11 @@ const App = () => {
       {/* Modal para añadir/editar pedido */}
       {isModalOpen && (
         <CustomModal title={currentOrder ? 'Editar Pedido' : 'Añadir Pedido'} onClose={closeModals}>
-          <form onSubmit={handleSaveOrder} className="space-y-4">
+          <form
+            onSubmit={handleSaveOrder}
+            onChange={(e) => setOrderDraft({ type: e.currentTarget.elements.type.value, deliveryDate: e.currentTarget.elements.deliveryDate.value })}
+            className="space-y-4"
+          >
             <div>
               <label htmlFor="orderNumber" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Nº de Pedido</label>
               <input
@@ -822,31 +4030,22 @@ const App = () => {
                 className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
               />
             </div>
-            <div>
-              <label htmlFor="customerName" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Nombre del Cliente</label>
-              <input
-                type="text"
-                id="customerName"
-                name="customerName"
-                required
-                defaultValue={currentOrder?.customerName || ''}
-                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
-              />
-            </div>
+            {renderCustomerPicker()}
             <div>
               <label htmlFor="type" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Tipo de Pedido</label>
               <select
                 id="type"
                 name="type"
                 required
-                defaultValue={currentOrder?.type || 'instalacion'}
+                defaultValue={currentOrder?.type || defaultOrderType}
                 className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
               >
-                <option value="instalacion">Instalación</option>
-                <option value="posdatado">Posdatado</option>
-                <option value="completo">Completo</option>
-                <option value="parcial">Parcial</option>
-                <option value="recogida">Recogida</option>
+                {activeOrderTypes.map(type => (
+                  <option key={type.id} value={type.id}>{type.label}</option>
+                ))}
+                {currentOrder?.type && !activeOrderTypes.some(type => type.id === currentOrder.type) && (
+                  <option value={currentOrder.type}>{getOrderTypeLabel(orderTypes, currentOrder.type)} (retirado)</option>
+                )}
               </select>
             </div>
             <div>
@@ -855,10 +4054,51 @@ const App = () => {
                 type="date"
                 id="deliveryDate"
                 name="deliveryDate"
-                defaultValue={currentOrder?.deliveryDate ? currentOrder.deliveryDate.substring(0, 10) : ''}
+                ref={deliveryDateInputRef}
+                defaultValue={getDeliveryDate(currentOrder) || ''}
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+              />
+              {renderOrderCapacityWarning()}
+            </div>
+            <div>
+              <label htmlFor="address" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Dirección de entrega</label>
+              <input
+                type="text"
+                id="address"
+                name="address"
+                ref={addressInputRef}
+                defaultValue={currentOrder?.address || ''}
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+              />
+            </div>
+            <div>
+              <label htmlFor="coordinates" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Coordenadas (latitud, longitud)</label>
+              <input
+                type="text"
+                id="coordinates"
+                name="coordinates"
+                defaultValue={formatCoordinates(currentOrder)}
+                placeholder="40.4168, -3.7038"
                 className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
               />
             </div>
+            {crews.length > 0 && (
+              <div>
+                <label htmlFor="crewId" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Cuadrilla</label>
+                <select
+                  id="crewId"
+                  name="crewId"
+                  defaultValue={currentOrder?.crewId || ''}
+                  className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                >
+                  <option value="">{UNASSIGNED_CREW.name}</option>
+                  {crews.map(crew => (
+                    <option key={crew.id} value={crew.id}>{crew.name}{crew.vehicle ? ` (${crew.vehicle})` : ''}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {renderLineItemsEditor()}
             <div className="flex justify-end space-x-3 mt-4">
               <button
                 type="button"
@@ -884,20 +4124,18 @@ const App = () => {
           <div className="space-y-4">
             <div>
               <label htmlFor="importOrderType" className="block text-sm font-medium text-gray-700 dark:text-gray-300">Tipo de Pedido</label>
+              <p className="text-xs text-gray-500 dark:text-gray-400">Se aplica a las líneas sin columna de tipo.</p>
               <select
                 id="importOrderType"
                 name="importOrderType"
                 value={importOrderType}
                 onChange={handleTypeChange}
-                required
                 className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
               >
                 <option value="">Selecciona un tipo...</option>
-                <option value="instalacion">Instalación</option>
-                <option value="posdatado">Posdatado</option>
-                <option value="completo">Completo</option>
-                <option value="parcial">Parcial</option>
-                <option value="recogida">Recogida</option>
+                {activeOrderTypes.map(type => (
+                  <option key={type.id} value={type.id}>{type.label}</option>
+                ))}
               </select>
             </div>
             <div className="text-center text-gray-500 dark:text-gray-400">O</div>
@@ -927,15 +4165,27 @@ const App = () => {
                     <p className="mb-2 text-sm text-gray-500 dark:text-gray-400">
                       <span className="font-semibold">Haz clic para subir</span> o arrastra y suelta
                     </p>
-                    <p className="text-xs text-gray-500 dark:text-gray-400">Sólo archivos de texto (.txt)</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">Archivos CSV, TSV, Excel (.xlsx) o de texto (.txt)</p>
                   </div>
-                  <input id="file-upload" type="file" className="hidden" accept=".txt" onChange={handleFileChange} />
+                  <input id="file-upload" type="file" className="hidden" accept=".txt,.csv,.tsv,.xlsx,.xls" onChange={handleFileChange} />
                 </label>
               </div>
               {uploadedFile && (
                 <p className="text-sm text-gray-500 mt-2">Archivo seleccionado: {uploadedFile.name}</p>
               )}
             </div>
+            <label className="flex items-start space-x-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={importSyncMode}
+                onChange={(e) => setImportSyncMode(e.target.checked)}
+                className="mt-1 rounded border-gray-300"
+              />
+              <span>
+                <span className="font-medium">Modo sincronización</span>: el archivo es la lista completa de sus tipos de pedido.
+                Se propondrá archivar los pedidos sin entregar que no aparezcan en él.
+              </span>
+            </label>
             <div className="flex justify-end space-x-3 mt-4">
               <button
                 type="button"
@@ -955,7 +4205,7 @@ const App = () => {
         <CustomModal title="Confirmar Eliminación Masiva" onClose={closeModals}>
           <div className="p-4 text-center">
             <p className="text-lg text-gray-700 dark:text-gray-300">
-              ¿Estás seguro de que quieres eliminar <span className="font-bold">todos</span> los pedidos? Esta acción no se puede deshacer.
+              ¿Estás seguro de que quieres eliminar <span className="font-bold">todos</span> los pedidos? Se moverán a la papelera y podrás recuperarlos durante {settings.trashRetentionDays} días.
             </p>
             <div className="mt-6 flex justify-center space-x-4">
               <button
@@ -975,28 +4225,47 @@ const App = () => {
         </CustomModal>
       )}
 
-      {/* Modal para generar y copiar el email */}
-      {isEmailModalOpen && (
-        <CustomModal title="Email Diario de Pedidos" onClose={closeModals}>
-          <p className="text-gray-600 dark:text-gray-400 mb-4">
-            Copia el siguiente contenido en un correo electrónico para enviarlo a tu equipo.
-          </p>
-          <div
-            className="p-4 bg-gray-100 dark:bg-gray-700 rounded-lg border border-gray-300 dark:border-gray-600 overflow-auto"
-            dangerouslySetInnerHTML={{ __html: emailContent }}
-          />
-          <div className="mt-6 flex justify-end">
-            <button
-              onClick={handleCopyEmailContent}
-              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition"
-            >
-              Copiar al Portapapeles
-            </button>
+      {/* Modal de confirmación de eliminación definitiva */}
+      {purgeTarget && (
+        <CustomModal title="Eliminar Definitivamente" onClose={closeModals}>
+          <div className="p-4 text-center">
+            <p className="text-lg text-gray-700 dark:text-gray-300">
+              {purgeTarget.length === 1
+                ? `¿Eliminar definitivamente el pedido ${purgeTarget[0].orderNumber}?`
+                : `¿Eliminar definitivamente los ${purgeTarget.length} pedidos de la papelera?`}
+              {' '}Esta acción no se puede deshacer.
+            </p>
+            <div className="mt-6 flex justify-center space-x-4">
+              <button
+                onClick={closeModals}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition"
+              >
+                Cancelar
+              </button>
+              <button
+                onClick={() => handlePurgeOrders(purgeTarget)}
+                className="px-4 py-2 text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 transition"
+              >
+                Sí, Eliminar Definitivamente
+              </button>
+            </div>
           </div>
         </CustomModal>
       )}
 
+      {/* Modal para componer y enviar el email */}
+      {isEmailModalOpen && renderEmailComposer()}
+
+      {isColumnMappingModalOpen && importData && columnMapping && renderColumnMapping()}
+
+      {historyOrder && renderHistory()}
+      {deliveryOrder && renderDeliveryForm()}
+
       {isImportPreviewModalOpen && renderImportPreview()}
+
+      {writeReport && renderWriteReport()}
+
+      {writeProgress && renderWriteProgress()}
     </div>
   );
 };
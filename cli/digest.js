@@ -0,0 +1,191 @@
+// Email the daily delivery digest, once or every day at a set time.
+//
+//   deno task digest send [--date 2026-03-05] [--crew ID] [--workspace ID] [--force] [--dry-run]
+//   deno task digest run [--workspace ID]
+//
+// Besides the Firebase variables listed in cli/firebase.js:
+//   DIGEST_TO            recipients, separated by commas
+//   DIGEST_FROM          sender address (default FIREBASE_EMAIL)
+//   DIGEST_TIME          time of day to send it, HH:MM in local time (default 07:00)
+//   DIGEST_DAY           deliveries to send: "tomorrow" (default) or "today"
+//   DIGEST_PER_CREW      "true" to also send every crew with an email only its own orders
+//   SMTP_HOST, SMTP_PORT SMTP server (default localhost:25)
+//   SMTP_SECURE          "true" to connect with TLS
+//   SMTP_USER, SMTP_PASSWORD   SMTP login, if the server needs one
+//
+// The account needs the dispatcher role to read and write the sent log.
+import { parseArgs } from '@std/cli/parse-args';
+import { UsageError, connect, getAppId, getWorkspaceOption } from './firebase.js';
+import { DIGEST_DAYS, buildDigestEmail, createDigestStore, createSmtpSender, getDigestDate, getNextRunTime, parseDigestTime, sendDailyDigest } from '../lib/digest.js';
+import { formatDateKey } from '../lib/orders.js';
+
+const USAGE = `Uso:
+  digest send [--date AAAA-MM-DD] [--crew ID] [--workspace ID] [--force] [--dry-run]
+  digest run [--workspace ID]`;
+
+const getConfig = () => {
+  const recipients = (Deno.env.get('DIGEST_TO') || '').split(',').map(address => address.trim()).filter(Boolean);
+  const time = parseDigestTime(Deno.env.get('DIGEST_TIME') || '07:00');
+  const day = Deno.env.get('DIGEST_DAY') || 'tomorrow';
+  if (!time) {
+    throw new UsageError(`DIGEST_TIME no es una hora válida: «${Deno.env.get('DIGEST_TIME')}». Usa HH:MM.`);
+  }
+  if (!(day in DIGEST_DAYS)) {
+    throw new UsageError(`DIGEST_DAY debe ser ${Object.keys(DIGEST_DAYS).join(' o ')}.`);
+  }
+  return {
+    recipients,
+    from: Deno.env.get('DIGEST_FROM') || Deno.env.get('FIREBASE_EMAIL'),
+    time,
+    day,
+    perCrew: Deno.env.get('DIGEST_PER_CREW') === 'true',
+    smtp: {
+      host: Deno.env.get('SMTP_HOST') || 'localhost',
+      port: Number(Deno.env.get('SMTP_PORT') || 25),
+      secure: Deno.env.get('SMTP_SECURE') === 'true',
+      user: Deno.env.get('SMTP_USER'),
+      password: Deno.env.get('SMTP_PASSWORD'),
+    },
+  };
+};
+
+const requireRecipients = (config) => {
+  if (config.recipients.length === 0 && !config.perCrew) {
+    throw new UsageError('Define DIGEST_TO con los destinatarios, separados por comas, o DIGEST_PER_CREW=true.');
+  }
+};
+
+// "2026-03-05" as a local date.
+const parseDateOption = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = match && new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  if (!date || formatDateKey(date) !== value) {
+    throw new UsageError(`Fecha no válida: «${value}». Usa AAAA-MM-DD.`);
+  }
+  return date;
+};
+
+const reportResult = ({ status, entry }, crew = null) => {
+  const name = crew ? `El resumen del ${entry.date} de ${crew.name}` : `El resumen del ${entry.date}`;
+  if (status === 'skipped') {
+    console.log(`${name} ya se envió el ${entry.sentAt}. Usa --force para reenviarlo.`);
+  } else if (status === 'sent') {
+    console.log(`${name} se ha enviado a ${entry.recipients.join(', ')} (${entry.orderCount} pedidos).`);
+  } else {
+    console.error(`${name} no se pudo enviar tras ${entry.attempts} intentos: ${entry.error}`);
+  }
+  return status === 'failed' ? 1 : 0;
+};
+
+// The whole-day digest to DIGEST_TO and, with DIGEST_PER_CREW, one digest per crew with an email.
+// `crews` limits the crew digests (--crew); the whole-day one is then skipped.
+const sendDigests = async ({ date, store, sendMail, config, force = false, crews = null }) => {
+  let failed = 0;
+  if (!crews && config.recipients.length > 0) {
+    failed += reportResult(await sendDailyDigest({ date, store, sendMail, from: config.from, recipients: config.recipients, force }));
+  }
+  if (config.perCrew || crews) {
+    for (const crew of (crews || await store.loadCrews()).filter(c => c.email)) {
+      const result = await sendDailyDigest({ date, store, sendMail, from: config.from, recipients: [crew.email], crew, force });
+      failed += reportResult(result, crew);
+    }
+  }
+  return failed > 0 ? 1 : 0;
+};
+
+const findCrew = async (store, crewId) => {
+  const crew = (await store.loadCrews()).find(c => c.id === crewId);
+  if (!crew) {
+    throw new UsageError(`No existe la cuadrilla «${crewId}».`);
+  }
+  return crew;
+};
+
+const runSend = async (args, appId, config) => {
+  const date = args.date ? parseDateOption(args.date) : getDigestDate(new Date(), config.day);
+  if (!args['dry-run'] && !args.crew) {
+    requireRecipients(config);
+  }
+  const { db } = await connect();
+  const store = createDigestStore(db, appId, getWorkspaceOption(args));
+  const crew = args.crew ? await findCrew(store, args.crew) : null;
+
+  if (args['dry-run']) {
+    const { email: { subject, text } } = await buildDigestEmail(store, date, crew);
+    console.log(`Asunto: ${subject}\n\n${text}`);
+    return 0;
+  }
+  if (crew && !crew.email) {
+    throw new UsageError(`La cuadrilla ${crew.name} no tiene email.`);
+  }
+
+  return sendDigests({
+    date,
+    store,
+    sendMail: createSmtpSender(config.smtp),
+    config,
+    force: args.force,
+    crews: crew ? [crew] : null,
+  });
+};
+
+// Runs until stopped. A run missed while the worker was down is sent at start-up;
+// the sent log keeps it from going out twice.
+const runSchedule = async (args, appId, config) => {
+  requireRecipients(config);
+  const { db } = await connect();
+  const store = createDigestStore(db, appId, getWorkspaceOption(args));
+  const sendMail = createSmtpSender(config.smtp);
+  const send = async (runTime) => {
+    try {
+      await sendDigests({ date: getDigestDate(runTime, config.day), store, sendMail, config });
+    } catch (error) {
+      console.error("Error sending the daily digest:", error);
+    }
+  };
+
+  const now = new Date();
+  const todayRun = new Date(now);
+  todayRun.setHours(config.time.hours, config.time.minutes, 0, 0);
+  if (todayRun < now) {
+    await send(todayRun);
+  }
+
+  while (true) {
+    const next = getNextRunTime(new Date(), config.time);
+    console.log(`Próximo envío: ${next.toLocaleString('es-ES')}.`);
+    await new Promise(resolve => setTimeout(resolve, next - new Date()));
+    await send(next);
+  }
+};
+
+const COMMANDS = {
+  send: runSend,
+  run: runSchedule,
+};
+
+const main = async () => {
+  const args = parseArgs(Deno.args, {
+    string: ['date', 'crew', 'app-id', 'workspace'],
+    boolean: ['force', 'dry-run', 'help'],
+  });
+  const command = COMMANDS[args._[0]];
+  if (args.help || !command) {
+    console.log(USAGE);
+    return args.help ? 0 : 2;
+  }
+
+  try {
+    return await command(args, getAppId(args), getConfig());
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(error.message);
+      return 2;
+    }
+    console.error("Error running the digest command:", error);
+    return 1;
+  }
+};
+
+// Firebase keeps its connections open, so exit explicitly.
+Deno.exit(await main());
@@ -0,0 +1,43 @@
+// Firebase connection shared by the command-line tools.
+//
+//   FIREBASE_CONFIG                 web app config as JSON (a projectId is enough for the emulator)
+//   FIREBASE_APP_ID                 app id of the data path (default "default-app-id")
+//   FIREBASE_WORKSPACE              workspace (depot) to work on (default "principal")
+//   FIREBASE_EMAIL, FIREBASE_PASSWORD   account to sign in with
+//   FIRESTORE_EMULATOR_HOST, FIREBASE_AUTH_EMULATOR_HOST   e.g. localhost:8080 and localhost:9099
+import { initializeApp } from 'firebase/app';
+import { connectAuthEmulator, getAuth, signInWithEmailAndPassword } from 'firebase/auth';
+import { connectFirestoreEmulator, getFirestore } from 'firebase/firestore';
+import { DEFAULT_WORKSPACE_ID } from '../lib/workspaces.js';
+
+// Wrong arguments or configuration: the message is shown without a stack trace.
+export class UsageError extends Error {}
+
+export const getAppId = (args) => args['app-id'] || Deno.env.get('FIREBASE_APP_ID') || 'default-app-id';
+
+export const getWorkspaceOption = (args) => args.workspace || Deno.env.get('FIREBASE_WORKSPACE') || DEFAULT_WORKSPACE_ID;
+
+export const connect = async () => {
+  // The emulators accept any project id and API key.
+  const app = initializeApp({ projectId: 'demo-pedidos', apiKey: 'demo-api-key', ...JSON.parse(Deno.env.get('FIREBASE_CONFIG') || '{}') });
+  const db = getFirestore(app);
+  const auth = getAuth(app);
+
+  const firestoreHost = Deno.env.get('FIRESTORE_EMULATOR_HOST');
+  if (firestoreHost) {
+    const [host, port] = firestoreHost.split(':');
+    connectFirestoreEmulator(db, host, Number(port));
+  }
+  const authHost = Deno.env.get('FIREBASE_AUTH_EMULATOR_HOST');
+  if (authHost) {
+    connectAuthEmulator(auth, `http://${authHost}`, { disableWarnings: true });
+  }
+
+  const email = Deno.env.get('FIREBASE_EMAIL');
+  const password = Deno.env.get('FIREBASE_PASSWORD');
+  if (!email || !password) {
+    throw new UsageError('Define FIREBASE_EMAIL y FIREBASE_PASSWORD para iniciar sesión.');
+  }
+  const { user } = await signInWithEmailAndPassword(auth, email, password);
+  return { db, userId: user.uid };
+};
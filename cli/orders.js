@@ -0,0 +1,271 @@
+// Import and export orders from the command line with the same parsing and merge rules as the app.
+//
+//   deno task orders import pedidos.csv [--type recogida] [--sync] [--dry-run] [--columns 1,2,3,4] [--no-header]
+//   deno task orders export [--format csv|json|ics] [--output pedidos.csv] [--archived] [--deleted]
+//   deno task orders migrate-dates [--dry-run] [--time-zone Europe/Madrid]
+//
+// migrate-dates rewrites delivery dates saved as timestamps as plain days (YYYY-MM-DD) and
+// lists every order it changes; the daily email only finds orders by day once they are migrated.
+// Every command takes --workspace ID to work on another depot than the default one.
+// The connection is configured through the environment variables listed in cli/firebase.js.
+// Imports and date migrations need an account with the dispatcher role.
+import { parseArgs } from '@std/cli/parse-args';
+import { collection, doc, getDoc, getDocs } from 'firebase/firestore';
+import { UsageError, connect, getAppId, getWorkspaceOption } from './firebase.js';
+import { IMPORT_DIFF_FIELDS, IMPORT_RESTORE_LABEL, buildImportPreview, getSyncArchiveProposals, guessColumnMapping, isWorkbookFile, parseImportText, parseWorkbook, planImportWrites, validateColumnMapping } from '../lib/order_import.js';
+import { EXPORT_FORMATS } from '../lib/order_export.js';
+import { getOrderTypeLabel, getOrderTypes, normalizeOrderType } from '../lib/order_types.js';
+import { createOrderWriter, getWriteOrderNumber } from '../lib/order_writes.js';
+import { getWorkspacePaths } from '../lib/workspaces.js';
+import { DELIVERY_TIME_ZONE, formatDeliveryDate, planDeliveryDateMigration } from '../lib/delivery_dates.js';
+
+const USAGE = `Uso:
+  orders import <archivo> [--type <tipo>] [--sync] [--dry-run] [--columns pedido,cliente,fecha[,tipo]] [--no-header] [--workspace ID]
+  orders export [--format csv|json|ics] [--output <archivo>] [--archived] [--deleted] [--workspace ID]
+  orders migrate-dates [--dry-run] [--time-zone <zona>] [--workspace ID]`;
+
+// Fields set by --columns, in order, as 1-based column numbers.
+const COLUMN_OPTION_FIELDS = ['orderNumber', 'customerName', 'deliveryDate', 'type'];
+
+const formatDate = (value) => formatDeliveryDate(value) || '—';
+
+const formatFieldValue = (field, value, orderTypes) => {
+  if (field === 'deliveryDate') return formatDate(value);
+  if (field === 'type') return getOrderTypeLabel(orderTypes, value) || '—';
+  return value || '—';
+};
+
+const readOrders = async (db, ordersPath) => {
+  const snapshot = await getDocs(collection(db, ordersPath));
+  return snapshot.docs.map(snap => ({ id: snap.id, ...snap.data() }));
+};
+
+// Order types defined in the workspace settings, or the built-in ones.
+const readOrderTypes = async (db, settingsPath) => {
+  const snapshot = await getDoc(doc(db, settingsPath));
+  return getOrderTypes(snapshot.exists() ? snapshot.data().orderTypes : null);
+};
+
+const readImportRows = async (fileName) => (
+  isWorkbookFile(fileName) ? parseWorkbook(await Deno.readFile(fileName)) : parseImportText(await Deno.readTextFile(fileName))
+);
+
+// "--columns 2,1,4" maps order number, customer and date (and optionally type) by position.
+const getColumnMapping = (rows, args) => {
+  const mapping = guessColumnMapping(rows);
+  if (args.columns) {
+    const columns = String(args.columns).split(',').map(value => parseInt(value, 10));
+    if (columns.length < 3 || columns.some(column => !(column > 0))) {
+      throw new UsageError('--columns espera los números de columna del pedido, el cliente, la fecha y opcionalmente el tipo, p. ej. 1,2,3,4.');
+    }
+    COLUMN_OPTION_FIELDS.forEach((field, i) => { mapping[field] = i < columns.length ? columns[i] - 1 : -1; });
+  }
+  if (args.header === false) {
+    mapping.hasHeader = false;
+  }
+  return mapping;
+};
+
+const describeMapping = (mapping) => {
+  const labels = { orderNumber: 'pedido', customerName: 'cliente', deliveryDate: 'fecha', type: 'tipo' };
+  const columns = COLUMN_OPTION_FIELDS
+    .filter(field => mapping[field] >= 0)
+    .map(field => `${labels[field]}=${mapping[field] + 1}`);
+  return `Columnas: ${columns.join(', ')}${mapping.hasHeader ? ' (con cabecera)' : ''}`;
+};
+
+const printImportPreview = ({ preview, unchanged, rejects, ordersToArchive }, orderTypes) => {
+  const added = preview.filter(row => row.importStatus === 'Nuevo');
+  const compared = preview.filter(row => row.importStatus !== 'Nuevo');
+
+  console.log(`Nuevos: ${added.length}`);
+  added.forEach(row => {
+    console.log(`  + ${row.orderNumber}  ${row.customerName}  ${formatDate(row.deliveryDate)}  ${formatFieldValue('type', row.type, orderTypes)}`);
+  });
+
+  console.log(`Con cambios: ${compared.length}`);
+  compared.forEach(row => {
+    console.log(`  ~ ${row.orderNumber}`);
+    row.changes.forEach(change => {
+      const note = change.accepted ? '' : ' (no se aplica: el tipo actual tiene más prioridad)';
+      if (change.field === 'deleted') {
+        console.log(`      ${IMPORT_RESTORE_LABEL}: se restaurará`);
+        return;
+      }
+      console.log(`      ${IMPORT_DIFF_FIELDS[change.field]}: ${formatFieldValue(change.field, change.before, orderTypes)} → ${formatFieldValue(change.field, change.after, orderTypes)}${note}`);
+    });
+  });
+
+  console.log(`Sin cambios: ${unchanged.length}`);
+
+  console.log(`Rechazados: ${rejects.length}`);
+  rejects.forEach(reject => console.log(`  línea ${reject.line}: ${reject.reason}  [${reject.text}]`));
+
+  if (ordersToArchive) {
+    console.log(`Se archivarán por no estar en el archivo: ${ordersToArchive.length}`);
+    ordersToArchive.forEach(order => console.log(`  - ${order.orderNumber}  ${order.customerName}`));
+  }
+};
+
+const runImport = async (args, appId) => {
+  const fileName = args._[1];
+  if (!fileName) {
+    throw new UsageError(USAGE);
+  }
+  const { rows } = await readImportRows(fileName);
+  if (rows.length === 0) {
+    throw new UsageError('El archivo está vacío o no contiene datos válidos.');
+  }
+  const mapping = getColumnMapping(rows, args);
+  console.log(describeMapping(mapping));
+
+  // The workspace's types decide which --type and type column values are known.
+  const { db, userId } = await connect();
+  const paths = getWorkspacePaths(appId, getWorkspaceOption(args));
+  const orderTypes = await readOrderTypes(db, paths.settings);
+  const fallbackType = args.type ? normalizeOrderType(args.type, orderTypes) : '';
+  if (args.type && !fallbackType) {
+    throw new UsageError(`Tipo de pedido desconocido: «${args.type}».`);
+  }
+  const mappingError = validateColumnMapping(mapping, fallbackType);
+  if (mappingError) {
+    throw new UsageError(`${mappingError} Usa --columns o --type.`);
+  }
+
+  const ordersPath = paths.orders;
+  // Orders in the recycle bin are matched too, so the import restores them instead of adding copies.
+  const existingOrders = await readOrders(db, ordersPath);
+  const source = fileName.split(/[\\/]/).pop();
+  const { preview, unchanged, rejects } = buildImportPreview(rows, mapping, { fallbackType, fileName: source, existingOrders, orderTypes });
+  const ordersToArchive = args.sync ? getSyncArchiveProposals({ preview, unchanged, rejects, activeOrders: existingOrders }) : null;
+
+  printImportPreview({ preview, unchanged, rejects, ordersToArchive }, orderTypes);
+
+  const untyped = preview.filter(row => !row.type);
+  if (untyped.length > 0) {
+    throw new UsageError(`Hay ${untyped.length} pedidos sin tipo reconocido (${untyped.map(row => row.orderNumber).join(', ')}). Indica uno con --type.`);
+  }
+  if (args['dry-run']) {
+    console.log('Simulación: no se ha guardado nada.');
+    return 0;
+  }
+
+  const writes = planImportWrites({ preview, existingOrders, ordersToArchive: ordersToArchive || [] }).map(({ id, ...write }) => ({
+    ...write,
+    orderRef: id ? doc(db, ordersPath, id) : doc(collection(db, ordersPath)),
+    source: 'import',
+    file: source,
+  }));
+  if (writes.length === 0) {
+    console.log('No hay cambios que importar.');
+    return 0;
+  }
+
+  const { commitOrderWrites } = createOrderWriter(db, { historyPath: paths.orderHistory, userId });
+  const { succeeded, failed } = await commitOrderWrites(writes, (done, total) => console.error(`Guardados ${done} de ${total}...`));
+  console.log(`Guardados: ${succeeded.length}. Con error: ${failed.length}.`);
+  if (failed.length > 0) {
+    // Re-running the same import only retries these: the rest already match.
+    console.log(`Pedidos con error: ${failed.map(getWriteOrderNumber).join(', ')}`);
+    return 1;
+  }
+  return 0;
+};
+
+const runExport = async (args, appId) => {
+  const format = args.format || 'csv';
+  if (!EXPORT_FORMATS[format]) {
+    throw new UsageError(`Formato desconocido: «${format}». Usa ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+  }
+
+  const { db } = await connect();
+  const paths = getWorkspacePaths(appId, getWorkspaceOption(args));
+  const orders = (await readOrders(db, paths.orders))
+    .filter(order => (args.deleted ? order.deleted : !order.deleted) && (args.archived || args.deleted || !order.archived))
+    .sort((a, b) => String(a.deliveryDate || '').localeCompare(String(b.deliveryDate || '')));
+  const content = EXPORT_FORMATS[format].serialize(orders, appId, await readOrderTypes(db, paths.settings));
+
+  if (args.output) {
+    await Deno.writeTextFile(args.output, content);
+    console.error(`Exportados ${orders.length} pedidos a ${args.output}.`);
+  } else {
+    console.log(content);
+  }
+  return 0;
+};
+
+// Orders in the recycle bin are migrated too, so they come back with a readable date.
+const runMigrateDates = async (args, appId) => {
+  const timeZone = args['time-zone'] || DELIVERY_TIME_ZONE;
+  try {
+    new Intl.DateTimeFormat('es-ES', { timeZone });
+  } catch {
+    throw new UsageError(`Zona horaria desconocida: «${timeZone}».`);
+  }
+
+  const { db, userId } = await connect();
+  const paths = getWorkspacePaths(appId, getWorkspaceOption(args));
+  const { changes, unreadable } = planDeliveryDateMigration(await readOrders(db, paths.orders), timeZone);
+
+  console.log(`Fechas por convertir (${timeZone}): ${changes.length}`);
+  changes.forEach(({ order, before, after }) => console.log(`  ~ ${order.orderNumber || order.id}  ${before} → ${after || 'sin fecha'}`));
+  console.log(`Fechas que no se pueden leer: ${unreadable.length}`);
+  unreadable.forEach(order => console.log(`  ! ${order.orderNumber || order.id}  «${order.deliveryDate}»`));
+
+  if (args['dry-run']) {
+    console.log('Simulación: no se ha guardado nada.');
+    return 0;
+  }
+  if (changes.length === 0) {
+    console.log('No hay fechas que convertir.');
+    return unreadable.length > 0 ? 1 : 0;
+  }
+
+  const { commitOrderWrites } = createOrderWriter(db, { historyPath: paths.orderHistory, userId });
+  const { succeeded, failed } = await commitOrderWrites(changes.map(({ order, after }) => ({
+    orderRef: doc(db, paths.orders, order.id),
+    before: order,
+    after: { deliveryDate: after },
+    source: 'migration',
+  })), (done, total) => console.error(`Guardados ${done} de ${total}...`));
+  console.log(`Convertidos: ${succeeded.length}. Con error: ${failed.length}.`);
+  if (failed.length > 0) {
+    // Converted orders are skipped when the command runs again.
+    console.log(`Pedidos con error: ${failed.map(getWriteOrderNumber).join(', ')}`);
+  }
+  return failed.length > 0 || unreadable.length > 0 ? 1 : 0;
+};
+
+const COMMANDS = {
+  import: runImport,
+  export: runExport,
+  'migrate-dates': runMigrateDates,
+};
+
+const main = async () => {
+  const args = parseArgs(Deno.args, {
+    string: ['type', 'columns', 'format', 'output', 'app-id', 'workspace', 'time-zone'],
+    boolean: ['dry-run', 'sync', 'header', 'archived', 'deleted', 'help'],
+    default: { header: true },
+    negatable: ['header'],
+  });
+  const command = COMMANDS[args._[0]];
+  if (args.help || !command) {
+    console.log(USAGE);
+    return args.help ? 0 : 2;
+  }
+
+  try {
+    return await command(args, getAppId(args));
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(error.message);
+      return 2;
+    }
+    console.error("Error running the orders command:", error);
+    return 1;
+  }
+};
+
+// Firebase keeps its connections open, so exit explicitly.
+Deno.exit(await main());
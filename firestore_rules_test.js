@@ -0,0 +1,159 @@
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+
+// These tests need the Firestore emulator and are skipped without it:
+//   firebase emulators:exec --only firestore "deno test -A firestore_rules_test.js"
+const emulatorHost = Deno.env.get('FIRESTORE_EMULATOR_HOST');
+const DATA_PATH = 'artifacts/default-app-id/public/data';
+
+const setupTestEnvironment = async () => {
+  const [host, port] = emulatorHost.split(':');
+  const testEnv = await initializeTestEnvironment({
+    projectId: 'demo-pedidos',
+    firestore: {
+      host,
+      port: Number(port),
+      rules: await Deno.readTextFile(new URL('./firestore.rules', import.meta.url)),
+    },
+  });
+
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await db.doc(`${DATA_PATH}/users/admin`).set({ email: 'admin@example.com', role: 'admin' });
+    await db.doc(`${DATA_PATH}/users/dispatcher`).set({ email: 'dispatcher@example.com', role: 'dispatcher' });
+    await db.doc(`${DATA_PATH}/users/viewer`).set({ email: 'viewer@example.com', role: 'viewer' });
+    await db.doc(`${DATA_PATH}/orders/order1`).set({ orderNumber: '1001', customerName: 'Ana', type: 'recogida' });
+    await db.doc(`${DATA_PATH}/orderHistory/entry1`).set({ orderId: 'order1', userId: 'dispatcher', changes: {} });
+    await db.doc(`${DATA_PATH}/workspaces/norte`).set({ name: 'Norte' });
+    await db.doc(`${DATA_PATH}/workspaces/norte/users/viewer`).set({ email: 'viewer@example.com', role: 'dispatcher' });
+    await db.doc(`${DATA_PATH}/workspaces/norte/orders/order1`).set({ orderNumber: '2001', customerName: 'Luis', type: 'parcial' });
+  });
+  return testEnv;
+};
+
+const rulesTest = (name, fn) => Deno.test({
+  name,
+  ignore: !emulatorHost,
+  // The Firebase SDK keeps its connections open between tests.
+  sanitizeOps: false,
+  sanitizeResources: false,
+  fn: async () => {
+    const testEnv = await setupTestEnvironment();
+    try {
+      await fn(testEnv);
+    } finally {
+      await testEnv.cleanup();
+    }
+  },
+});
+
+const firestoreAs = (testEnv, uid) => (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).firestore();
+
+rulesTest('signed-out users cannot read orders', async (testEnv) => {
+  await assertFails(firestoreAs(testEnv, null).doc(`${DATA_PATH}/orders/order1`).get());
+});
+
+rulesTest('viewers read orders but cannot change them', async (testEnv) => {
+  const db = firestoreAs(testEnv, 'viewer');
+  await assertSucceeds(db.doc(`${DATA_PATH}/orders/order1`).get());
+  await assertFails(db.doc(`${DATA_PATH}/orders/order2`).set({ orderNumber: '1002' }));
+  await assertFails(db.doc(`${DATA_PATH}/orders/order1`).update({ archived: true }));
+  await assertFails(db.collection(`${DATA_PATH}/orderHistory`).add({ orderId: 'order1', userId: 'viewer', changes: {} }));
+});
+
+rulesTest('accounts without a profile are viewers', async (testEnv) => {
+  const db = firestoreAs(testEnv, 'newcomer');
+  await assertSucceeds(db.doc(`${DATA_PATH}/orders/order1`).get());
+  await assertFails(db.doc(`${DATA_PATH}/orders/order1`).update({ archived: true }));
+});
+
+rulesTest('dispatchers create, edit and flag orders as deleted', async (testEnv) => {
+  const db = firestoreAs(testEnv, 'dispatcher');
+  await assertSucceeds(db.doc(`${DATA_PATH}/orders/order2`).set({ orderNumber: '1002', type: 'instalacion' }));
+  await assertSucceeds(db.doc(`${DATA_PATH}/orders/order1`).update({ customerName: 'Ana María' }));
+  await assertSucceeds(db.doc(`${DATA_PATH}/orders/order1`).update({ deleted: true }));
+  await assertSucceeds(db.collection(`${DATA_PATH}/orderHistory`).add({ orderId: 'order1', userId: 'dispatcher', changes: {} }));
+});
+
+rulesTest('dispatchers cannot purge orders, change settings or manage users', async (testEnv) => {
+  const db = firestoreAs(testEnv, 'dispatcher');
+  await assertFails(db.doc(`${DATA_PATH}/orders/order1`).delete());
+  await assertFails(db.doc(`${DATA_PATH}/settings/general`).set({ trashRetentionDays: 7 }, { merge: true }));
+  await assertFails(db.doc(`${DATA_PATH}/users/viewer`).update({ role: 'admin' }));
+  await assertFails(db.doc(`${DATA_PATH}/users/dispatcher`).update({ role: 'admin' }));
+  await assertFails(db.doc(`${DATA_PATH}/users/viewer`).get());
+});
+
+rulesTest('audit entries are append-only and signed by their author', async (testEnv) => {
+  const db = firestoreAs(testEnv, 'dispatcher');
+  await assertFails(db.collection(`${DATA_PATH}/orderHistory`).add({ orderId: 'order1', userId: 'admin', changes: {} }));
+  await assertFails(db.doc(`${DATA_PATH}/orderHistory/entry1`).update({ changes: { type: {} } }));
+  // A retried batch writes the same entry again.
+  await assertSucceeds(db.doc(`${DATA_PATH}/orderHistory/entry1`).set({ orderId: 'order1', userId: 'dispatcher', changes: {} }));
+  await assertFails(firestoreAs(testEnv, 'admin').doc(`${DATA_PATH}/orderHistory/entry1`).delete());
+});
+
+rulesTest('admins purge orders, change settings and manage roles', async (testEnv) => {
+  const db = firestoreAs(testEnv, 'admin');
+  await assertSucceeds(db.doc(`${DATA_PATH}/orders/order1`).delete());
+  await assertSucceeds(db.doc(`${DATA_PATH}/settings/general`).set({ trashRetentionDays: 7 }, { merge: true }));
+  await assertSucceeds(db.collection(`${DATA_PATH}/users`).get());
+  await assertSucceeds(db.doc(`${DATA_PATH}/users/viewer`).set({ role: 'dispatcher' }, { merge: true }));
+});
+
+rulesTest('dispatchers keep the customer records that only admins delete', async (testEnv) => {
+  const customer = { name: 'Ana Pérez', phone: '600000000', email: '', address: '', notes: '' };
+  await assertSucceeds(firestoreAs(testEnv, 'dispatcher').doc(`${DATA_PATH}/customers/ana`).set(customer));
+  await assertSucceeds(firestoreAs(testEnv, 'viewer').doc(`${DATA_PATH}/customers/ana`).get());
+  await assertFails(firestoreAs(testEnv, 'viewer').doc(`${DATA_PATH}/customers/bea`).set(customer));
+  await assertFails(firestoreAs(testEnv, 'dispatcher').doc(`${DATA_PATH}/customers/ana`).delete());
+  await assertSucceeds(firestoreAs(testEnv, 'admin').doc(`${DATA_PATH}/customers/ana`).delete());
+});
+
+rulesTest('everyone reads the crews but only admins change them', async (testEnv) => {
+  const crew = { name: 'Norte', vehicle: 'Furgoneta 1', email: 'norte@example.com' };
+  await assertSucceeds(firestoreAs(testEnv, 'admin').doc(`${DATA_PATH}/crews/norte`).set(crew));
+  await assertSucceeds(firestoreAs(testEnv, 'viewer').doc(`${DATA_PATH}/crews/norte`).get());
+  await assertFails(firestoreAs(testEnv, 'dispatcher').doc(`${DATA_PATH}/crews/sur`).set(crew));
+  await assertFails(firestoreAs(testEnv, 'dispatcher').doc(`${DATA_PATH}/crews/norte`).delete());
+});
+
+rulesTest('dispatchers read and write the digest sent log, viewers cannot', async (testEnv) => {
+  const entry = { date: '2026-03-05', status: 'sent', recipients: ['equipo@example.com'] };
+  await assertSucceeds(firestoreAs(testEnv, 'dispatcher').doc(`${DATA_PATH}/digestLog/2026-03-05`).set(entry));
+  await assertFails(firestoreAs(testEnv, 'viewer').doc(`${DATA_PATH}/digestLog/2026-03-06`).set(entry));
+  await assertSucceeds(firestoreAs(testEnv, 'dispatcher').doc(`${DATA_PATH}/digestLog/2026-03-05`).get());
+  await assertFails(firestoreAs(testEnv, 'viewer').doc(`${DATA_PATH}/digestLog/2026-03-05`).get());
+  await assertSucceeds(firestoreAs(testEnv, 'admin').doc(`${DATA_PATH}/digestLog/2026-03-05`).get());
+});
+
+rulesTest('new accounts create their own profile only as viewers', async (testEnv) => {
+  const db = firestoreAs(testEnv, 'newcomer');
+  await assertFails(db.doc(`${DATA_PATH}/users/newcomer`).set({ email: 'new@example.com', role: 'admin' }));
+  await assertFails(db.doc(`${DATA_PATH}/users/someone-else`).set({ email: 'new@example.com', role: 'viewer' }));
+  await assertSucceeds(db.doc(`${DATA_PATH}/users/newcomer`).set({ email: 'new@example.com', role: 'viewer' }));
+  await assertSucceeds(db.doc(`${DATA_PATH}/users/newcomer`).get());
+  await assertFails(db.doc(`${DATA_PATH}/users/newcomer`).update({ role: 'admin' }));
+});
+
+rulesTest('workspaces give their members the role of their member profile', async (testEnv) => {
+  const WORKSPACE_PATH = `${DATA_PATH}/workspaces/norte`;
+  // A viewer of the default workspace who dispatches in Norte.
+  const member = firestoreAs(testEnv, 'viewer');
+  await assertSucceeds(member.doc(`${WORKSPACE_PATH}/orders/order1`).get());
+  await assertSucceeds(member.doc(`${WORKSPACE_PATH}/orders/order2`).set({ orderNumber: '2002' }));
+  await assertFails(member.doc(`${WORKSPACE_PATH}/orders/order1`).delete());
+  await assertFails(member.doc(`${WORKSPACE_PATH}/users/viewer`).update({ role: 'admin' }));
+
+  // Outsiders see the workspace's name only; admins of the default workspace manage it.
+  const outsider = firestoreAs(testEnv, 'dispatcher');
+  await assertSucceeds(outsider.doc(WORKSPACE_PATH).get());
+  await assertFails(outsider.doc(`${WORKSPACE_PATH}/orders/order1`).get());
+  await assertFails(outsider.doc(`${WORKSPACE_PATH}/users/dispatcher`).set({ email: 'dispatcher@example.com', role: 'viewer' }));
+  await assertFails(outsider.doc(`${DATA_PATH}/workspaces/sur`).set({ name: 'Sur' }));
+
+  const admin = firestoreAs(testEnv, 'admin');
+  await assertSucceeds(admin.doc(`${DATA_PATH}/workspaces/sur`).set({ name: 'Sur' }));
+  await assertSucceeds(admin.doc(`${WORKSPACE_PATH}/users/dispatcher`).set({ email: 'dispatcher@example.com', role: 'viewer' }));
+  await assertSucceeds(admin.doc(`${WORKSPACE_PATH}/orders/order1`).delete());
+});
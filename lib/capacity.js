@@ -0,0 +1,80 @@
+// Daily capacity: how many orders of each type fit in one day.
+// A capacity maps order types to their daily limit; types without a number have no limit.
+import { formatDateKey } from './orders.js';
+import { getOrderStatus } from './order_status.js';
+import { getDeliveryDate, getDeliveryDay } from './delivery_dates.js';
+
+// How far ahead to look for a day with room left.
+const MAX_DAYS_AHEAD = 365;
+
+export const getCapacityLimit = (capacity, type) => {
+  const limit = capacity && capacity[type];
+  return Number.isInteger(limit) && limit >= 0 ? limit : null;
+};
+
+// Orders per day and type, as { 'YYYY-MM-DD': { instalacion: 3 } }.
+// Orders in the recycle bin, cancelled or without a date do not take up room.
+export const countOrdersByDay = (orders) => {
+  const counts = {};
+  orders.forEach(order => {
+    const dateKey = getDeliveryDate(order);
+    if (order.deleted || !dateKey || !order.type || getOrderStatus(order) === 'cancelado') return;
+    counts[dateKey] = counts[dateKey] || {};
+    counts[dateKey][order.type] = (counts[dateKey][order.type] || 0) + 1;
+  });
+  return counts;
+};
+
+// Types over their limit in one day's counts: [{ type, count, limit }].
+export const getOverbookedTypes = (dayCounts, capacity) => Object.entries(dayCounts || {})
+  .map(([type, count]) => ({ type, count, limit: getCapacityLimit(capacity, type) }))
+  .filter(({ count, limit }) => limit !== null && count > limit);
+
+// First day after `date` with room for one more order of `type`, or null when there is none.
+export const findNextFreeDay = (counts, capacity, type, date) => {
+  const limit = getCapacityLimit(capacity, type);
+  if (limit === null) return null;
+  for (let i = 1; i <= MAX_DAYS_AHEAD; i++) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + i);
+    const count = (counts[formatDateKey(day)] || {})[type] || 0;
+    if (count < limit) return day;
+  }
+  return null;
+};
+
+// Whether saving `order` ({ id, type, deliveryDate }) overbooks its day, counting every
+// other order. Returns { type, count, limit, nextFreeDay } or null when it fits.
+export const checkOrderCapacity = (orders, capacity, order) => {
+  const limit = getCapacityLimit(capacity, order.type);
+  const date = getDeliveryDay(order);
+  if (limit === null || !date) return null;
+  const counts = countOrdersByDay(orders.filter(o => !order.id || o.id !== order.id));
+  const count = ((counts[formatDateKey(date)] || {})[order.type] || 0) + 1;
+  if (count <= limit) return null;
+  return { type: order.type, count, limit, nextFreeDay: findNextFreeDay(counts, capacity, order.type, date) };
+};
+
+// Overbooking caused by an import preview, one entry per preview row: null, or
+// { type, count, limit, nextFreeDay } when the row adds or moves an order into a full day.
+// Rows are applied as they would be written: new rows are added and existing orders
+// take the accepted changes.
+export const getImportOverbooking = (preview, existingOrders, capacity) => {
+  const resultingRows = preview.map(row => {
+    if (row.importStatus === 'Nuevo') return { ...row, id: null };
+    const existing = existingOrders.find(o => o.id === row.id);
+    const accepted = Object.fromEntries((row.changes || []).filter(c => c.accepted).map(c => [c.field, c.after]));
+    return { ...existing, ...accepted };
+  });
+  const touchedIds = new Set(preview.filter(row => row.importStatus !== 'Nuevo').map(row => row.id));
+  const counts = countOrdersByDay([...existingOrders.filter(o => !touchedIds.has(o.id)), ...resultingRows]);
+
+  return preview.map((row, index) => {
+    const order = resultingRows[index];
+    const movesOrder = row.importStatus === 'Nuevo' || (row.changes || []).some(c => c.accepted && ['deliveryDate', 'type', 'deleted'].includes(c.field));
+    const limit = getCapacityLimit(capacity, order.type);
+    const date = getDeliveryDay(order);
+    if (!movesOrder || limit === null || !date) return null;
+    const count = (counts[formatDateKey(date)] || {})[order.type] || 0;
+    return count > limit ? { type: order.type, count, limit, nextFreeDay: findNextFreeDay(counts, capacity, order.type, date) } : null;
+  });
+};
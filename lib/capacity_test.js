@@ -0,0 +1,54 @@
+import { assertEquals } from '@std/assert';
+import { checkOrderCapacity, countOrdersByDay, findNextFreeDay, getImportOverbooking, getOverbookedTypes } from './capacity.js';
+
+const day = (d) => `2026-03-${String(d).padStart(2, '0')}`;
+const CAPACITY = { instalacion: 2, recogida: 1, parcial: null };
+const ORDERS = [
+  { id: 'a', orderNumber: '1', type: 'instalacion', deliveryDate: day(5) },
+  // Saved before delivery dates were days: 17:00 in Madrid.
+  { id: 'b', orderNumber: '2', type: 'instalacion', deliveryDate: '2026-03-05T16:00:00.000Z' },
+  { id: 'c', orderNumber: '3', type: 'instalacion', deliveryDate: day(6) },
+  { id: 'd', orderNumber: '4', type: 'instalacion', deliveryDate: day(6), deleted: true },
+  { id: 'g', orderNumber: '7', type: 'instalacion', deliveryDate: day(6), status: 'cancelado' },
+  { id: 'e', orderNumber: '5', type: 'recogida', deliveryDate: day(5) },
+  { id: 'f', orderNumber: '6', type: 'parcial', deliveryDate: day(5) },
+];
+
+Deno.test('countOrdersByDay counts per local day and type, skipping the recycle bin and cancelled orders', () => {
+  const counts = countOrdersByDay(ORDERS);
+  assertEquals(counts['2026-03-05'], { instalacion: 2, recogida: 1, parcial: 1 });
+  assertEquals(counts['2026-03-06'], { instalacion: 1 });
+});
+
+Deno.test('getOverbookedTypes ignores types without a limit', () => {
+  assertEquals(getOverbookedTypes({ instalacion: 3, recogida: 1, parcial: 40 }, CAPACITY), [{ type: 'instalacion', count: 3, limit: 2 }]);
+  assertEquals(getOverbookedTypes(undefined, CAPACITY), []);
+});
+
+Deno.test('findNextFreeDay skips full days', () => {
+  const counts = countOrdersByDay(ORDERS);
+  assertEquals(findNextFreeDay(counts, CAPACITY, 'instalacion', new Date(2026, 2, 4)), new Date(2026, 2, 6));
+  assertEquals(findNextFreeDay(counts, { instalacion: 1 }, 'instalacion', new Date(2026, 2, 4)), new Date(2026, 2, 7));
+  assertEquals(findNextFreeDay(counts, CAPACITY, 'parcial', new Date(2026, 2, 4)), null);
+});
+
+Deno.test('checkOrderCapacity flags a full day and does not count the order being edited', () => {
+  const result = checkOrderCapacity(ORDERS, CAPACITY, { type: 'instalacion', deliveryDate: day(5) });
+  assertEquals(result, { type: 'instalacion', count: 3, limit: 2, nextFreeDay: new Date(2026, 2, 6) });
+  assertEquals(checkOrderCapacity(ORDERS, CAPACITY, { id: 'a', type: 'instalacion', deliveryDate: day(5) }), null);
+  assertEquals(checkOrderCapacity(ORDERS, CAPACITY, { type: 'parcial', deliveryDate: day(5) }), null);
+  assertEquals(checkOrderCapacity(ORDERS, CAPACITY, { type: 'instalacion', deliveryDate: null }), null);
+});
+
+Deno.test('getImportOverbooking flags new and moved orders that land on a full day', () => {
+  const preview = [
+    { importStatus: 'Nuevo', orderNumber: '7', type: 'instalacion', deliveryDate: day(6) },
+    { importStatus: 'Nuevo', orderNumber: '8', type: 'instalacion', deliveryDate: day(6) },
+    { importStatus: 'Actualizar', id: 'e', orderNumber: '5', type: 'recogida', deliveryDate: day(6), changes: [{ field: 'deliveryDate', before: day(5), after: day(6), accepted: true }] },
+    { importStatus: 'Actualizar', id: 'a', orderNumber: '1', type: 'instalacion', deliveryDate: day(5), changes: [{ field: 'customerName', before: 'x', after: 'y', accepted: true }] },
+    { importStatus: 'Actualizar', id: 'b', orderNumber: '2', type: 'instalacion', deliveryDate: day(6), changes: [{ field: 'deliveryDate', before: day(5), after: day(6), accepted: false }] },
+  ];
+  const result = getImportOverbooking(preview, ORDERS, CAPACITY);
+  const full = { type: 'instalacion', count: 3, limit: 2, nextFreeDay: new Date(2026, 2, 7) };
+  assertEquals(result, [full, full, null, null, null]);
+});
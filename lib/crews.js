@@ -0,0 +1,24 @@
+// Crews (or vehicles) that orders are assigned to through their `crewId`.
+
+// Column and email group for orders without a crew, or whose crew no longer exists.
+export const UNASSIGNED_CREW = { id: null, name: 'Sin asignar' };
+
+export const sortCrews = (crews) => [...crews].sort((a, b) => String(a.name || '').localeCompare(String(b.name || ''), 'es'));
+
+export const getCrewName = (crews, crewId) => {
+  if (!crewId) return UNASSIGNED_CREW.name;
+  const crew = crews.find(c => c.id === crewId);
+  return crew ? crew.name : UNASSIGNED_CREW.name;
+};
+
+// One group per crew, sorted by name, then the unassigned orders: [{ crew, orders }].
+// Crews without orders are kept so every crew gets a column in the day plan.
+export const groupOrdersByCrew = (orders, crews) => {
+  const groups = sortCrews(crews).map(crew => ({ crew, orders: [] }));
+  const unassigned = { crew: UNASSIGNED_CREW, orders: [] };
+  orders.forEach(order => {
+    const group = order.crewId && groups.find(g => g.crew.id === order.crewId);
+    (group || unassigned).orders.push(order);
+  });
+  return [...groups, unassigned];
+};
@@ -0,0 +1,28 @@
+import { assertEquals } from '@std/assert';
+import { UNASSIGNED_CREW, getCrewName, groupOrdersByCrew } from './crews.js';
+
+const CREWS = [
+  { id: 'c2', name: 'Zaragoza 2', email: 'z2@example.com' },
+  { id: 'c1', name: 'Ávila 1', email: 'a1@example.com' },
+];
+
+Deno.test('groupOrdersByCrew keeps every crew by name and puts unknown crews with the unassigned', () => {
+  const orders = [
+    { orderNumber: '1', crewId: 'c2' },
+    { orderNumber: '2', crewId: null },
+    { orderNumber: '3', crewId: 'gone' },
+    { orderNumber: '4', crewId: 'c2' },
+  ];
+  const groups = groupOrdersByCrew(orders, CREWS);
+  assertEquals(groups.map(g => [g.crew.name, g.orders.map(o => o.orderNumber)]), [
+    ['Ávila 1', []],
+    ['Zaragoza 2', ['1', '4']],
+    [UNASSIGNED_CREW.name, ['2', '3']],
+  ]);
+});
+
+Deno.test('getCrewName falls back to the unassigned label', () => {
+  assertEquals(getCrewName(CREWS, 'c1'), 'Ávila 1');
+  assertEquals(getCrewName(CREWS, 'gone'), 'Sin asignar');
+  assertEquals(getCrewName(CREWS, null), 'Sin asignar');
+});
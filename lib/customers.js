@@ -0,0 +1,100 @@
+// Customer records that orders link to through `customerId`, and how the free-text
+// names typed or imported with orders are matched to them.
+import { normalizeText } from './orders.js';
+import { getDeliveryDate } from './delivery_dates.js';
+
+// Fields of a customer record.
+export const CUSTOMER_FIELDS = ['name', 'phone', 'email', 'address', 'notes'];
+
+// Similarity (0 to 1) from which a differently spelled name is proposed as the same customer.
+export const SIMILAR_NAME_THRESHOLD = 0.85;
+
+// Name as compared: no accents, case, punctuation or repeated spaces.
+export const getCustomerKey = (name) => normalizeText(name).replace(/[^a-z0-9]+/g, ' ').trim();
+
+export const sortCustomers = (customers) => [...customers].sort((a, b) => String(a.name || '').localeCompare(String(b.name || ''), 'es'));
+
+const getEditDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 1 for the same name, down to 0 for names with nothing in common.
+export const getNameSimilarity = (a, b) => {
+  const keyA = getCustomerKey(a);
+  const keyB = getCustomerKey(b);
+  if (!keyA || !keyB) return 0;
+  return 1 - getEditDistance(keyA, keyB) / Math.max(keyA.length, keyB.length);
+};
+
+// The customer a name refers to: { customer, exact } or null.
+// Names that are not the same after normalising only match when they are very similar.
+export const matchCustomer = (customers, name) => {
+  const key = getCustomerKey(name);
+  if (!key) return null;
+  const exact = customers.find(customer => getCustomerKey(customer.name) === key);
+  if (exact) return { customer: exact, exact: true };
+
+  let best = null;
+  customers.forEach(customer => {
+    const similarity = getNameSimilarity(customer.name, name);
+    if (similarity >= SIMILAR_NAME_THRESHOLD && (!best || similarity > best.similarity)) {
+      best = { customer, similarity };
+    }
+  });
+  return best ? { customer: best.customer, exact: false } : null;
+};
+
+// Customers whose name contains the query, or whose phone contains its digits; names that start with it first.
+export const searchCustomers = (customers, query, limit = 8) => {
+  const key = getCustomerKey(query);
+  if (!key) return [];
+  const digits = String(query).replace(/\D/g, '');
+  return sortCustomers(customers)
+    .filter(customer => getCustomerKey(customer.name).includes(key) || (digits.length >= 3 && String(customer.phone || '').replace(/\D/g, '').includes(digits)))
+    .sort((a, b) => Number(getCustomerKey(b.name).startsWith(key)) - Number(getCustomerKey(a.name).startsWith(key)))
+    .slice(0, limit);
+};
+
+// Orders linked to the customer, plus older orders without a link that carry the same name.
+export const getCustomerOrders = (customer, orders) => orders
+  .filter(order => order.customerId === customer.id || (!order.customerId && getCustomerKey(order.customerName) === getCustomerKey(customer.name)))
+  .sort((a, b) => String(getDeliveryDate(b) || '').localeCompare(String(getDeliveryDate(a) || '')));
+
+// One entry per distinct customer name in an import preview:
+// { key, name, address, kind: 'exact' | 'similar' | 'new', customer }.
+export const getImportCustomerMatches = (preview, customers) => {
+  const matches = new Map();
+  preview.forEach(row => {
+    const key = getCustomerKey(row.customerName);
+    if (!key || matches.has(key)) return;
+    const match = matchCustomer(customers, row.customerName);
+    matches.set(key, {
+      key,
+      name: row.customerName.trim(),
+      address: row.address || '',
+      kind: match ? (match.exact ? 'exact' : 'similar') : 'new',
+      customer: match ? match.customer : null,
+    });
+  });
+  return [...matches.values()];
+};
+
+// What the import does with a matched name unless the user changed it:
+// link it to the existing customer or create a new one.
+export const getDefaultCustomerAction = (match) => (match.kind === 'new' ? 'create' : 'link');
+
+// Set `customerId` on the preview rows whose name is in `links` ({ [key]: { id, name } }).
+// New orders also take the customer's spelling of the name.
+export const linkImportCustomers = (preview, links) => preview.map(row => {
+  const link = links[getCustomerKey(row.customerName)];
+  if (!link) return row;
+  return row.importStatus === 'Nuevo' ? { ...row, customerId: link.id, customerName: link.name } : { ...row, customerId: link.id };
+});
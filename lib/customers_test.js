@@ -0,0 +1,67 @@
+import { assert, assertEquals } from '@std/assert';
+import {
+  getCustomerKey,
+  getCustomerOrders,
+  getDefaultCustomerAction,
+  getImportCustomerMatches,
+  getNameSimilarity,
+  linkImportCustomers,
+  matchCustomer,
+  searchCustomers,
+} from './customers.js';
+
+const CUSTOMERS = [
+  { id: 'ana', name: 'Ana Pérez', phone: '600 111 222' },
+  { id: 'cons', name: 'Construcciones García S.L.', phone: '' },
+  { id: 'bea', name: 'Bea Ruiz', phone: '' },
+];
+
+Deno.test('getCustomerKey ignores accents, case and punctuation', () => {
+  assertEquals(getCustomerKey('  Construcciones  GARCÍA, S.L. '), 'construcciones garcia s l');
+  assertEquals(getCustomerKey(null), '');
+});
+
+Deno.test('matchCustomer finds the same name and proposes close spellings', () => {
+  assertEquals(matchCustomer(CUSTOMERS, 'ana perez'), { customer: CUSTOMERS[0], exact: true });
+  assertEquals(matchCustomer(CUSTOMERS, 'Construcciones Garcia SL'), { customer: CUSTOMERS[1], exact: false });
+  assertEquals(matchCustomer(CUSTOMERS, 'Ana Martín'), null);
+  assert(getNameSimilarity('Bea Ruiz', 'Bea Ruis') > 0.85);
+});
+
+Deno.test('searchCustomers matches names and phone numbers, prefixes first', () => {
+  assertEquals(searchCustomers(CUSTOMERS, 'ruiz').map(c => c.id), ['bea']);
+  assertEquals(searchCustomers(CUSTOMERS, 'a').map(c => c.id), ['ana', 'bea', 'cons']);
+  assertEquals(searchCustomers(CUSTOMERS, '111').map(c => c.id), ['ana']);
+  assertEquals(searchCustomers(CUSTOMERS, ''), []);
+});
+
+Deno.test('getCustomerOrders includes linked orders and unlinked ones with the same name', () => {
+  const orders = [
+    { id: '1', customerId: 'ana', customerName: 'Ana P.', deliveryDate: '2026-03-01' },
+    { id: '2', customerName: 'ANA PÉREZ', deliveryDate: '2026-03-05' },
+    { id: '3', customerId: 'bea', customerName: 'Ana Pérez', deliveryDate: '2026-03-06' },
+  ];
+  assertEquals(getCustomerOrders(CUSTOMERS[0], orders).map(o => o.id), ['2', '1']);
+});
+
+Deno.test('import customer matches link known names and create the rest once', () => {
+  const preview = [
+    { importStatus: 'Nuevo', orderNumber: '1', customerName: 'ana pérez' },
+    { importStatus: 'Nuevo', orderNumber: '2', customerName: 'Construcciones Garcia SL' },
+    { importStatus: 'Nuevo', orderNumber: '3', customerName: 'Zoe Sanz', address: 'Calle Sol 1' },
+    { importStatus: 'Actualizar', id: 'o4', orderNumber: '4', customerName: 'Zoe  Sanz' },
+  ];
+  const matches = getImportCustomerMatches(preview, CUSTOMERS);
+  assertEquals(matches.map(m => [m.kind, m.customer && m.customer.id]), [['exact', 'ana'], ['similar', 'cons'], ['new', null]]);
+  assertEquals(matches[2].address, 'Calle Sol 1');
+  assertEquals(matches.map(getDefaultCustomerAction), ['link', 'link', 'create']);
+
+  const linked = linkImportCustomers(preview, {
+    'ana perez': { id: 'ana', name: 'Ana Pérez' },
+    'zoe sanz': { id: 'zoe', name: 'Zoe Sanz' },
+  });
+  assertEquals(linked[0], { importStatus: 'Nuevo', orderNumber: '1', customerName: 'Ana Pérez', customerId: 'ana' });
+  assertEquals(linked[1], preview[1]);
+  assertEquals(linked[3].customerId, 'zoe');
+  assertEquals(linked[3].customerName, 'Zoe  Sanz');
+});
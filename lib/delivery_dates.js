@@ -0,0 +1,68 @@
+// Delivery dates are calendar days stored as 'YYYY-MM-DD', so every device and time zone
+// reads the same day. Orders saved before held an ISO timestamp instead: UTC midnight from
+// the order form or local midnight from the import. Both fall on the intended day in the
+// time zone the business works in, which is how they are read until they are migrated.
+import { formatDateKey } from './orders.js';
+
+export const DELIVERY_TIME_ZONE = 'Europe/Madrid';
+
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Local Date at midnight of a 'YYYY-MM-DD' key, for calendars and date arithmetic, or null.
+export const parseDateKey = (key) => {
+  const match = DATE_KEY_PATTERN.exec(String(key || ''));
+  if (!match) return null;
+  const [year, month, day] = match.slice(1, 4).map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+export const isDateKey = (value) => parseDateKey(value) !== null;
+
+// Calendar day of an instant in `timeZone`, as YYYY-MM-DD.
+export const getDateKeyInTimeZone = (date, timeZone = DELIVERY_TIME_ZONE) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(date)
+    .map(part => [part.type, part.value]));
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+// A delivery date as stored: the key itself, the local day of a Date, or the day of a legacy
+// timestamp in `timeZone`. Null when there is none or it cannot be read.
+export const toDeliveryDate = (value, timeZone = DELIVERY_TIME_ZONE) => {
+  if (value instanceof Date) return isNaN(value) ? null : formatDateKey(value);
+  const text = String(value || '').trim();
+  if (!text) return null;
+  if (isDateKey(text)) return text;
+  const date = new Date(text);
+  return isNaN(date) ? null : getDateKeyInTimeZone(date, timeZone);
+};
+
+// Day of an order as YYYY-MM-DD, or null when it has none.
+export const getDeliveryDate = (order) => toDeliveryDate(order && order.deliveryDate);
+
+// Local Date at midnight of an order's day, or null.
+export const getDeliveryDay = (order) => parseDateKey(getDeliveryDate(order));
+
+// A delivery date for display, e.g. "05/03/2026"; `options` as in toLocaleDateString.
+export const formatDeliveryDate = (value, options = undefined) => {
+  const date = parseDateKey(toDeliveryDate(value));
+  return date ? date.toLocaleDateString('es-ES', options) : '';
+};
+
+// Orders whose delivery date is not stored as a day yet: the changes to write
+// ({ order, before, after }) and the orders whose date cannot be read.
+export const planDeliveryDateMigration = (orders, timeZone = DELIVERY_TIME_ZONE) => {
+  const changes = [];
+  const unreadable = [];
+  orders.forEach(order => {
+    if (order.deliveryDate === undefined || order.deliveryDate === null || isDateKey(order.deliveryDate)) return;
+    const after = toDeliveryDate(order.deliveryDate, timeZone);
+    if (after || String(order.deliveryDate).trim() === '') {
+      changes.push({ order, before: order.deliveryDate, after });
+    } else {
+      unreadable.push(order);
+    }
+  });
+  return { changes, unreadable };
+};
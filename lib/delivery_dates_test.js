@@ -0,0 +1,52 @@
+import { assertEquals } from '@std/assert';
+import { formatDeliveryDate, getDateKeyInTimeZone, getDeliveryDay, parseDateKey, planDeliveryDateMigration, toDeliveryDate } from './delivery_dates.js';
+
+Deno.test('parseDateKey reads valid days only', () => {
+  assertEquals(parseDateKey('2026-03-05'), new Date(2026, 2, 5));
+  assertEquals(parseDateKey('2026-02-30'), null);
+  assertEquals(parseDateKey('2026-03-05T00:00:00.000Z'), null);
+  assertEquals(parseDateKey(null), null);
+});
+
+Deno.test('toDeliveryDate keeps days and reads legacy timestamps in the business time zone', () => {
+  assertEquals(toDeliveryDate('2026-03-05'), '2026-03-05');
+  assertEquals(toDeliveryDate(new Date(2026, 2, 5, 23, 30)), '2026-03-05');
+  // UTC midnight, as saved by the order form.
+  assertEquals(toDeliveryDate('2026-03-05T00:00:00.000Z'), '2026-03-05');
+  assertEquals(toDeliveryDate('2026-07-05T00:00:00.000Z'), '2026-07-05');
+  // Midnight in Spain, as saved by the import in winter and in summer.
+  assertEquals(toDeliveryDate('2026-03-04T23:00:00.000Z'), '2026-03-05');
+  assertEquals(toDeliveryDate('2026-07-04T22:00:00.000Z'), '2026-07-05');
+  assertEquals(toDeliveryDate('2026-03-04T23:00:00.000Z', 'UTC'), '2026-03-04');
+  assertEquals(toDeliveryDate(''), null);
+  assertEquals(toDeliveryDate('mañana'), null);
+});
+
+Deno.test('getDateKeyInTimeZone gives the calendar day of an instant', () => {
+  assertEquals(getDateKeyInTimeZone(new Date('2026-12-31T23:30:00.000Z'), 'Europe/Madrid'), '2027-01-01');
+  assertEquals(getDateKeyInTimeZone(new Date('2026-12-31T23:30:00.000Z'), 'America/Mexico_City'), '2026-12-31');
+});
+
+Deno.test('getDeliveryDay and formatDeliveryDate work on both formats', () => {
+  assertEquals(getDeliveryDay({ deliveryDate: '2026-03-04T23:00:00.000Z' }), new Date(2026, 2, 5));
+  assertEquals(getDeliveryDay({}), null);
+  assertEquals(formatDeliveryDate('2026-03-05'), '5/3/2026');
+  assertEquals(formatDeliveryDate(null), '');
+});
+
+Deno.test('planDeliveryDateMigration lists the orders to convert and the unreadable ones', () => {
+  const orders = [
+    { id: 'a', deliveryDate: '2026-03-05' },
+    { id: 'b', deliveryDate: '2026-03-04T23:00:00.000Z' },
+    { id: 'c', deliveryDate: null },
+    { id: 'd', deliveryDate: '' },
+    { id: 'e', deliveryDate: 'pronto' },
+    { id: 'f' },
+  ];
+  const { changes, unreadable } = planDeliveryDateMigration(orders);
+  assertEquals(changes.map(({ order, before, after }) => [order.id, before, after]), [
+    ['b', '2026-03-04T23:00:00.000Z', '2026-03-05'],
+    ['d', '', null],
+  ]);
+  assertEquals(unreadable.map(order => order.id), ['e']);
+});
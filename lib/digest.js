@@ -0,0 +1,172 @@
+// Daily delivery digest: the same email as "Generar Email" in the day view, sent by SMTP
+// with retries. Every send is recorded in a sent log so a day is never sent twice.
+// A digest can also cover a single crew, which gets its own sent log entry.
+import { collection, doc, getDoc, getDocs, query, setDoc, where } from 'firebase/firestore';
+import nodemailer from 'nodemailer';
+import { DEFAULT_EMAIL_TEMPLATE, composeOrdersEmail } from './email.js';
+import { sortCrews } from './crews.js';
+import { formatDateKey } from './orders.js';
+import { getOrderList } from './order_status.js';
+import { getDeliveryDate } from './delivery_dates.js';
+import { getDayRoutes } from './routes.js';
+import { DEFAULT_WORKSPACE_ID, getWorkspacePaths } from './workspaces.js';
+import { getOrderTypes } from './order_types.js';
+
+// Which deliveries a digest covers, as days after the send date.
+export const DIGEST_DAYS = {
+  today: 0,
+  tomorrow: 1,
+};
+
+// Send attempts per digest, waiting RETRY_DELAY_MS times the attempt number between them.
+export const SEND_ATTEMPTS = 3;
+export const RETRY_DELAY_MS = 60000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// "7:30" or "07:30" as { hours, minutes }, or null when it is not a valid time of day.
+export const parseDigestTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  return hours < 24 && minutes < 60 ? { hours, minutes } : null;
+};
+
+// The first time at or after `now` (local time) when the digest is due.
+export const getNextRunTime = (now, { hours, minutes }) => {
+  const next = new Date(now);
+  next.setHours(hours, minutes, 0, 0);
+  if (next < now) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next;
+};
+
+// Delivery day covered by a digest sent at `runTime`.
+export const getDigestDate = (runTime, day) => {
+  const date = new Date(runTime);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() + DIGEST_DAYS[day]);
+  return date;
+};
+
+// Orders listed in the day view: delivered that calendar day, neither archived nor cancelled and
+// not in the recycle bin.
+export const getOrdersForDate = (orders, date) => orders.filter(order => (
+  !order.deleted && getOrderList(order, date) !== 'archived' && getDeliveryDate(order) === formatDateKey(date)
+));
+
+// Sent log key: the day, followed by the crew id for a crew digest.
+export const getDigestLogKey = (date, crew = null) => (crew ? `${formatDateKey(date)}-${crew.id}` : formatDateKey(date));
+
+// Orders, crews, depot, email template, order types and sent log (digestLog/{key}) of one workspace in Firestore.
+export const createDigestStore = (db, appId, workspaceId = DEFAULT_WORKSPACE_ID) => {
+  const paths = getWorkspacePaths(appId, workspaceId);
+  const ordersPath = paths.orders;
+  const logPath = paths.digestLog;
+
+  return {
+    // Delivery dates are stored as days; run `orders migrate-dates` first on older data.
+    loadOrders: async (date) => {
+      const snapshot = await getDocs(query(collection(db, ordersPath), where('deliveryDate', '==', formatDateKey(date))));
+      return snapshot.docs.map(snap => ({ id: snap.id, ...snap.data() }));
+    },
+    loadCrews: async () => {
+      const snapshot = await getDocs(collection(db, paths.crews));
+      return sortCrews(snapshot.docs.map(snap => ({ id: snap.id, ...snap.data() })));
+    },
+    loadTemplate: async () => {
+      const snapshot = await getDoc(doc(db, paths.settings));
+      return (snapshot.exists() && snapshot.data().emailTemplate) || null;
+    },
+    loadDepot: async () => {
+      const snapshot = await getDoc(doc(db, paths.settings));
+      return (snapshot.exists() && snapshot.data().depot) || null;
+    },
+    loadOrderTypes: async () => {
+      const snapshot = await getDoc(doc(db, paths.settings));
+      return getOrderTypes(snapshot.exists() ? snapshot.data().orderTypes : null);
+    },
+    getLogEntry: async (dateKey) => {
+      const snapshot = await getDoc(doc(db, logPath, dateKey));
+      return snapshot.exists() ? snapshot.data() : null;
+    },
+    saveLogEntry: (dateKey, entry) => setDoc(doc(db, logPath, dateKey), entry),
+  };
+};
+
+// Send messages ({ from, to, subject, text, html }) through an SMTP server.
+export const createSmtpSender = ({ host, port, secure = false, user, password }) => {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined,
+  });
+  return (message) => transport.sendMail(message);
+};
+
+// The digest email of `date` ({ subject, text, html }) and the orders it lists, only those of
+// `crew` when one is given.
+export const buildDigestEmail = async (store, date, crew = null) => {
+  const dayOrders = getOrdersForDate(await store.loadOrders(date), date);
+  const orders = crew ? dayOrders.filter(order => order.crewId === crew.id) : dayOrders;
+  const template = { ...DEFAULT_EMAIL_TEMPLATE, ...(await store.loadTemplate()) };
+  const routes = getDayRoutes(orders, crew ? [crew] : await store.loadCrews(), await store.loadDepot());
+  const orderTypes = await store.loadOrderTypes();
+  const email = composeOrdersEmail(orders, { date, template, routes, orderTypes, ...(crew ? { crewName: crew.name } : {}) });
+  return { orders, email };
+};
+
+// Send the digest of `date` unless the sent log already has it (or `force` is set).
+// With a `crew` ({ id, name }) only that crew's orders are sent.
+// Resolves to { status: 'sent' | 'failed' | 'skipped', entry } with the sent log entry.
+export const sendDailyDigest = async ({
+  date,
+  store,
+  sendMail,
+  from,
+  recipients,
+  crew = null,
+  force = false,
+  attempts = SEND_ATTEMPTS,
+  retryDelayMs = RETRY_DELAY_MS,
+}) => {
+  const dateKey = formatDateKey(date);
+  const logKey = getDigestLogKey(date, crew);
+  const previous = await store.getLogEntry(logKey);
+  if (previous && previous.status === 'sent' && !force) {
+    return { status: 'skipped', entry: previous };
+  }
+
+  const { orders, email } = await buildDigestEmail(store, date, crew);
+  const entry = { date: dateKey, crewId: crew ? crew.id : null, recipients, subject: email.subject, orderCount: orders.length };
+
+  // Only the send is retried: once the email is out, a failing log write must not send it again.
+  let lastError = null;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    let info;
+    try {
+      info = await sendMail({ from, to: recipients, ...email });
+    } catch (error) {
+      console.error(`Error sending the digest for ${dateKey} (attempt ${attempt} of ${attempts}):`, error);
+      lastError = error;
+      if (attempt < attempts) {
+        await sleep(retryDelayMs * attempt);
+      }
+      continue;
+    }
+    const sent = { ...entry, status: 'sent', attempts: attempt, sentAt: new Date().toISOString(), messageId: info.messageId || null, error: null };
+    try {
+      await store.saveLogEntry(logKey, sent);
+    } catch (error) {
+      console.error(`Error saving the sent log entry for ${dateKey}:`, error);
+    }
+    return { status: 'sent', entry: sent };
+  }
+
+  const failed = { ...entry, status: 'failed', attempts, sentAt: null, messageId: null, error: String(lastError && lastError.message || lastError) };
+  await store.saveLogEntry(logKey, failed);
+  return { status: 'failed', entry: failed };
+};
@@ -0,0 +1,275 @@
+import { assert, assertEquals } from '@std/assert';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { deleteApp, initializeApp } from 'firebase/app';
+import { connectFirestoreEmulator, doc, getDoc, getFirestore, setDoc } from 'firebase/firestore';
+import { buildDigestEmail, createDigestStore, createSmtpSender, getDigestDate, getNextRunTime, parseDigestTime, sendDailyDigest } from './digest.js';
+import { DEFAULT_ORDER_TYPES } from './order_types.js';
+
+const DATE = new Date(2026, 2, 5);
+const ORDERS = [
+  { id: 'a', orderNumber: '1001', customerName: 'Ana', type: 'recogida', deliveryDate: '2026-03-05', crewId: 'norte' },
+  { id: 'b', orderNumber: '1002', customerName: 'Luis', type: 'parcial', deliveryDate: '2026-03-05' },
+  { id: 'c', orderNumber: '1003', customerName: 'Bea', type: 'parcial', deliveryDate: '2026-03-05', deleted: true },
+  { id: 'd', orderNumber: '1004', customerName: 'Eva', type: 'parcial', deliveryDate: '2026-03-06' },
+  { id: 'e', orderNumber: '1005', customerName: 'Pau', type: 'recogida', deliveryDate: '2026-03-05', status: 'cancelado' },
+  { id: 'f', orderNumber: '1006', customerName: 'Teo', type: 'parcial', deliveryDate: '2026-03-05', archived: true },
+];
+
+// Sent log and data kept in memory, with the same interface as createDigestStore.
+const createMemoryStore = (orders = ORDERS, log = {}) => ({
+  log,
+  loadOrders: () => Promise.resolve(orders),
+  loadCrews: () => Promise.resolve([{ id: 'norte', name: 'Norte', email: 'norte@example.com' }]),
+  loadTemplate: () => Promise.resolve({ subject: 'Entregas {total}' }),
+  loadDepot: () => Promise.resolve(null),
+  loadOrderTypes: () => Promise.resolve(DEFAULT_ORDER_TYPES),
+  getLogEntry: (dateKey) => Promise.resolve(log[dateKey] || null),
+  saveLogEntry: (dateKey, entry) => { log[dateKey] = entry; return Promise.resolve(); },
+});
+
+// Minimal SMTP server that keeps every message it accepts and rejects the first `rejectCount`.
+const startSmtpCapture = ({ rejectCount = 0 } = {}) => {
+  const listener = Deno.listen({ hostname: '127.0.0.1', port: 0 });
+  const messages = [];
+  let rejected = 0;
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+
+  const serve = async (conn) => {
+    const reply = (line) => conn.write(encoder.encode(`${line}\r\n`));
+    await reply('220 capture ESMTP');
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let data = null;
+    try {
+      for await (const chunk of conn.readable) {
+        buffer += decoder.decode(chunk);
+        let end;
+        while ((end = buffer.indexOf('\r\n')) >= 0) {
+          const line = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          if (data) {
+            if (line !== '.') {
+              data.push(line.startsWith('..') ? line.slice(1) : line);
+            } else if (rejected < rejectCount) {
+              rejected++;
+              data = null;
+              await reply('451 try again later');
+            } else {
+              messages.push({ ...envelope, data: data.join('\r\n') });
+              data = null;
+              await reply('250 OK queued');
+            }
+          } else if (/^(EHLO|HELO)/i.test(line)) {
+            await reply('250 capture');
+          } else if (/^MAIL FROM:/i.test(line)) {
+            envelope = { from: line.slice(10).trim(), to: [] };
+            await reply('250 OK');
+          } else if (/^RCPT TO:/i.test(line)) {
+            envelope.to.push(line.slice(8).trim());
+            await reply('250 OK');
+          } else if (/^DATA/i.test(line)) {
+            data = [];
+            await reply('354 end data with <CR><LF>.<CR><LF>');
+          } else if (/^QUIT/i.test(line)) {
+            await reply('221 bye');
+            conn.close();
+            return;
+          } else {
+            await reply('250 OK');
+          }
+        }
+      }
+    } catch {
+      // The client hung up.
+    }
+  };
+
+  (async () => {
+    for await (const conn of listener) serve(conn);
+  })().catch(() => {});
+
+  return { port: listener.addr.port, messages, close: () => listener.close() };
+};
+
+Deno.test('parseDigestTime accepts HH:MM times of day only', () => {
+  assertEquals(parseDigestTime('7:30'), { hours: 7, minutes: 30 });
+  assertEquals(parseDigestTime(' 23:05 '), { hours: 23, minutes: 5 });
+  assertEquals(parseDigestTime('24:00'), null);
+  assertEquals(parseDigestTime('7h'), null);
+});
+
+Deno.test('getNextRunTime picks today when the time is still ahead, otherwise tomorrow', () => {
+  const time = { hours: 7, minutes: 0 };
+  assertEquals(getNextRunTime(new Date(2026, 2, 5, 6, 59), time), new Date(2026, 2, 5, 7, 0));
+  assertEquals(getNextRunTime(new Date(2026, 2, 5, 7, 0), time), new Date(2026, 2, 5, 7, 0));
+  assertEquals(getNextRunTime(new Date(2026, 2, 31, 7, 1), time), new Date(2026, 3, 1, 7, 0));
+});
+
+Deno.test('getDigestDate covers today or tomorrow', () => {
+  assertEquals(getDigestDate(new Date(2026, 2, 31, 7), 'today'), new Date(2026, 2, 31));
+  assertEquals(getDigestDate(new Date(2026, 2, 31, 7), 'tomorrow'), new Date(2026, 3, 1));
+});
+
+Deno.test('sendDailyDigest sends the day orders once and records them in the sent log', async () => {
+  const store = createMemoryStore();
+  const sent = [];
+  const sendMail = (message) => { sent.push(message); return Promise.resolve({ messageId: '<m1@capture>' }); };
+  const options = { date: DATE, store, sendMail, from: 'pedidos@example.com', recipients: ['equipo@example.com'] };
+
+  const result = await sendDailyDigest(options);
+  assertEquals(result.status, 'sent');
+  assertEquals(sent.length, 1);
+  assertEquals(sent[0].subject, 'Entregas 2');
+  assertEquals(sent[0].to, ['equipo@example.com']);
+  assert(sent[0].text.includes('Pedido #1001') && sent[0].text.includes('Pedido #1002'));
+  ['1003', '1004', '1005', '1006'].forEach(number => assert(!sent[0].text.includes(`Pedido #${number}`)));
+  assertEquals(store.log['2026-03-05'].status, 'sent');
+  assertEquals(store.log['2026-03-05'].messageId, '<m1@capture>');
+
+  assertEquals((await sendDailyDigest(options)).status, 'skipped');
+  assertEquals((await sendDailyDigest({ ...options, force: true })).status, 'sent');
+  assertEquals(sent.length, 2);
+});
+
+Deno.test('sendDailyDigest for a crew sends only its orders and keeps its own sent log entry', async () => {
+  const store = createMemoryStore(ORDERS, { '2026-03-05': { status: 'sent' } });
+  const sent = [];
+  const sendMail = (message) => { sent.push(message); return Promise.resolve({}); };
+  const [crew] = await store.loadCrews();
+
+  const result = await sendDailyDigest({ date: DATE, store, sendMail, recipients: [crew.email], crew });
+  assertEquals(result.status, 'sent');
+  assertEquals(sent[0].subject, 'Entregas 1');
+  assert(sent[0].text.includes('Pedido #1001') && !sent[0].text.includes('Pedido #1002'));
+  assertEquals(store.log['2026-03-05-norte'].crewId, 'norte');
+  assertEquals((await sendDailyDigest({ date: DATE, store, sendMail, recipients: [crew.email], crew })).status, 'skipped');
+});
+
+Deno.test('buildDigestEmail composes the same email the digest sends', async () => {
+  const store = createMemoryStore();
+  const [crew] = await store.loadCrews();
+  const sent = [];
+  await sendDailyDigest({ date: DATE, store, sendMail: (message) => { sent.push(message); return Promise.resolve({}); }, recipients: [crew.email], crew });
+  const { orders, email } = await buildDigestEmail(store, DATE, crew);
+  assertEquals(orders.map(order => order.id), ['a']);
+  assertEquals(email.subject, sent[0].subject);
+  assertEquals(email.text, sent[0].text);
+});
+
+Deno.test('sendDailyDigest retries and logs the failure when every attempt fails', async () => {
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    const store = createMemoryStore();
+    let calls = 0;
+    const sendMail = () => { calls++; return Promise.reject(new Error('connection refused')); };
+    const result = await sendDailyDigest({ date: DATE, store, sendMail, recipients: ['equipo@example.com'], attempts: 3, retryDelayMs: 0 });
+    assertEquals(result.status, 'failed');
+    assertEquals(calls, 3);
+    assertEquals(store.log['2026-03-05'].error, 'connection refused');
+
+    // A failed day is tried again on the next run.
+    const retry = await sendDailyDigest({ date: DATE, store, sendMail: () => Promise.resolve({}), recipients: ['equipo@example.com'] });
+    assertEquals(retry.status, 'sent');
+  } finally {
+    console.error = originalError;
+  }
+});
+
+Deno.test('sendDailyDigest does not send again when the sent log cannot be written', async () => {
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    const store = { ...createMemoryStore(), saveLogEntry: () => Promise.reject(new Error('permission denied')) };
+    let calls = 0;
+    const sendMail = () => { calls++; return Promise.resolve({ messageId: '<m1@capture>' }); };
+    const result = await sendDailyDigest({ date: DATE, store, sendMail, recipients: ['equipo@example.com'], attempts: 3, retryDelayMs: 0 });
+    assertEquals(result.status, 'sent');
+    assertEquals(calls, 1);
+  } finally {
+    console.error = originalError;
+  }
+});
+
+Deno.test({
+  name: 'createSmtpSender delivers the digest to an SMTP server, retrying temporary errors',
+  // nodemailer leaves its socket timers behind.
+  sanitizeOps: false,
+  sanitizeResources: false,
+  fn: async () => {
+    const originalError = console.error;
+    console.error = () => {};
+    const capture = startSmtpCapture({ rejectCount: 1 });
+    try {
+      const store = createMemoryStore();
+      const result = await sendDailyDigest({
+        date: DATE,
+        store,
+        sendMail: createSmtpSender({ host: '127.0.0.1', port: capture.port }),
+        from: 'pedidos@example.com',
+        recipients: ['equipo@example.com', 'jefe@example.com'],
+        retryDelayMs: 0,
+      });
+      assertEquals(result.status, 'sent');
+      assertEquals(result.entry.attempts, 2);
+      assertEquals(capture.messages.length, 1);
+      const [message] = capture.messages;
+      assertEquals(message.to, ['<equipo@example.com>', '<jefe@example.com>']);
+      assert(message.data.includes('Subject: Entregas 2'));
+      assert(message.data.includes('multipart/alternative'));
+      assert(message.data.includes('Pedido #1001'));
+    } finally {
+      capture.close();
+      console.error = originalError;
+    }
+  },
+});
+
+// Needs the Firestore emulator, like firestore_rules_test.js. It uses its own project
+// with open rules: the rules themselves are tested there.
+const emulatorHost = Deno.env.get('FIRESTORE_EMULATOR_HOST');
+const OPEN_RULES = `rules_version = '2';
+service cloud.firestore {
+  match /databases/{database}/documents {
+    match /{document=**} {
+      allow read, write: if true;
+    }
+  }
+}`;
+
+Deno.test({
+  name: 'createDigestStore reads the day orders and the template and keeps the sent log in Firestore',
+  ignore: !emulatorHost,
+  sanitizeOps: false,
+  sanitizeResources: false,
+  fn: async () => {
+    const [host, port] = emulatorHost.split(':');
+    const testEnv = await initializeTestEnvironment({ projectId: 'demo-digest', firestore: { host, port: Number(port), rules: OPEN_RULES } });
+    const app = initializeApp({ projectId: 'demo-digest', apiKey: 'demo-api-key' }, 'digest-test');
+    const capture = startSmtpCapture();
+    try {
+      await testEnv.clearFirestore();
+      const db = getFirestore(app);
+      connectFirestoreEmulator(db, host, Number(port));
+      const dataPath = 'artifacts/default-app-id/public/data';
+      await Promise.all(ORDERS.map(({ id, ...order }) => setDoc(doc(db, `${dataPath}/orders/${id}`), order)));
+      await setDoc(doc(db, `${dataPath}/settings/general`), { emailTemplate: { subject: 'Reparto {total}' } });
+
+      const store = createDigestStore(db, 'default-app-id');
+      const options = { date: DATE, store, sendMail: createSmtpSender({ host: '127.0.0.1', port: capture.port }), recipients: ['equipo@example.com'] };
+      assertEquals((await sendDailyDigest(options)).status, 'sent');
+      assertEquals((await sendDailyDigest(options)).status, 'skipped');
+      assertEquals(capture.messages.length, 1);
+      assert(capture.messages[0].data.includes('Subject: Reparto 2'));
+
+      const logEntry = await getDoc(doc(db, `${dataPath}/digestLog/2026-03-05`));
+      assertEquals(logEntry.data().status, 'sent');
+      assertEquals(logEntry.data().orderCount, 2);
+    } finally {
+      capture.close();
+      await deleteApp(app);
+      await testEnv.cleanup();
+    }
+  },
+});
@@ -0,0 +1,179 @@
+// Compose the delivery email for a list of orders as HTML and plain text,
+// and package it as a copyable, downloadable (.eml) or mailto: message.
+// The printable route sheet of the day view is built here too, from the same descriptions.
+import { DEFAULT_ORDER_TYPES, getOrderTypeEmailColor, getOrderTypeLabel, getOrderTypePriority } from './order_types.js';
+import { formatOutstandingItems } from './line_items.js';
+import { formatDistanceKm } from './routes.js';
+
+// Editable parts of the email. {fecha}, {total} and {cuadrilla} are replaced in every text field.
+export const DEFAULT_EMAIL_TEMPLATE = {
+  subject: 'Entregas del {fecha}',
+  greeting: 'Hola equipo,\n\nEstas son las entregas previstas para el {fecha}:',
+  groupByType: true,
+  footer: 'Total: {total} pedidos.\n\nUn saludo.',
+};
+
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const fillTemplate = (text, values) => String(text || '').replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+
+// Plain text paragraphs as HTML, escaped and keeping line breaks.
+const textToHtml = (text) => text
+  .split(/\n{2,}/)
+  .filter(paragraph => paragraph.trim())
+  .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+  .join('\n');
+
+export const formatEmailDate = (date) => date.toLocaleDateString('es-ES', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+
+// Orders grouped by type, highest priority first, for listing and counting.
+export const groupOrdersByType = (orders, orderTypes = DEFAULT_ORDER_TYPES) => {
+  const groups = new Map();
+  orders.forEach(order => {
+    if (!groups.has(order.type)) {
+      groups.set(order.type, { type: order.type, label: getOrderTypeLabel(orderTypes, order.type) || 'Sin tipo', orders: [] });
+    }
+    groups.get(order.type).orders.push(order);
+  });
+  return [...groups.values()].sort((a, b) => getOrderTypePriority(orderTypes, b.type) - getOrderTypePriority(orderTypes, a.type));
+};
+
+const describeOrder = (order) => {
+  const outstanding = formatOutstandingItems(order.lineItems);
+  return `Pedido #${order.orderNumber} - Cliente: ${order.customerName}${order.address ? ` - Dirección: ${order.address}` : ''}${outstanding ? ` - Pendiente: ${outstanding}` : ''}`;
+};
+
+const describeRoute = (route) => {
+  const title = route.crew ? `Ruta sugerida - ${route.crew.name}` : 'Ruta sugerida';
+  return route.distanceKm === null ? title : `${title} (${formatDistanceKm(route.distanceKm)} en línea recta)`;
+};
+
+// Build { subject, text, html } for the orders of one day, of one crew when `crewName` is given.
+// `routes` ([{ crew, stops, distanceKm }] from getDayRoutes) adds the stop order after the list.
+// Labels, colours and the order of the groups come from `orderTypes`.
+export const composeOrdersEmail = (orders, { date, template = DEFAULT_EMAIL_TEMPLATE, crewName = 'todas las cuadrillas', routes = [], orderTypes = DEFAULT_ORDER_TYPES }) => {
+  const values = { fecha: formatEmailDate(date), total: orders.length, cuadrilla: crewName };
+  const subject = fillTemplate(template.subject, values).replace(/[\r\n]+/g, ' ');
+  const greeting = fillTemplate(template.greeting, values);
+  const footer = fillTemplate(template.footer, values);
+  const groups = groupOrdersByType(orders, orderTypes);
+
+  let textBody;
+  let htmlBody;
+  if (orders.length === 0) {
+    textBody = 'No hay entregas previstas.';
+    htmlBody = `<p>${textBody}</p>`;
+  } else if (template.groupByType) {
+    textBody = groups
+      .map(group => [`${group.label} (${group.orders.length})`, ...group.orders.map(order => `- ${describeOrder(order)}`)].join('\n'))
+      .join('\n\n');
+    htmlBody = groups.map(group => {
+      const color = getOrderTypeEmailColor(orderTypes, group.type);
+      return [
+        `<p style="margin-bottom: 4px;"><strong><span style="color: ${color};">●</span> ${escapeHtml(group.label)} (${group.orders.length})</strong></p>`,
+        '<ul style="margin-top: 0;">',
+        ...group.orders.map(order => `<li>${escapeHtml(describeOrder(order))}</li>`),
+        '</ul>',
+      ].join('\n');
+    }).join('\n');
+  } else {
+    textBody = orders.map(order => `- ${describeOrder(order)} (${getOrderTypeLabel(orderTypes, order.type)})`).join('\n');
+    htmlBody = [
+      '<ul>',
+      ...orders.map(order => {
+        const color = getOrderTypeEmailColor(orderTypes, order.type);
+        return `<li><span style="color: ${color};">●</span> ${escapeHtml(describeOrder(order))} (${escapeHtml(getOrderTypeLabel(orderTypes, order.type))})</li>`;
+      }),
+      '</ul>',
+    ].join('\n');
+  }
+
+  const routeText = routes
+    .map(route => [describeRoute(route), ...route.stops.map((order, index) => `${index + 1}. ${describeOrder(order)}`)].join('\n'))
+    .join('\n\n');
+  const routeHtml = routes.map(route => [
+    `<p style="margin-bottom: 4px;"><strong>${escapeHtml(describeRoute(route))}</strong></p>`,
+    '<ol style="margin-top: 0;">',
+    ...route.stops.map(order => `<li>${escapeHtml(describeOrder(order))}</li>`),
+    '</ol>',
+  ].join('\n')).join('\n');
+
+  return {
+    subject,
+    text: [greeting, textBody, routeText, footer].filter(part => part.trim()).join('\n\n'),
+    html: [textToHtml(greeting), htmlBody, routeHtml, textToHtml(footer)].filter(Boolean).join('\n'),
+  };
+};
+
+// A standalone HTML page listing each route's stops, ready to print.
+export const buildRouteSheetHtml = (routes, { date, orderTypes = DEFAULT_ORDER_TYPES }) => {
+  const title = `Rutas del ${formatEmailDate(date)}`;
+  const sections = routes.map(route => [
+    `<h2>${escapeHtml(describeRoute(route))}</h2>`,
+    '<table>',
+    '<thead><tr><th>#</th><th>Pedido</th><th>Cliente</th><th>Dirección</th><th>Tipo</th></tr></thead>',
+    '<tbody>',
+    ...route.stops.map((order, index) => `<tr><td>${index + 1}</td><td>${escapeHtml(order.orderNumber)}</td><td>${escapeHtml(order.customerName)}</td><td>${escapeHtml(order.address || '—')}</td><td>${escapeHtml(getOrderTypeLabel(orderTypes, order.type))}</td></tr>`),
+    '</tbody>',
+    '</table>',
+  ].join('\n'));
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="es">',
+    `<head><meta charset="utf-8"><title>${escapeHtml(title)}</title>`,
+    '<style>body { font-family: sans-serif; margin: 24px; } h2 { font-size: 16px; margin-top: 24px; } table { width: 100%; border-collapse: collapse; } th, td { border: 1px solid #D1D5DB; padding: 6px 8px; text-align: left; font-size: 13px; } tr { break-inside: avoid; }</style>',
+    '</head>',
+    `<body><h1>${escapeHtml(title)}</h1>`,
+    ...sections,
+    '</body></html>',
+  ].join('\n');
+};
+
+// Base64 of the UTF-8 bytes, split into 76-character lines as MIME requires.
+const encodeBase64 = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return (btoa(binary).match(/.{1,76}/g) || ['']).join('\r\n');
+};
+
+// Non-ASCII header values are sent as RFC 2047 encoded words.
+const encodeHeader = (value) => (/^[\x20-\x7E]*$/.test(value) ? value : `=?UTF-8?B?${encodeBase64(value).replace(/\r\n/g, '')}?=`);
+
+const parseRecipients = (recipients) => String(recipients || '').split(/[,;\s]+/).filter(Boolean);
+
+// A multipart/alternative message that mail clients open as a draft ready to send.
+export const buildEml = ({ subject, text, html }, { to = '', from = '' } = {}) => {
+  const boundary = `pedidos-${Date.now().toString(36)}`;
+  const headers = [
+    ...(from ? [`From: ${from}`] : []),
+    ...(parseRecipients(to).length > 0 ? [`To: ${parseRecipients(to).join(', ')}`] : []),
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'X-Unsent: 1',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+  ];
+  const part = (contentType, content) => [
+    `--${boundary}`,
+    `Content-Type: ${contentType}; charset=UTF-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBase64(content),
+  ].join('\r\n');
+  const htmlDocument = `<!DOCTYPE html>\n<html><head><meta charset="utf-8"></head><body>\n${html}\n</body></html>`;
+
+  return [...headers, '', part('text/plain', text), part('text/html', htmlDocument), `--${boundary}--`, ''].join('\r\n');
+};
+
+// mailto: links only carry plain text.
+export const buildMailtoUrl = ({ subject, text }, { to = '' } = {}) => {
+  const recipients = parseRecipients(to).map(address => encodeURIComponent(address).replace(/%40/g, '@')).join(',');
+  return `mailto:${recipients}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(text.replace(/\r?\n/g, '\r\n'))}`;
+};
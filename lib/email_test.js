@@ -0,0 +1,78 @@
+import { assert, assertEquals, assertStringIncludes } from '@std/assert';
+import { DEFAULT_EMAIL_TEMPLATE, buildEml, buildMailtoUrl, buildRouteSheetHtml, composeOrdersEmail, escapeHtml, groupOrdersByType } from './email.js';
+
+const DATE = new Date(2026, 2, 5);
+const ORDERS = [
+  { orderNumber: '1001', customerName: 'Ana', type: 'parcial' },
+  { orderNumber: '1002', customerName: '<b>Luis</b> & "Co"', type: 'recogida' },
+  { orderNumber: '1003', customerName: 'Marta', type: 'parcial' },
+];
+
+Deno.test('escapeHtml escapes markup and quotes', () => {
+  assertEquals(escapeHtml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+  assertEquals(escapeHtml(null), '');
+});
+
+Deno.test('groupOrdersByType counts orders per type by priority', () => {
+  const groups = groupOrdersByType(ORDERS);
+  assertEquals(groups.map(group => [group.label, group.orders.length]), [['Recogida', 1], ['Parcial', 2]]);
+});
+
+Deno.test('composeOrdersEmail fills the template and escapes customer data', () => {
+  const { subject, text, html } = composeOrdersEmail(ORDERS, { date: DATE, template: DEFAULT_EMAIL_TEMPLATE });
+  assertEquals(subject, 'Entregas del jueves, 5 de marzo de 2026');
+  assertStringIncludes(text, 'Recogida (1)\n- Pedido #1002 - Cliente: <b>Luis</b> & "Co"');
+  assertStringIncludes(text, 'Total: 3 pedidos.');
+  assertStringIncludes(html, '&lt;b&gt;Luis&lt;/b&gt; &amp; &quot;Co&quot;');
+  assert(!html.includes('<b>Luis'));
+  assertStringIncludes(html, 'color: #EF4444;');
+});
+
+Deno.test('composeOrdersEmail lists orders ungrouped and escapes the template', () => {
+  const template = { subject: 'Hoy\n{total}', greeting: 'Hola <equipo>', groupByType: false, footer: '' };
+  const { subject, text, html } = composeOrdersEmail(ORDERS.slice(0, 1), { date: DATE, template });
+  assertEquals(subject, 'Hoy 1');
+  assertEquals(text, 'Hola <equipo>\n\n- Pedido #1001 - Cliente: Ana (Parcial)');
+  assertStringIncludes(html, '<p>Hola &lt;equipo&gt;</p>');
+});
+
+Deno.test('composeOrdersEmail shows the quantities still to be delivered', () => {
+  const order = { ...ORDERS[0], lineItems: [{ reference: 'REF-A', quantity: 4, delivered: 1 }, { reference: 'REF-B', quantity: 1, delivered: 1 }] };
+  const { text } = composeOrdersEmail([order], { date: DATE });
+  assertStringIncludes(text, '- Pedido #1001 - Cliente: Ana - Pendiente: 3 × REF-A\n');
+});
+
+Deno.test('composeOrdersEmail names the crew in {cuadrilla}', () => {
+  const template = { ...DEFAULT_EMAIL_TEMPLATE, subject: 'Entregas de {cuadrilla}' };
+  assertEquals(composeOrdersEmail(ORDERS, { date: DATE, template, crewName: 'Norte' }).subject, 'Entregas de Norte');
+  assertEquals(composeOrdersEmail(ORDERS, { date: DATE, template }).subject, 'Entregas de todas las cuadrillas');
+});
+
+Deno.test('composeOrdersEmail adds the route stops in order and the route sheet escapes them', () => {
+  const stops = [{ ...ORDERS[2], address: 'Calle Mayor 1' }, { ...ORDERS[1], address: 'Plaza <Sol>' }];
+  const routes = [{ crew: { id: 'n', name: 'Norte' }, stops, distanceKm: 12.34 }];
+  const { text, html } = composeOrdersEmail(ORDERS, { date: DATE, template: DEFAULT_EMAIL_TEMPLATE, routes });
+  assertStringIncludes(text, 'Ruta sugerida - Norte (12,3 km en línea recta)\n1. Pedido #1003 - Cliente: Marta - Dirección: Calle Mayor 1\n2. Pedido #1002');
+  assertStringIncludes(html, '<ol style="margin-top: 0;">');
+
+  const sheet = buildRouteSheetHtml(routes, { date: DATE });
+  assertStringIncludes(sheet, '<title>Rutas del jueves, 5 de marzo de 2026</title>');
+  assertStringIncludes(sheet, '<td>2</td><td>1002</td>');
+  assertStringIncludes(sheet, 'Plaza &lt;Sol&gt;');
+});
+
+Deno.test('buildEml produces a UTF-8 multipart draft', () => {
+  const eml = buildEml({ subject: 'Entregas del miércoles', text: 'Señal', html: '<p>Señal</p>' }, { to: 'a@example.com; b@example.com' });
+  assertStringIncludes(eml, 'To: a@example.com, b@example.com\r\n');
+  assertStringIncludes(eml, `Subject: =?UTF-8?B?${btoa(String.fromCharCode(...new TextEncoder().encode('Entregas del miércoles')))}?=`);
+  assertStringIncludes(eml, 'X-Unsent: 1');
+  assertStringIncludes(eml, 'Content-Type: text/plain; charset=UTF-8');
+  assertStringIncludes(eml, 'Content-Type: text/html; charset=UTF-8');
+  const boundary = eml.match(/boundary="([^"]+)"/)[1];
+  assert(eml.endsWith(`--${boundary}--\r\n`));
+});
+
+Deno.test('buildMailtoUrl encodes recipients, subject and body', () => {
+  const url = buildMailtoUrl({ subject: 'A & B', text: 'Línea 1\nLínea 2' }, { to: 'a@example.com, b@example.com' });
+  assertEquals(url, 'mailto:a@example.com,b@example.com?subject=A%20%26%20B&body=L%C3%ADnea%201%0D%0AL%C3%ADnea%202');
+});
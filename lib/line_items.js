@@ -0,0 +1,36 @@
+// Line items of an order ({ reference, quantity, delivered }) and what is still to be delivered.
+
+const toCount = (value) => {
+  const number = Math.floor(Number(value));
+  return Number.isFinite(number) && number > 0 ? number : 0;
+};
+
+// Items as saved: a product reference, whole quantities and never more delivered than ordered.
+// Rows without a reference or quantity are dropped.
+export const normalizeLineItems = (items) => (Array.isArray(items) ? items : [])
+  .map(item => {
+    const quantity = toCount(item.quantity);
+    return { reference: String(item.reference || '').trim(), quantity, delivered: Math.min(toCount(item.delivered), quantity) };
+  })
+  .filter(item => item.reference && item.quantity > 0);
+
+// Items with something left to deliver: [{ reference, outstanding }].
+export const getOutstandingItems = (items) => normalizeLineItems(items)
+  .filter(item => item.delivered < item.quantity)
+  .map(item => ({ reference: item.reference, outstanding: item.quantity - item.delivered }));
+
+export const isFullyDelivered = (items) => normalizeLineItems(items).length > 0 && getOutstandingItems(items).length === 0;
+
+// "2 × REF-A, 1 × REF-B", or '' when nothing is outstanding.
+export const formatOutstandingItems = (items) => getOutstandingItems(items)
+  .map(item => `${item.outstanding} × ${item.reference}`)
+  .join(', ');
+
+// A partial order becomes complete once every item has gone out.
+export const getDeliveryType = (type, items) => (type === 'parcial' && isFullyDelivered(items) ? 'completo' : type);
+
+// Add the quantities that went out (one per item, in order) to the delivered ones.
+export const recordDelivery = (items, quantities) => normalizeLineItems(items).map((item, index) => ({
+  ...item,
+  delivered: Math.min(item.quantity, item.delivered + toCount(quantities[index])),
+}));
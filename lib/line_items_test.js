@@ -0,0 +1,31 @@
+import { assertEquals } from '@std/assert';
+import { formatOutstandingItems, getDeliveryType, getOutstandingItems, isFullyDelivered, normalizeLineItems, recordDelivery } from './line_items.js';
+
+const ITEMS = [
+  { reference: 'REF-A', quantity: 4, delivered: 1 },
+  { reference: 'REF-B', quantity: 2, delivered: 2 },
+];
+
+Deno.test('normalizeLineItems drops empty rows and caps what was delivered', () => {
+  const items = normalizeLineItems([{ reference: ' REF-A ', quantity: '3', delivered: '5' }, { reference: '', quantity: 2 }, { reference: 'REF-C', quantity: 0 }]);
+  assertEquals(items, [{ reference: 'REF-A', quantity: 3, delivered: 3 }]);
+  assertEquals(normalizeLineItems(undefined), []);
+});
+
+Deno.test('getOutstandingItems and formatOutstandingItems list what is left', () => {
+  assertEquals(getOutstandingItems(ITEMS), [{ reference: 'REF-A', outstanding: 3 }]);
+  assertEquals(formatOutstandingItems(ITEMS), '3 × REF-A');
+  assertEquals(formatOutstandingItems([]), '');
+});
+
+Deno.test('recordDelivery adds the quantities that went out and completes partial orders', () => {
+  const items = recordDelivery(ITEMS, ['2', 9]);
+  assertEquals(items.map(item => item.delivered), [3, 2]);
+  assertEquals(getDeliveryType('parcial', items), 'parcial');
+
+  const delivered = recordDelivery(items, [1, 0]);
+  assertEquals(isFullyDelivered(delivered), true);
+  assertEquals(getDeliveryType('parcial', delivered), 'completo');
+  assertEquals(getDeliveryType('recogida', delivered), 'recogida');
+  assertEquals(getDeliveryType('parcial', []), 'parcial');
+});
@@ -0,0 +1,81 @@
+// Serialise orders to the export formats offered by the app and the command-line tool.
+import { joinDelimitedCells } from './order_import.js';
+import { formatDateKey } from './orders.js';
+import { DEFAULT_ORDER_TYPES, getOrderTypeLabel } from './order_types.js';
+import { getDeliveryDay } from './delivery_dates.js';
+
+// Columns written first in exports; any other field found on the orders follows.
+export const EXPORT_FIELDS = ['id', 'orderNumber', 'customerName', 'type', 'deliveryDate', 'archived', 'file', 'createdAt'];
+
+export const ordersToCsv = (list) => {
+  const extraFields = [...new Set(list.flatMap(order => Object.keys(order)))].filter(field => !EXPORT_FIELDS.includes(field));
+  const fields = [...EXPORT_FIELDS, ...extraFields];
+  const rows = list.map(order => fields.map(field => {
+    const value = order[field];
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }));
+  // The BOM lets Excel detect UTF-8.
+  return `\uFEFF${[fields, ...rows].map(cells => joinDelimitedCells(cells, ';')).join('\r\n')}`;
+};
+
+const escapeIcsText = (value) => String(value ?? '').replace(/[\\;,]/g, match => `\\${match}`).replace(/\r?\n/g, '\\n');
+
+const utf8Length = (char) => {
+  const codePoint = char.codePointAt(0);
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  return codePoint < 0x10000 ? 3 : 4;
+};
+
+// iCalendar lines are folded at 75 octets of UTF-8, counting the space that starts each
+// continuation line, and never inside a character.
+const foldIcsLine = (line) => {
+  const lines = [''];
+  let octets = 0;
+  for (const char of line) {
+    const length = utf8Length(char);
+    if (octets + length > 75) {
+      lines.push(' ');
+      octets = 1;
+    }
+    lines[lines.length - 1] += char;
+    octets += length;
+  }
+  return lines.join('\r\n');
+};
+
+// One all-day event per order on its delivery day. `calendarId` keeps event UIDs unique per app.
+export const ordersToIcs = (list, calendarId, orderTypes = DEFAULT_ORDER_TYPES) => {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const events = list.filter(order => getDeliveryDay(order)).flatMap(order => {
+    const day = getDeliveryDay(order);
+    const nextDay = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+    return [
+      'BEGIN:VEVENT',
+      `UID:${order.id || order.orderNumber}@${calendarId}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatDateKey(day).replace(/-/g, '')}`,
+      `DTEND;VALUE=DATE:${formatDateKey(nextDay).replace(/-/g, '')}`,
+      `SUMMARY:${escapeIcsText(`Pedido #${order.orderNumber} - ${order.customerName} (${getOrderTypeLabel(orderTypes, order.type)})`)}`,
+      `CATEGORIES:${escapeIcsText(getOrderTypeLabel(orderTypes, order.type))}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT',
+    ];
+  });
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${calendarId}//Pedidos//ES`,
+    'CALSCALE:GREGORIAN',
+    ...events,
+    'END:VCALENDAR',
+  ].map(foldIcsLine).join('\r\n');
+};
+
+// Formats serialize (list, calendarId, orderTypes); only iCal uses the last two.
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', mimeType: 'text/csv;charset=utf-8', serialize: ordersToCsv },
+  json: { label: 'JSON', mimeType: 'application/json', serialize: (list) => JSON.stringify(list, null, 2) },
+  ics: { label: 'iCal', mimeType: 'text/calendar;charset=utf-8', serialize: ordersToIcs },
+};
@@ -0,0 +1,48 @@
+import { assert, assertEquals } from '@std/assert';
+import { EXPORT_FIELDS, ordersToCsv, ordersToIcs } from './order_export.js';
+import { getOrderTypes } from './order_types.js';
+
+const ORDERS = [
+  { id: 'a', orderNumber: '1001', customerName: 'Ana; "la del bajo"', type: 'instalacion', deliveryDate: '2026-03-05', lineItems: [{ reference: 'X', quantity: 2 }] },
+  { id: 'b', orderNumber: '1002', customerName: 'Luis', type: 'recogida', deliveryDate: null, notes: 'Llamar\nantes' },
+];
+
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+
+Deno.test('ordersToCsv writes the known columns first and quotes the cells that need it', () => {
+  const [header, first, second] = ordersToCsv(ORDERS).replace(/^\uFEFF/, '').split('\r\n');
+  assertEquals(header, [...EXPORT_FIELDS, 'lineItems', 'notes'].join(';'));
+  assertEquals(first, 'a;1001;"Ana; ""la del bajo""";instalacion;2026-03-05;;;;"[{""reference"":""X"",""quantity"":2}]";');
+  assert(second.startsWith('b;1002;Luis;recogida;;;;;;"Llamar'));
+  assert(ordersToCsv([]).startsWith('\uFEFF'));
+});
+
+Deno.test('ordersToIcs adds an all-day event per dated order with escaped text', () => {
+  const ics = unfold(ordersToIcs(ORDERS, 'pedidos-app'));
+  const lines = ics.split('\r\n');
+  assertEquals(lines.filter(line => line === 'BEGIN:VEVENT').length, 1);
+  assert(lines.includes('UID:a@pedidos-app'));
+  assert(lines.includes('DTSTART;VALUE=DATE:20260305'));
+  assert(lines.includes('DTEND;VALUE=DATE:20260306'));
+  assert(lines.includes('SUMMARY:Pedido #1001 - Ana\\; "la del bajo" (Instalación)'));
+  assert(lines.includes('CATEGORIES:Instalación'));
+});
+
+Deno.test('ordersToIcs labels events with the configured order types', () => {
+  const orderTypes = getOrderTypes([{ id: 'instalacion', label: 'Montaje, con grúa' }]);
+  const ics = unfold(ordersToIcs(ORDERS, 'pedidos-app', orderTypes));
+  assert(ics.includes('CATEGORIES:Montaje\\, con grúa'));
+});
+
+Deno.test('ordersToIcs folds long lines at 75 octets without splitting characters', () => {
+  const customerName = `Distribuciones Peñíscola ${'ñ'.repeat(60)} 🚚 Cañada`;
+  const ics = ordersToIcs([{ id: 'c', orderNumber: '1003', customerName, type: 'instalacion', deliveryDate: '2026-03-05' }], 'pedidos-app');
+  const encoder = new TextEncoder();
+  const lines = ics.split('\r\n');
+  assert(lines.some(line => line.startsWith(' ')));
+  lines.forEach(line => {
+    assert(encoder.encode(line).length <= 75, line);
+    assert(!/[\uD800-\uDBFF]$|^ ?[\uDC00-\uDFFF]/.test(line), line);
+  });
+  assert(unfold(ics).includes(`SUMMARY:Pedido #1003 - ${customerName} (Instalación)`));
+});
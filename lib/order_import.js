@@ -0,0 +1,432 @@
+// Parsing, validation and merge rules for imported order files.
+// Shared by the import modal in app.jsx and the `cli/orders.js` command-line tool.
+import * as XLSX from 'xlsx';
+import { DEFAULT_ORDER_TYPES, getOrderTypeColor, getOrderTypePriority, normalizeOrderType } from './order_types.js';
+import { OPEN_STATUSES, getNewOrderStatus, getOrderStatus } from './order_status.js';
+import { toDeliveryDate } from './delivery_dates.js';
+import { parseCoordinates } from './routes.js';
+
+// Delimiters tried when detecting the format of an imported text file.
+export const IMPORT_DELIMITERS = [';', '\t', ',', '|'];
+
+// Header keywords used to guess which column holds each field, checked in this order.
+export const COLUMN_HINTS = {
+  deliveryDate: /fecha|date|entrega/i,
+  type: /tipo|type/i,
+  orderNumber: /pedido|n[º°o]\.?\b|n[uú]m|order|ref/i,
+  customerName: /cliente|nombre|customer|raz[oó]n/i,
+  address: /direcci[oó]n|domicilio|address/i,
+  coordinates: /coordenadas|coordinates|gps/i,
+};
+
+// Split delimited text into rows of cells, honouring double-quoted fields.
+// Each row keeps its source line number and original text for error reporting.
+export const parseDelimitedText = (text, delimiter) => {
+  const rows = [];
+  let cells = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  let rowStart = 0;
+
+  const endRow = (end) => {
+    cells.push(field.trim());
+    if (cells.some(cell => cell !== '')) {
+      rows.push({ line: rowLine, text: text.slice(rowStart, end).trim(), cells });
+    }
+    cells = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      inQuotes = true;
+      field = '';
+    } else if (char === delimiter) {
+      cells.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      const end = i;
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow(end);
+      line++;
+      rowLine = line;
+      rowStart = i + 1;
+    } else {
+      field += char;
+    }
+  }
+  endRow(text.length);
+
+  return rows;
+};
+
+// Join cells back into a delimited line, quoting the ones that need it.
+export const joinDelimitedCells = (cells, delimiter) => cells
+  .map(cell => {
+    const value = String(cell ?? '');
+    return value.includes(delimiter) || value.includes('"') || /[\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  })
+  .join(delimiter);
+
+// Pick the delimiter that splits most lines into the same number of columns (at least three).
+export const detectDelimiter = (text) => {
+  const sample = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 20).join('\n');
+  let bestDelimiter = null;
+  let bestScore = 0;
+
+  for (const delimiter of IMPORT_DELIMITERS) {
+    const counts = parseDelimitedText(sample, delimiter).map(row => row.cells.length);
+    if (counts.length === 0) continue;
+
+    const frequency = {};
+    counts.forEach(count => { frequency[count] = (frequency[count] || 0) + 1; });
+    const columns = Number(Object.keys(frequency).reduce((a, b) => (frequency[b] > frequency[a] ? b : a)));
+    if (columns < 3) continue;
+
+    const score = frequency[columns] / counts.length;
+    if (score > bestScore) {
+      bestDelimiter = delimiter;
+      bestScore = score;
+    }
+  }
+
+  return bestDelimiter;
+};
+
+// Legacy format: "orderNumber customer name ... date" separated by whitespace.
+const splitWhitespaceLine = (line) => {
+  const parts = line.trim().split(/\s+/).filter(Boolean);
+  return parts.length < 3 ? parts : [parts[0], parts.slice(1, parts.length - 1).join(' '), parts[parts.length - 1]];
+};
+
+const parseWhitespaceText = (text) => text
+  .split(/\r?\n/)
+  .map((line, index) => ({ line: index + 1, text: line.trim(), cells: splitWhitespaceLine(line) }))
+  .filter(row => row.text);
+
+export const parseImportText = (text) => {
+  const delimiter = detectDelimiter(text);
+  return { delimiter, rows: delimiter ? parseDelimitedText(text, delimiter) : parseWhitespaceText(text) };
+};
+
+// Re-split a single line edited by the user, using the format detected for its file.
+export const parseImportLine = (text, delimiter) => {
+  if (!delimiter) return splitWhitespaceLine(text);
+  const [row] = parseDelimitedText(text, delimiter);
+  return row ? row.cells : [];
+};
+
+// Read the first sheet of an Excel workbook into rows of cells, like a ';'-delimited file.
+export const parseWorkbook = (data) => {
+  const workbook = XLSX.read(data, { type: 'array', cellDates: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const firstRow = sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']).s.r : 0;
+  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, dateNF: 'dd/mm/yyyy', defval: '', blankrows: true })
+    .map((values, index) => {
+      const cells = values.map(value => String(value).trim());
+      return { line: firstRow + index + 1, text: joinDelimitedCells(cells, ';'), cells };
+    })
+    .filter(row => row.cells.some(cell => cell !== ''));
+  return { delimiter: ';', rows };
+};
+
+export const isWorkbookFile = (fileName) => /\.xlsx?$/i.test(fileName || '');
+
+// Parse a delivery date written as dd/mm/yyyy (also with "-" or "."), dd/mmyyyy or yyyy-mm-dd.
+export const parseDeliveryDate = (value) => {
+  const str = String(value || '').trim();
+  let day, month, year;
+  let match = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/);
+
+  if (match) {
+    [year, month, day] = match.slice(1, 4).map(Number);
+  } else if ((match = str.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})(?:\s.*)?$/))) {
+    [day, month, year] = match.slice(1, 4).map(Number);
+  } else if ((match = str.match(/^(\d{1,2})\/(\d{1,2})(\d{4})$/))) {
+    [day, month, year] = match.slice(1, 4).map(Number);
+  } else {
+    return null;
+  }
+
+  if (year < 100) year += 2000;
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  return date;
+};
+
+// A first row without any date, followed by rows with dates, is treated as a header.
+export const looksLikeHeader = (rows) => rows.length > 1
+  && !rows[0].cells.some(cell => parseDeliveryDate(cell))
+  && rows.slice(1, 6).some(row => row.cells.some(cell => parseDeliveryDate(cell)));
+
+// Files with the same header (or, without one, the same extension and column count) share a mapping.
+export const getImportSourceKey = (rows, fileName) => {
+  if (looksLikeHeader(rows)) {
+    return `cabecera:${rows[0].cells.map(cell => cell.toLowerCase()).join('|')}`;
+  }
+  const extension = fileName && fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : 'texto';
+  return `${extension}:${rows[0] ? rows[0].cells.length : 0}`;
+};
+
+export const guessColumnMapping = (rows) => {
+  const hasHeader = looksLikeHeader(rows);
+  const columnCount = Math.max(0, ...rows.slice(0, 20).map(row => row.cells.length));
+  const mapping = { hasHeader, orderNumber: -1, customerName: -1, deliveryDate: -1, type: -1, address: -1, coordinates: -1 };
+  const used = new Set();
+
+  if (hasHeader) {
+    Object.entries(COLUMN_HINTS).forEach(([field, pattern]) => {
+      const index = rows[0].cells.findIndex((cell, i) => !used.has(i) && pattern.test(cell));
+      if (index !== -1) {
+        mapping[field] = index;
+        used.add(index);
+      }
+    });
+  }
+
+  const sample = hasHeader ? rows.slice(1, 21) : rows.slice(0, 20);
+  if (mapping.deliveryDate === -1) {
+    for (let i = columnCount - 1; i >= 0; i--) {
+      if (!used.has(i) && sample.some(row => parseDeliveryDate(row.cells[i]))) {
+        mapping.deliveryDate = i;
+        used.add(i);
+        break;
+      }
+    }
+  }
+  ['orderNumber', 'customerName'].forEach(field => {
+    if (mapping[field] !== -1) return;
+    for (let i = 0; i < columnCount; i++) {
+      if (!used.has(i)) {
+        mapping[field] = i;
+        used.add(i);
+        break;
+      }
+    }
+  });
+
+  return mapping;
+};
+
+// Check a column mapping before using it; returns the error message or null.
+export const validateColumnMapping = (mapping, fallbackType) => {
+  const { orderNumber, customerName, deliveryDate } = mapping;
+  if (orderNumber < 0 || customerName < 0 || deliveryDate < 0) {
+    return 'Indica qué columna contiene el número de pedido, el cliente y la fecha.';
+  }
+  if (new Set([orderNumber, customerName, deliveryDate]).size < 3) {
+    return 'Cada campo debe leerse de una columna distinta.';
+  }
+  if (mapping.type < 0 && !fallbackType) {
+    return 'Asigna una columna de tipo o selecciona un tipo de pedido para todo el archivo.';
+  }
+  return null;
+};
+
+// Validate one imported row against the column mapping.
+// Returns { order }, { reason } for rejected rows, or { skip: true } for repeated header lines.
+// Types are matched against the active `orderTypes`.
+export const parseImportRow = (cells, mapping, { fallbackType, fileName, orderTypes = DEFAULT_ORDER_TYPES }) => {
+  if (cells.join(' ').toLowerCase().includes('fecha entrega')) {
+    return { skip: true };
+  }
+
+  const requiredColumns = Math.max(mapping.orderNumber, mapping.customerName, mapping.deliveryDate) + 1;
+  if (cells.length < requiredColumns) {
+    return { reason: `Columnas insuficientes: hay ${cells.length} y se esperaban al menos ${requiredColumns}` };
+  }
+
+  const orderNumber = cells[mapping.orderNumber].replace(/€/g, '').trim();
+  const customerName = cells[mapping.customerName].trim();
+  const deliveryDateStr = cells[mapping.deliveryDate].trim();
+
+  if (!orderNumber) return { reason: 'Falta el número de pedido' };
+  if (!customerName) return { reason: 'Falta el nombre del cliente' };
+  if (!deliveryDateStr) return { reason: 'Falta la fecha de entrega' };
+
+  const deliveryDate = parseDeliveryDate(deliveryDateStr);
+  if (!deliveryDate) {
+    return { reason: `Fecha inválida: «${deliveryDateStr}»` };
+  }
+
+  // Each row's type column wins; the type chosen in the modal only fills the gaps.
+  const rawType = mapping.type >= 0 ? (cells[mapping.type] || '').trim() : '';
+  const type = normalizeOrderType(rawType, orderTypes) || fallbackType || '';
+
+  // Address and coordinates are optional columns, read only when they are mapped.
+  const location = {};
+  if (mapping.address >= 0 && (cells[mapping.address] || '').trim()) {
+    location.address = cells[mapping.address].trim();
+  }
+  const coordinates = mapping.coordinates >= 0 ? parseCoordinates(cells[mapping.coordinates]) : null;
+  if (coordinates) {
+    location.lat = coordinates.lat;
+    location.lng = coordinates.lng;
+  }
+
+  return {
+    order: {
+      orderNumber,
+      customerName,
+      type,
+      color: getOrderTypeColor(orderTypes, type),
+      deliveryDate: toDeliveryDate(deliveryDate),
+      ...location,
+      file: fileName,
+      rawType: rawType && !normalizeOrderType(rawType, orderTypes) ? rawType : null,
+    },
+  };
+};
+
+// Fields that only exist in the import preview and must not be written to Firestore.
+export const IMPORT_PREVIEW_FIELDS = ['id', 'importStatus', 'rawType', 'line', 'changes'];
+
+// Label of the change that takes a matched order out of the recycle bin.
+export const IMPORT_RESTORE_LABEL = 'Papelera';
+
+// Fields compared when an imported row matches an existing order.
+export const IMPORT_DIFF_FIELDS = {
+  deliveryDate: 'Fecha',
+  customerName: 'Cliente',
+  type: 'Tipo',
+  address: 'Dirección',
+};
+
+export const isSameFieldValue = (field, a, b) => {
+  if (field === 'deliveryDate') {
+    return toDeliveryDate(a) === toDeliveryDate(b);
+  }
+  return String(a || '').trim() === String(b || '').trim();
+};
+
+export const stripPreviewFields = (row) => Object.fromEntries(
+  Object.entries(row).filter(([key]) => !IMPORT_PREVIEW_FIELDS.includes(key)),
+);
+
+// Compare an imported row with the existing order of the same number, field by field.
+// Date and name changes are proposed by default; a type change only when the new type has a higher priority.
+// `previousChanges` keeps the accept/reject choices already made for the row.
+export const getImportRowStatus = (row, existingOrders, previousChanges = [], orderTypes = DEFAULT_ORDER_TYPES) => {
+  const existingOrder = existingOrders.find(o => o.orderNumber === row.orderNumber);
+  if (!existingOrder) {
+    return { ...row, importStatus: 'Nuevo', changes: [] };
+  }
+
+  // Optional fields missing from the file leave the order as it is.
+  const changes = Object.keys(IMPORT_DIFF_FIELDS)
+    .filter(field => field in row && !isSameFieldValue(field, existingOrder[field], row[field]))
+    .map(field => {
+      const previous = previousChanges.find(c => c.field === field);
+      const accepted = previous
+        ? previous.accepted
+        : field !== 'type' || getOrderTypePriority(orderTypes, row.type) > getOrderTypePriority(orderTypes, existingOrder.type);
+      return { field, before: existingOrder[field], after: row[field], accepted };
+    });
+  // An order in the recycle bin is restored by default, so the file does not add a duplicate.
+  if (existingOrder.deleted) {
+    const previous = previousChanges.find(c => c.field === 'deleted');
+    changes.unshift({ field: 'deleted', before: true, after: false, accepted: previous ? previous.accepted : true });
+  }
+
+  return { ...row, id: existingOrder.id, changes, importStatus: changes.some(c => c.accepted) ? 'Actualizar' : 'Sin cambios' };
+};
+
+// Rows identical to the existing order have nothing to review.
+export const isUnchangedImportRow = (row) => row.importStatus !== 'Nuevo' && row.changes.length === 0 && Boolean(row.type);
+
+// Validate and compare every data row of an import.
+// Returns the rows to review, the order numbers that already match and the rejected lines.
+export const buildImportPreview = (rows, mapping, { fallbackType, fileName, existingOrders, orderTypes = DEFAULT_ORDER_TYPES }) => {
+  const preview = [];
+  const unchanged = [];
+  const rejects = [];
+  const dataRows = mapping.hasHeader ? rows.slice(1) : rows;
+
+  for (const { line, text, cells } of dataRows) {
+    const result = parseImportRow(cells, mapping, { fallbackType, fileName, orderTypes });
+    if (result.skip) continue;
+
+    if (result.reason) {
+      rejects.push({ line, text, reason: result.reason, orderNumber: (cells[mapping.orderNumber] || '').trim() || null });
+      continue;
+    }
+
+    const row = getImportRowStatus({ ...result.order, line }, existingOrders, [], orderTypes);
+    if (isUnchangedImportRow(row)) {
+      unchanged.push({ orderNumber: row.orderNumber, type: row.type });
+    } else {
+      preview.push(row);
+    }
+  }
+
+  return { preview, unchanged, rejects };
+};
+
+// In sync mode the file is the full list for the types it contains: open orders of those
+// types that are missing from it are proposed for archiving. Delivered orders are left alone.
+export const getSyncArchiveProposals = ({ preview, unchanged, rejects, activeOrders }) => {
+  const fileOrders = [...preview, ...unchanged];
+  const seenNumbers = new Set([...fileOrders.map(o => o.orderNumber), ...rejects.map(r => r.orderNumber).filter(Boolean)]);
+  const types = new Set(fileOrders.map(o => o.type).filter(Boolean));
+  return activeOrders.filter(o => (
+    !o.archived && !o.deleted && OPEN_STATUSES.includes(getOrderStatus(o)) && types.has(o.type) && !seenNumbers.has(o.orderNumber)
+  ));
+};
+
+// Turn a reviewed preview into order writes: new orders, the accepted changes of
+// existing ones and the sync archives. `id` is null for orders still to be created.
+export const planImportWrites = ({ preview, existingOrders, ordersToArchive = [] }) => {
+  const adds = preview.filter(o => o.importStatus === 'Nuevo').map(order => ({
+    kind: 'add',
+    id: null,
+    before: null,
+    after: { ...stripPreviewFields(order), ...getNewOrderStatus(order.type), createdAt: new Date().toISOString() },
+  }));
+
+  // Only the changes accepted in the preview are written.
+  const updates = preview.filter(o => o.importStatus === 'Actualizar').map(order => {
+    const before = existingOrders.find(o => o.id === order.id);
+    const acceptedChanges = Object.fromEntries(order.changes.filter(c => c.accepted).map(c => [c.field, c.after]));
+    if (acceptedChanges.type) {
+      acceptedChanges.color = order.color;
+    }
+    if (acceptedChanges.deleted === false) {
+      acceptedChanges.deletedAt = null;
+      acceptedChanges.deletedBy = null;
+    }
+    // Coordinates from the file go with the address they belong to.
+    if ('address' in acceptedChanges && 'lat' in order) {
+      acceptedChanges.lat = order.lat;
+      acceptedChanges.lng = order.lng;
+    }
+    // Orders matched to a customer during the import are linked to it.
+    if (order.customerId && order.customerId !== before.customerId) {
+      acceptedChanges.customerId = order.customerId;
+    }
+    return {
+      kind: 'update',
+      id: order.id,
+      before,
+      after: { ...acceptedChanges, file: order.file },
+    };
+  });
+
+  const archives = ordersToArchive.map(order => ({ kind: 'archive', id: order.id, before: order, after: { archived: true } }));
+
+  return [...adds, ...updates, ...archives];
+};
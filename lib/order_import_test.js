@@ -0,0 +1,280 @@
+import { assert, assertEquals } from '@std/assert';
+import {
+  buildImportPreview,
+  detectDelimiter,
+  getImportRowStatus,
+  getImportSourceKey,
+  getSyncArchiveProposals,
+  guessColumnMapping,
+  parseDeliveryDate,
+  parseImportLine,
+  parseImportRow,
+  parseImportText,
+  planImportWrites,
+  validateColumnMapping,
+} from './order_import.js';
+
+const dateParts = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+const existingOrder = (fields) => ({
+  id: `id-${fields.orderNumber}`,
+  customerName: 'Ana',
+  type: 'instalacion',
+  deliveryDate: '2026-03-05',
+  archived: false,
+  ...fields,
+});
+
+Deno.test('parseDeliveryDate accepts the date formats found in supplier files', () => {
+  const cases = {
+    '05/03/2026': [2026, 3, 5],
+    '5/3/2026': [2026, 3, 5],
+    '05-03-2026': [2026, 3, 5],
+    '05.03.2026': [2026, 3, 5],
+    '05/03/26': [2026, 3, 5],
+    '05/032026': [2026, 3, 5],
+    '2026-03-05': [2026, 3, 5],
+    '2026-03-05T10:30:00Z': [2026, 3, 5],
+    '05/03/2026 14:00': [2026, 3, 5],
+  };
+  for (const [value, expected] of Object.entries(cases)) {
+    const date = parseDeliveryDate(value);
+    assert(date, `${value} should parse`);
+    assertEquals(dateParts(date), expected, value);
+  }
+});
+
+Deno.test('parseDeliveryDate returns dates at local midnight', () => {
+  const date = parseDeliveryDate('31/12/2026');
+  assertEquals([date.getHours(), date.getMinutes()], [0, 0]);
+});
+
+Deno.test('parseDeliveryDate rejects impossible and malformed dates', () => {
+  for (const value of ['31/02/2026', '00/01/2026', '15/13/2026', '2026-02-30', 'mañana', '', null, '5 de marzo']) {
+    assertEquals(parseDeliveryDate(value), null, String(value));
+  }
+});
+
+Deno.test('detectDelimiter finds the separator used by most lines', () => {
+  assertEquals(detectDelimiter('1;Ana;05/03/2026\n2;Bea;06/03/2026'), ';');
+  assertEquals(detectDelimiter('1\tAna\t05/03/2026\n2\tBea\t06/03/2026'), '\t');
+  assertEquals(detectDelimiter('1,"Pérez, Ana",05/03/2026\n2,Bea,06/03/2026'), ',');
+  assertEquals(detectDelimiter('1001 Ana Pérez 05/03/2026'), null);
+});
+
+Deno.test('parseImportText honours quoted fields and keeps line numbers', () => {
+  const { delimiter, rows } = parseImportText('Pedido;Cliente;Fecha\n1;"Pérez; Ana";05/03/2026\n\n2;"Dice ""hola""";06/03/2026');
+  assertEquals(delimiter, ';');
+  assertEquals(rows.map(row => row.line), [1, 2, 4]);
+  assertEquals(rows[1].cells, ['1', 'Pérez; Ana', '05/03/2026']);
+  assertEquals(rows[2].cells[1], 'Dice "hola"');
+});
+
+Deno.test('parseImportText falls back to the legacy whitespace format', () => {
+  const { delimiter, rows } = parseImportText('1001 Ana María Pérez 05/03/2026');
+  assertEquals(delimiter, null);
+  assertEquals(rows[0].cells, ['1001', 'Ana María Pérez', '05/03/2026']);
+  assertEquals(parseImportLine('1002 Bea 06/03/2026', null), ['1002', 'Bea', '06/03/2026']);
+});
+
+Deno.test('guessColumnMapping reads headers and finds the date column without them', () => {
+  const withHeader = parseImportText('Cliente;Nº Pedido;Tipo;Fecha entrega;Dirección;Coordenadas\nAna;1;recogida;05/03/2026;Calle Mayor 1;40.41, -3.70').rows;
+  assertEquals(guessColumnMapping(withHeader), { hasHeader: true, orderNumber: 1, customerName: 0, deliveryDate: 3, type: 2, address: 4, coordinates: 5 });
+
+  const withoutHeader = parseImportText('1;Ana;05/03/2026\n2;Bea;06/03/2026').rows;
+  assertEquals(guessColumnMapping(withoutHeader), { hasHeader: false, orderNumber: 0, customerName: 1, deliveryDate: 2, type: -1, address: -1, coordinates: -1 });
+});
+
+Deno.test('getImportSourceKey groups files by header or by shape', () => {
+  const rows = parseImportText('Pedido;Cliente;Fecha\n1;Ana;05/03/2026').rows;
+  assertEquals(getImportSourceKey(rows, 'marzo.csv'), 'cabecera:pedido|cliente|fecha');
+  assertEquals(getImportSourceKey(rows.slice(1), 'marzo.csv'), 'csv:3');
+  assertEquals(getImportSourceKey(rows.slice(1), null), 'texto:3');
+});
+
+Deno.test('validateColumnMapping requires distinct columns and a type', () => {
+  assertEquals(validateColumnMapping({ orderNumber: 0, customerName: 1, deliveryDate: 2, type: 3 }, ''), null);
+  assertEquals(validateColumnMapping({ orderNumber: 0, customerName: 1, deliveryDate: 2, type: -1 }, 'recogida'), null);
+  assert(validateColumnMapping({ orderNumber: 0, customerName: -1, deliveryDate: 2, type: 3 }, ''));
+  assert(validateColumnMapping({ orderNumber: 0, customerName: 0, deliveryDate: 2, type: 3 }, ''));
+  assert(validateColumnMapping({ orderNumber: 0, customerName: 1, deliveryDate: 2, type: -1 }, ''));
+});
+
+Deno.test('parseImportRow normalises types and reports why rows are rejected', () => {
+  const mapping = { hasHeader: false, orderNumber: 0, customerName: 1, deliveryDate: 2, type: 3 };
+  const options = { fallbackType: 'parcial', fileName: 'marzo.csv' };
+
+  const { order } = parseImportRow(['1001€', 'Ana', '05/03/2026', 'INSTALACIÓN'], mapping, options);
+  assertEquals(order.orderNumber, '1001');
+  assertEquals(order.deliveryDate, '2026-03-05');
+  assertEquals(order.type, 'instalacion');
+  assertEquals(order.color, 'bg-blue-500');
+  assertEquals(order.file, 'marzo.csv');
+  assertEquals(order.rawType, null);
+
+  const unknown = parseImportRow(['1002', 'Bea', '05/03/2026', 'urgente'], mapping, options).order;
+  assertEquals(unknown.type, 'parcial');
+  assertEquals(unknown.rawType, 'urgente');
+
+  assertEquals(parseImportRow(['Pedido', 'Cliente', 'Fecha entrega'], mapping, options), { skip: true });
+  assertEquals(parseImportRow(['1003', 'Cy'], mapping, options).reason, 'Columnas insuficientes: hay 2 y se esperaban al menos 3');
+  assertEquals(parseImportRow(['', 'Cy', '05/03/2026'], mapping, options).reason, 'Falta el número de pedido');
+  assertEquals(parseImportRow(['1003', '', '05/03/2026'], mapping, options).reason, 'Falta el nombre del cliente');
+  assertEquals(parseImportRow(['1003', 'Cy', ''], mapping, options).reason, 'Falta la fecha de entrega');
+  assertEquals(parseImportRow(['1003', 'Cy', '31/02/2026'], mapping, options).reason, 'Fecha inválida: «31/02/2026»');
+});
+
+Deno.test('parseImportRow reads the optional address and coordinates columns', () => {
+  const mapping = { hasHeader: false, orderNumber: 0, customerName: 1, deliveryDate: 2, type: -1, address: 3, coordinates: 4 };
+  const options = { fallbackType: 'parcial', fileName: 'marzo.csv' };
+
+  const { order } = parseImportRow(['1001', 'Ana', '05/03/2026', ' Calle Mayor 1 ', '40.4168; -3.7038'], mapping, options);
+  assertEquals([order.address, order.lat, order.lng], ['Calle Mayor 1', 40.4168, -3.7038]);
+
+  const unlocated = parseImportRow(['1002', 'Bea', '05/03/2026', '', 'junto al bar'], mapping, options).order;
+  assert(!('address' in unlocated) && !('lat' in unlocated));
+});
+
+Deno.test('getImportRowStatus proposes an address change only when the file has addresses', () => {
+  const existing = [existingOrder({ orderNumber: '1', address: 'Calle Mayor 1', lat: 40.41, lng: -3.7 })];
+  const base = { orderNumber: '1', customerName: 'Ana', type: 'instalacion', deliveryDate: '2026-03-05' };
+  assertEquals(getImportRowStatus(base, existing).changes, []);
+
+  const moved = getImportRowStatus({ ...base, address: 'Calle Nueva 2', lat: 40.5, lng: -3.6, file: 'f.csv' }, existing);
+  assertEquals(moved.changes, [{ field: 'address', before: 'Calle Mayor 1', after: 'Calle Nueva 2', accepted: true }]);
+  const [update] = planImportWrites({ preview: [moved], existingOrders: existing });
+  assertEquals(update.after, { address: 'Calle Nueva 2', lat: 40.5, lng: -3.6, file: 'f.csv' });
+
+  const [linked] = planImportWrites({ preview: [{ ...moved, customerId: 'cliente-1' }], existingOrders: existing });
+  assertEquals(linked.after.customerId, 'cliente-1');
+});
+
+Deno.test('getImportRowStatus marks unknown order numbers as new', () => {
+  const row = getImportRowStatus({ orderNumber: '9', customerName: 'Zoe', type: 'recogida' }, [existingOrder({ orderNumber: '1' })]);
+  assertEquals(row.importStatus, 'Nuevo');
+  assertEquals(row.changes, []);
+});
+
+Deno.test('getImportRowStatus proposes date and customer changes', () => {
+  const existing = [existingOrder({ orderNumber: '1' })];
+  const row = getImportRowStatus({
+    orderNumber: '1',
+    customerName: 'Ana María',
+    type: 'instalacion',
+    deliveryDate: '2026-03-09',
+  }, existing);
+
+  assertEquals(row.importStatus, 'Actualizar');
+  assertEquals(row.id, 'id-1');
+  assertEquals(row.changes.map(c => [c.field, c.accepted]), [['deliveryDate', true], ['customerName', true]]);
+});
+
+Deno.test('getImportRowStatus ignores the time of day when comparing dates', () => {
+  // Saved before delivery dates were days: 15:30 in Madrid.
+  const existing = [existingOrder({ orderNumber: '1', deliveryDate: '2026-03-05T14:30:00.000Z' })];
+  const row = getImportRowStatus({ orderNumber: '1', customerName: 'Ana', type: 'instalacion', deliveryDate: '2026-03-05' }, existing);
+  assertEquals(row.importStatus, 'Sin cambios');
+  assertEquals(row.changes, []);
+});
+
+Deno.test('getImportRowStatus restores a matching order from the recycle bin', () => {
+  const existing = [existingOrder({ orderNumber: '1', deleted: true, deletedAt: '2026-03-01T10:00:00.000Z', deletedBy: 'ana' })];
+  const row = getImportRowStatus({ orderNumber: '1', customerName: 'Ana', type: 'instalacion', deliveryDate: '2026-03-06', file: 'f.csv' }, existing);
+  assertEquals(row.importStatus, 'Actualizar');
+  assertEquals(row.changes.map(c => [c.field, c.accepted]), [['deleted', true], ['deliveryDate', true]]);
+  const [update] = planImportWrites({ preview: [row], existingOrders: existing });
+  assertEquals(update.after, { deleted: false, deletedAt: null, deletedBy: null, deliveryDate: '2026-03-06', file: 'f.csv' });
+
+  const kept = getImportRowStatus(row, existing, [{ field: 'deleted', accepted: false }, { field: 'deliveryDate', accepted: false }]);
+  assertEquals(kept.importStatus, 'Sin cambios');
+});
+
+Deno.test('getImportRowStatus only accepts a type change towards a higher priority', () => {
+  const existing = [existingOrder({ orderNumber: '1', type: 'instalacion' })];
+  const base = { orderNumber: '1', customerName: 'Ana', deliveryDate: existing[0].deliveryDate };
+
+  const upgrade = getImportRowStatus({ ...base, type: 'recogida' }, existing);
+  assertEquals(upgrade.importStatus, 'Actualizar');
+  assertEquals(upgrade.changes, [{ field: 'type', before: 'instalacion', after: 'recogida', accepted: true }]);
+
+  const downgrade = getImportRowStatus({ ...base, type: 'parcial' }, existing);
+  assertEquals(downgrade.importStatus, 'Sin cambios');
+  assertEquals(downgrade.changes, [{ field: 'type', before: 'instalacion', after: 'parcial', accepted: false }]);
+});
+
+Deno.test('getImportRowStatus keeps the choices already made for a row', () => {
+  const existing = [existingOrder({ orderNumber: '1', type: 'instalacion' })];
+  const row = getImportRowStatus(
+    { orderNumber: '1', customerName: 'Ana', deliveryDate: existing[0].deliveryDate, type: 'parcial' },
+    existing,
+    [{ field: 'type', accepted: true }],
+  );
+  assertEquals(row.importStatus, 'Actualizar');
+});
+
+Deno.test('buildImportPreview splits new, changed, unchanged and rejected rows', () => {
+  const { rows } = parseImportText([
+    'Pedido;Cliente;Fecha;Tipo',
+    '1;Ana;05/03/2026;instalacion',
+    '2;Bea;07/03/2026;recogida',
+    '3;Cy;99/99/2026;recogida',
+    '4;Dan;08/03/2026;',
+  ].join('\n'));
+  const existingOrders = [existingOrder({ orderNumber: '1' }), existingOrder({ orderNumber: '2', customerName: 'Bea', type: 'parcial' })];
+  const mapping = guessColumnMapping(rows);
+
+  const { preview, unchanged, rejects } = buildImportPreview(rows, mapping, { fallbackType: '', fileName: 'marzo.csv', existingOrders });
+
+  assertEquals(unchanged, [{ orderNumber: '1', type: 'instalacion' }]);
+  assertEquals(preview.map(row => [row.orderNumber, row.importStatus]), [['2', 'Actualizar'], ['4', 'Nuevo']]);
+  assertEquals(preview[1].type, '');
+  assertEquals(rejects, [{ line: 4, text: '3;Cy;99/99/2026;recogida', reason: 'Fecha inválida: «99/99/2026»', orderNumber: '3' }]);
+});
+
+Deno.test('getSyncArchiveProposals archives missing open orders of the imported types only', () => {
+  const activeOrders = [
+    existingOrder({ orderNumber: '1', type: 'recogida' }),
+    existingOrder({ orderNumber: '2', type: 'recogida' }),
+    existingOrder({ orderNumber: '3', type: 'recogida' }),
+    existingOrder({ orderNumber: '4', type: 'parcial' }),
+    existingOrder({ orderNumber: '5', type: 'recogida', archived: true }),
+    existingOrder({ orderNumber: '6', type: 'recogida', status: 'entregado' }),
+    existingOrder({ orderNumber: '7', type: 'recogida', deleted: true }),
+  ];
+  const proposals = getSyncArchiveProposals({
+    preview: [{ orderNumber: '1', type: 'recogida' }],
+    unchanged: [],
+    rejects: [{ orderNumber: '2' }],
+    activeOrders,
+  });
+  assertEquals(proposals.map(order => order.orderNumber), ['3']);
+});
+
+Deno.test('planImportWrites writes new orders and only the accepted changes', () => {
+  const existingOrders = [existingOrder({ orderNumber: '1' })];
+  const preview = [
+    { orderNumber: '9', customerName: 'Zoe', type: 'recogida', color: 'bg-red-500', deliveryDate: 'x', file: 'f.csv', rawType: null, line: 3, importStatus: 'Nuevo', changes: [] },
+    {
+      orderNumber: '1',
+      customerName: 'Ana María',
+      type: 'recogida',
+      color: 'bg-red-500',
+      file: 'f.csv',
+      id: 'id-1',
+      importStatus: 'Actualizar',
+      changes: [
+        { field: 'customerName', before: 'Ana', after: 'Ana María', accepted: false },
+        { field: 'type', before: 'instalacion', after: 'recogida', accepted: true },
+      ],
+    },
+  ];
+
+  const [add, update, archive] = planImportWrites({ preview, existingOrders, ordersToArchive: [existingOrders[0]] });
+
+  assertEquals(add.kind, 'add');
+  assertEquals(add.id, null);
+  assertEquals(Object.keys(add.after).sort(), ['color', 'createdAt', 'customerName', 'deliveryDate', 'file', 'orderNumber', 'status', 'statusDates', 'type']);
+  assertEquals(add.after.status, 'programado');
+  assertEquals(update, { kind: 'update', id: 'id-1', before: existingOrders[0], after: { type: 'recogida', color: 'bg-red-500', file: 'f.csv' } });
+  assertEquals(archive, { kind: 'archive', id: 'id-1', before: existingOrders[0], after: { archived: true } });
+});
@@ -0,0 +1,67 @@
+// Where an order stands, kept apart from its type: the allowed moves between statuses,
+// when the order entered each one, and which list (pending, calendar, archived) shows it.
+import { formatDateKey } from './orders.js';
+import { getDeliveryDate } from './delivery_dates.js';
+
+export const ORDER_STATUS_LABELS = {
+  programado: 'Programado',
+  aplazado: 'Aplazado',
+  en_reparto: 'En reparto',
+  entregado_parcial: 'Entregado en parte',
+  entregado: 'Entregado',
+  cancelado: 'Cancelado',
+};
+
+// Badge colors for each status.
+export const ORDER_STATUS_COLORS = {
+  programado: 'bg-blue-100 text-blue-800',
+  aplazado: 'bg-yellow-100 text-yellow-800',
+  en_reparto: 'bg-indigo-100 text-indigo-800',
+  entregado_parcial: 'bg-lime-100 text-lime-800',
+  entregado: 'bg-green-100 text-green-800',
+  cancelado: 'bg-gray-200 text-gray-700',
+};
+
+// Statuses an order can move to from each status. Delivered orders are final;
+// cancelled ones can only be scheduled again.
+export const STATUS_TRANSITIONS = {
+  programado: ['aplazado', 'en_reparto', 'entregado_parcial', 'entregado', 'cancelado'],
+  aplazado: ['programado', 'cancelado'],
+  en_reparto: ['programado', 'aplazado', 'entregado_parcial', 'entregado'],
+  entregado_parcial: ['programado', 'en_reparto', 'entregado', 'cancelado'],
+  entregado: [],
+  cancelado: ['programado'],
+};
+
+// Statuses in which the order still has to go out.
+export const OPEN_STATUSES = ['programado', 'aplazado', 'en_reparto', 'entregado_parcial'];
+
+// Status of new orders: postdated orders start postponed.
+export const getInitialStatus = (type) => (type === 'posdatado' ? 'aplazado' : 'programado');
+
+// Orders saved before statuses existed get the status their type implies.
+export const getOrderStatus = (order) => (order.status in STATUS_TRANSITIONS ? order.status : getInitialStatus(order.type));
+
+export const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Fields to write for a move to `status`: the status and when the order entered it,
+// alongside the times it entered the earlier ones.
+export const transitionOrder = (order, status, now = new Date()) => ({
+  status,
+  statusDates: { ...(order.statusDates || {}), [status]: now.toISOString() },
+});
+
+// Fields of a new order with its initial status.
+export const getNewOrderStatus = (type, now = new Date()) => transitionOrder({}, getInitialStatus(type), now);
+
+// List that shows the order: 'archived' for archived and cancelled orders, 'pending' for open
+// orders whose day has gone by (or that have none), 'calendar' otherwise.
+// Delivered orders stay on the calendar whatever their date.
+export const getOrderList = (order, today = new Date()) => {
+  const status = getOrderStatus(order);
+  if (order.archived || status === 'cancelado') return 'archived';
+  if (OPEN_STATUSES.includes(status) && (!getDeliveryDate(order) || getDeliveryDate(order) < formatDateKey(today))) {
+    return 'pending';
+  }
+  return 'calendar';
+};
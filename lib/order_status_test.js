@@ -0,0 +1,39 @@
+import { assertEquals } from '@std/assert';
+import { canTransition, getNewOrderStatus, getOrderList, getOrderStatus, transitionOrder } from './order_status.js';
+
+const TODAY = new Date(2026, 2, 5, 10);
+const day = (d) => `2026-03-0${d}`;
+
+Deno.test('getOrderStatus falls back on the type for orders saved before statuses', () => {
+  assertEquals(getOrderStatus({ type: 'instalacion' }), 'programado');
+  assertEquals(getOrderStatus({ type: 'posdatado' }), 'aplazado');
+  assertEquals(getOrderStatus({ type: 'posdatado', status: 'entregado' }), 'entregado');
+  assertEquals(getOrderStatus({ type: 'parcial', status: 'desconocido' }), 'programado');
+});
+
+Deno.test('canTransition follows the allowed moves', () => {
+  assertEquals(canTransition('programado', 'en_reparto'), true);
+  assertEquals(canTransition('aplazado', 'entregado'), false);
+  assertEquals(canTransition('entregado', 'programado'), false);
+  assertEquals(canTransition('cancelado', 'programado'), true);
+});
+
+Deno.test('transitionOrder keeps when the order entered each status', () => {
+  const now = new Date('2026-03-05T10:00:00.000Z');
+  const order = { status: 'programado', statusDates: { programado: '2026-03-01T08:00:00.000Z' } };
+  assertEquals(transitionOrder(order, 'entregado', now), {
+    status: 'entregado',
+    statusDates: { programado: '2026-03-01T08:00:00.000Z', entregado: '2026-03-05T10:00:00.000Z' },
+  });
+  assertEquals(getNewOrderStatus('posdatado', now), { status: 'aplazado', statusDates: { aplazado: '2026-03-05T10:00:00.000Z' } });
+});
+
+Deno.test('getOrderList keeps delivered orders out of the pending list', () => {
+  assertEquals(getOrderList({ status: 'entregado', deliveryDate: day(4) }, TODAY), 'calendar');
+  assertEquals(getOrderList({ status: 'programado', deliveryDate: day(4) }, TODAY), 'pending');
+  assertEquals(getOrderList({ status: 'entregado_parcial', deliveryDate: day(4) }, TODAY), 'pending');
+  assertEquals(getOrderList({ status: 'programado', deliveryDate: day(5) }, TODAY), 'calendar');
+  assertEquals(getOrderList({ status: 'aplazado', deliveryDate: null }, TODAY), 'pending');
+  assertEquals(getOrderList({ status: 'cancelado', deliveryDate: day(6) }, TODAY), 'archived');
+  assertEquals(getOrderList({ status: 'entregado', deliveryDate: day(4), archived: true }, TODAY), 'archived');
+});
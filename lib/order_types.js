@@ -0,0 +1,109 @@
+// Order types: the label, calendar colour, calendar priority and email colour of each kind of
+// order. Admins define them in the settings document (`orderTypes`); until they do, the built-in
+// ones below apply. A type that orders still use is retired rather than removed: it keeps its
+// label and colours for those orders but is no longer offered for new ones, in forms or imports.
+import { normalizeText } from './orders.js';
+
+// Calendar colours admins pick from. The class names are written out in full so the Tailwind
+// build keeps them.
+export const ORDER_TYPE_COLORS = {
+  'bg-blue-500': 'Azul',
+  'bg-sky-400': 'Celeste',
+  'bg-indigo-500': 'Índigo',
+  'bg-purple-500': 'Morado',
+  'bg-pink-500': 'Rosa',
+  'bg-red-500': 'Rojo',
+  'bg-orange-500': 'Naranja',
+  'bg-yellow-400': 'Amarillo',
+  'bg-lime-400': 'Lima',
+  'bg-green-500': 'Verde',
+  'bg-teal-500': 'Turquesa',
+  'bg-gray-500': 'Gris',
+};
+
+// Colours of orders whose type is missing or unknown.
+export const FALLBACK_TYPE_COLOR = 'bg-gray-300';
+export const FALLBACK_TYPE_EMAIL_COLOR = '#9CA3AF';
+
+// Built-in types. A higher priority wins the colour of a calendar day and comes first in lists.
+// `aliases` are the words (lowercase, without accents) that mean the type in imported files.
+export const DEFAULT_ORDER_TYPES = [
+  { id: 'instalacion', label: 'Instalación', color: 'bg-blue-500', emailColor: '#3B82F6', priority: 3, aliases: ['instalacion', 'instalaciones', 'instalar', 'montaje', 'install', 'installation'] },
+  { id: 'posdatado', label: 'Posdatado', color: 'bg-yellow-400', emailColor: '#FACC15', priority: 4, aliases: ['posdatado', 'postdatado', 'posdatada', 'aplazado', 'pospuesto', 'postponed'] },
+  { id: 'completo', label: 'Completo', color: 'bg-green-500', emailColor: '#22C55E', priority: 2, aliases: ['completo', 'completa', 'total', 'entregado', 'complete'] },
+  { id: 'parcial', label: 'Parcial', color: 'bg-lime-400', emailColor: '#A3E635', priority: 1, aliases: ['parcial', 'parciales', 'partial'] },
+  { id: 'recogida', label: 'Recogida', color: 'bg-red-500', emailColor: '#EF4444', priority: 5, aliases: ['recogida', 'recogidas', 'recoger', 'retirada', 'pickup'] },
+];
+
+// Types the order status and delivery rules refer to: postdated orders start postponed and
+// partial orders become complete. They can be retired but not removed.
+export const SYSTEM_ORDER_TYPE_IDS = ['posdatado', 'parcial', 'completo'];
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// The types of a settings document, with every field filled in, or the built-in ones.
+export const getOrderTypes = (definitions) => {
+  if (!Array.isArray(definitions) || definitions.length === 0) return DEFAULT_ORDER_TYPES;
+  return definitions.filter(type => type && type.id).map(type => ({
+    id: String(type.id),
+    label: String(type.label || type.id).trim(),
+    color: type.color in ORDER_TYPE_COLORS ? type.color : FALLBACK_TYPE_COLOR,
+    emailColor: HEX_COLOR_PATTERN.test(type.emailColor || '') ? type.emailColor : FALLBACK_TYPE_EMAIL_COLOR,
+    priority: Number.isFinite(Number(type.priority)) ? Number(type.priority) : 0,
+    aliases: Array.isArray(type.aliases) ? type.aliases.map(normalizeText).filter(Boolean) : [],
+    retired: Boolean(type.retired),
+  }));
+};
+
+// Types offered for new orders and imports.
+export const getActiveOrderTypes = (types) => types.filter(type => !type.retired);
+
+export const findOrderType = (types, id) => types.find(type => type.id === id) || null;
+
+export const getOrderTypeLabel = (types, id) => (findOrderType(types, id) || {}).label || id || '';
+
+export const getOrderTypeColor = (types, id) => (findOrderType(types, id) || {}).color || FALLBACK_TYPE_COLOR;
+
+export const getOrderTypeEmailColor = (types, id) => (findOrderType(types, id) || {}).emailColor || FALLBACK_TYPE_EMAIL_COLOR;
+
+export const getOrderTypePriority = (types, id) => (findOrderType(types, id) || {}).priority || 0;
+
+// Map a free-text type such as "Instalación", "RECOGIDA" or "Entrega parcial" to the id of an
+// active type: its id or label written out, or one of its aliases among the words.
+export const normalizeOrderType = (value, types = DEFAULT_ORDER_TYPES) => {
+  const normalized = normalizeText(value);
+  if (!normalized) return null;
+  const active = getActiveOrderTypes(types);
+  const exact = active.find(type => type.id === normalized || normalizeText(type.label) === normalized);
+  if (exact) return exact.id;
+  const words = normalized.split(/[^a-z0-9]+/).filter(Boolean);
+  const match = active.find(type => (type.aliases || []).some(alias => words.includes(alias)));
+  return match ? match.id : null;
+};
+
+// Id for a new type from its label: lowercase words without accents joined by underscores.
+export const getOrderTypeId = (label) => normalizeText(label).replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+// Why a list of types cannot be saved, in Spanish, or null when it can.
+export const validateOrderTypes = (types) => {
+  if (getActiveOrderTypes(types).length === 0) return 'Debe quedar al menos un tipo de pedido activo.';
+  if (types.some(type => !type.id || !String(type.label || '').trim())) return 'Todos los tipos necesitan un nombre.';
+  const ids = new Set();
+  const labels = new Set();
+  for (const type of types) {
+    const label = normalizeText(type.label);
+    if (ids.has(type.id) || labels.has(label)) return `El tipo «${type.label}» está repetido.`;
+    ids.add(type.id);
+    labels.add(label);
+  }
+  return null;
+};
+
+// Orders of each type, as { [typeId]: count }, to tell which types are still in use.
+export const countOrdersByType = (orders) => orders.reduce((counts, order) => {
+  if (order.type) counts[order.type] = (counts[order.type] || 0) + 1;
+  return counts;
+}, {});
+
+// A type can only be removed when no order uses it and no rule refers to it.
+export const canRemoveOrderType = (type, counts) => !SYSTEM_ORDER_TYPE_IDS.includes(type.id) && !counts[type.id];
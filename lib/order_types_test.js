@@ -0,0 +1,57 @@
+import { assertEquals } from '@std/assert';
+import {
+  DEFAULT_ORDER_TYPES, FALLBACK_TYPE_COLOR, canRemoveOrderType, countOrdersByType, getActiveOrderTypes, getOrderTypeColor,
+  getOrderTypeId, getOrderTypeLabel, getOrderTypes, normalizeOrderType, validateOrderTypes,
+} from './order_types.js';
+
+const CUSTOM = getOrderTypes([
+  { id: 'instalacion', label: 'Instalación', color: 'bg-blue-500', emailColor: '#3B82F6', priority: 3, aliases: ['montaje'] },
+  { id: 'revision', label: 'Revisión técnica', color: 'bg-teal-500', emailColor: '#14b8a6', priority: 6 },
+  { id: 'recogida', label: 'Recogida', color: 'bg-red-500', priority: 5, retired: true },
+]);
+
+Deno.test('normalizeOrderType maps free-text types regardless of case and accents', () => {
+  assertEquals(normalizeOrderType('Instalación'), 'instalacion');
+  assertEquals(normalizeOrderType('RECOGIDA'), 'recogida');
+  assertEquals(normalizeOrderType('Entrega parcial'), 'parcial');
+  assertEquals(normalizeOrderType('postponed'), 'posdatado');
+  assertEquals(normalizeOrderType('urgente'), null);
+  assertEquals(normalizeOrderType(''), null);
+});
+
+Deno.test('normalizeOrderType reads the labels and aliases of the configured types, skipping retired ones', () => {
+  assertEquals(normalizeOrderType('revision tecnica', CUSTOM), 'revision');
+  assertEquals(normalizeOrderType('Montaje', CUSTOM), 'instalacion');
+  assertEquals(normalizeOrderType('Recogida', CUSTOM), null);
+});
+
+Deno.test('getOrderTypes fills in missing fields and falls back to the built-in types', () => {
+  assertEquals(getOrderTypes(undefined), DEFAULT_ORDER_TYPES);
+  assertEquals(getOrderTypes([]), DEFAULT_ORDER_TYPES);
+  const [type] = getOrderTypes([{ id: 'x', label: ' Urgente ', color: 'bg-nope', emailColor: 'red', priority: '7' }]);
+  assertEquals(type, { id: 'x', label: 'Urgente', color: FALLBACK_TYPE_COLOR, emailColor: '#9CA3AF', priority: 7, aliases: [], retired: false });
+});
+
+Deno.test('retired types keep their label and colour for the orders that use them', () => {
+  assertEquals(getActiveOrderTypes(CUSTOM).map(type => type.id), ['instalacion', 'revision']);
+  assertEquals(getOrderTypeLabel(CUSTOM, 'recogida'), 'Recogida');
+  assertEquals(getOrderTypeColor(CUSTOM, 'recogida'), 'bg-red-500');
+  assertEquals(getOrderTypeLabel(CUSTOM, 'desconocido'), 'desconocido');
+  assertEquals(getOrderTypeColor(CUSTOM, 'desconocido'), FALLBACK_TYPE_COLOR);
+});
+
+Deno.test('validateOrderTypes requires names, unique types and one active type', () => {
+  assertEquals(validateOrderTypes(CUSTOM), null);
+  assertEquals(validateOrderTypes(CUSTOM.map(type => ({ ...type, retired: true }))), 'Debe quedar al menos un tipo de pedido activo.');
+  assertEquals(validateOrderTypes([...CUSTOM, { id: 'otra', label: 'REVISION TÉCNICA' }]), 'El tipo «REVISION TÉCNICA» está repetido.');
+  assertEquals(validateOrderTypes([...CUSTOM, { id: 'vacio', label: ' ' }]), 'Todos los tipos necesitan un nombre.');
+});
+
+Deno.test('types in use or used by the status rules cannot be removed', () => {
+  const counts = countOrdersByType([{ type: 'revision' }, { type: 'revision' }, { type: null }]);
+  assertEquals(counts, { revision: 2 });
+  assertEquals(canRemoveOrderType({ id: 'revision' }, counts), false);
+  assertEquals(canRemoveOrderType({ id: 'parcial' }, counts), false);
+  assertEquals(canRemoveOrderType({ id: 'montaje' }, counts), true);
+  assertEquals(getOrderTypeId('Revisión técnica'), 'revision_tecnica');
+});
@@ -0,0 +1,131 @@
+// Firestore writes for orders: every change lands in the same batch as its audit entry.
+import { collection, doc, writeBatch } from 'firebase/firestore';
+import { createHistoryEntry } from './orders.js';
+
+// Firestore allows 500 operations per batch; each order write also adds an audit entry.
+export const ORDERS_PER_BATCH = 200;
+const BATCH_MAX_OPERATIONS = 500;
+const BATCH_MAX_ATTEMPTS = 3;
+const BATCH_RETRY_DELAY_MS = 1000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Documents created along with the writes, once each even if several writes link to them.
+const getLinkedDocs = (writes) => {
+  const docs = new Map();
+  writes.forEach(write => (write.linkedDocs || []).forEach(linked => docs.set(linked.ref.path, linked)));
+  return [...docs.values()];
+};
+
+// Split writes into batches that stay under both the order and the operation limits.
+const chunkWrites = (writes) => {
+  const chunks = [];
+  let chunk = [];
+  let operations = 0;
+  let linkedPaths = new Set();
+  // An order write and its audit entry, plus the linked documents the batch does not hold yet.
+  const getCost = (write) => 2 + (write.linkedDocs || []).filter(linked => !linkedPaths.has(linked.ref.path)).length;
+  writes.forEach(write => {
+    if (chunk.length > 0 && (chunk.length >= ORDERS_PER_BATCH || operations + getCost(write) > BATCH_MAX_OPERATIONS)) {
+      chunks.push(chunk);
+      chunk = [];
+      operations = 0;
+      linkedPaths = new Set();
+    }
+    operations += getCost(write);
+    (write.linkedDocs || []).forEach(linked => linkedPaths.add(linked.ref.path));
+    chunk.push(write);
+  });
+  if (chunk.length > 0) {
+    chunks.push(chunk);
+  }
+  return chunks;
+};
+
+// Order number shown in bulk write reports.
+export const getWriteOrderNumber = ({ before, after }) =>
+  (after && after.orderNumber) || (before && before.orderNumber) || '(sin número)';
+
+// Writes are `{ orderRef, before, after, source, file, linkedDocs }`: `before` is null for new
+// orders and `after` is null for deletions. Audit entries are signed with `userId`.
+// `linkedDocs` (`[{ ref, data }]`) are documents the order points to, such as a new customer;
+// bulk commits create them in every batch holding an order that links to them.
+// With a `syncTracker` (see sync.js), commits return once the writes are queued offline;
+// it gets each write along with the `historyPath` its audit entry went to.
+export const createOrderWriter = (db, { historyPath, userId, syncTracker = null }) => {
+  const batchWrites = new WeakMap();
+
+  // The audit entry of a write and the history document it goes to.
+  const withHistory = (write) => {
+    const { orderRef, before, after, source, file = null } = write;
+    return {
+      ...write,
+      historyRef: doc(collection(db, historyPath)),
+      historyEntry: createHistoryEntry({ orderId: orderRef.id, before, after, source, file, userId }),
+    };
+  };
+
+  const addOrderWrite = (batch, write) => {
+    const { orderRef, before, after, historyRef, historyEntry } = write.historyRef ? write : withHistory(write);
+    batchWrites.set(batch, [...(batchWrites.get(batch) || []), { ...write, historyPath }]);
+    if (!after) {
+      batch.delete(orderRef);
+    } else if (before) {
+      batch.update(orderRef, after);
+    } else {
+      batch.set(orderRef, after);
+    }
+
+    if (historyEntry) {
+      batch.set(historyRef, historyEntry);
+    }
+  };
+
+  // Commit a batch holding order writes, and anything else written along with them.
+  const commitBatch = (batch) => (syncTracker ? syncTracker.commit(batch, batchWrites.get(batch) || []) : batch.commit());
+
+  // Commit writes in chunked batches, retrying each chunk before giving up on it.
+  // Chunks are atomic, so the result lists exactly which writes landed and which can be resumed.
+  const commitOrderWrites = async (writes, onProgress = null) => {
+    const succeeded = [];
+    const failed = [];
+    let done = 0;
+
+    for (const chunk of chunkWrites(writes)) {
+      // Audit entries are built once, so a retry after a commit that did reach the server
+      // writes the same entries again instead of adding copies to the history.
+      const historyWrites = chunk.map(withHistory);
+      let lastError = null;
+      for (let attempt = 1; attempt <= BATCH_MAX_ATTEMPTS; attempt++) {
+        try {
+          const batch = writeBatch(db);
+          getLinkedDocs(chunk).forEach(({ ref, data }) => batch.set(ref, data));
+          historyWrites.forEach(write => addOrderWrite(batch, write));
+          await commitBatch(batch);
+          lastError = null;
+          break;
+        } catch (error) {
+          lastError = error;
+          if (attempt < BATCH_MAX_ATTEMPTS) {
+            await wait(BATCH_RETRY_DELAY_MS * attempt);
+          }
+        }
+      }
+
+      if (lastError) {
+        console.error("Error committing order batch:", lastError);
+        failed.push(...chunk);
+      } else {
+        succeeded.push(...chunk);
+      }
+      done += chunk.length;
+      if (onProgress) {
+        onProgress(done, writes.length);
+      }
+    }
+
+    return { succeeded, failed };
+  };
+
+  return { addOrderWrite, commitBatch, commitOrderWrites };
+};
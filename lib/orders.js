@@ -0,0 +1,65 @@
+// Paths, dates and audit entries shared by the app and the command-line tools.
+// Order types live in order_types.js.
+
+// Firestore collection shared by the whole team for one app id.
+export const getCollectionPath = (appId, name) => `artifacts/${appId}/public/data/${name}`;
+
+// Lowercase text without accents, for lenient comparisons.
+export const normalizeText = (value) => String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+
+// Local calendar date as YYYY-MM-DD.
+export const formatDateKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Order fields recorded in the audit history, with their display labels.
+export const AUDITED_FIELDS = {
+  orderNumber: 'Nº de pedido',
+  customerName: 'Cliente',
+  address: 'Dirección',
+  type: 'Tipo',
+  deliveryDate: 'Fecha de entrega',
+  crewId: 'Cuadrilla',
+  status: 'Estado',
+  archived: 'Archivado',
+  deleted: 'En la papelera',
+};
+
+// Where a change came from.
+export const HISTORY_SOURCE_LABELS = {
+  manual: 'Edición manual',
+  import: 'Importación',
+  confirm: 'Confirmación de entrega',
+  status: 'Cambio de estado',
+  reschedule: 'Cambio de fecha',
+  assign: 'Asignación de cuadrilla',
+  route: 'Optimización de ruta',
+  archive: 'Archivado',
+  restore: 'Restauración',
+  delete: 'Enviado a la papelera',
+  undelete: 'Recuperado de la papelera',
+  purge: 'Eliminación definitiva',
+  migration: 'Migración de datos',
+};
+
+// Build the audit entry for an order write, or null when no audited field changes.
+// `before` is null for new orders and `after` is null for deletions.
+export const createHistoryEntry = ({ orderId, before, after, source, file = null, userId }) => {
+  const changes = {};
+  Object.keys(AUDITED_FIELDS).forEach(field => {
+    const oldValue = before ? before[field] ?? null : null;
+    const newValue = after ? (field in after ? after[field] ?? null : oldValue) : null;
+    if (oldValue !== newValue) {
+      changes[field] = { before: oldValue, after: newValue };
+    }
+  });
+  if (Object.keys(changes).length === 0) return null;
+
+  return {
+    orderId,
+    orderNumber: (after && after.orderNumber) || (before && before.orderNumber) || null,
+    userId: userId || null,
+    timestamp: new Date().toISOString(),
+    source,
+    file,
+    changes,
+  };
+};
@@ -0,0 +1,20 @@
+import { assertEquals } from '@std/assert';
+import { createHistoryEntry, formatDateKey } from './orders.js';
+
+Deno.test('formatDateKey uses the local calendar day', () => {
+  assertEquals(formatDateKey(new Date(2026, 0, 5, 23, 59)), '2026-01-05');
+});
+
+Deno.test('createHistoryEntry records only the audited fields that change', () => {
+  const before = { orderNumber: '1', customerName: 'Ana', type: 'parcial', color: 'bg-lime-400' };
+  const entry = createHistoryEntry({ orderId: 'o1', before, after: { type: 'recogida', color: 'bg-red-500' }, source: 'import', file: 'f.csv', userId: 'u1' });
+
+  assertEquals(entry.changes, { type: { before: 'parcial', after: 'recogida' } });
+  assertEquals([entry.orderId, entry.orderNumber, entry.userId, entry.source, entry.file], ['o1', '1', 'u1', 'import', 'f.csv']);
+  assertEquals(createHistoryEntry({ orderId: 'o1', before, after: { color: 'bg-red-500' }, source: 'manual', userId: 'u1' }), null);
+});
+
+Deno.test('createHistoryEntry clears every field of a purged order', () => {
+  const entry = createHistoryEntry({ orderId: 'o1', before: { orderNumber: '1', deleted: true }, after: null, source: 'purge', userId: 'u1' });
+  assertEquals(entry.changes, { orderNumber: { before: '1', after: null }, deleted: { before: true, after: null } });
+});
@@ -0,0 +1,112 @@
+// Delivery routes: the day's stops ordered from the depot with a local heuristic
+// (nearest neighbour improved with 2-opt), without any external routing service.
+// Points are { lat, lng } in decimal degrees; distances are straight-line kilometres.
+import { groupOrdersByCrew } from './crews.js';
+
+const EARTH_RADIUS_KM = 6371;
+
+export const hasCoordinates = (point) => Boolean(point)
+  && Number.isFinite(point.lat) && Number.isFinite(point.lng)
+  && Math.abs(point.lat) <= 90 && Math.abs(point.lng) <= 180;
+
+// "40.4168, -3.7038" (or separated by a semicolon or spaces) as { lat, lng }, or null.
+export const parseCoordinates = (value) => {
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*[,; ]\s*(-?\d+(?:\.\d+)?)\s*$/.exec(String(value || ''));
+  if (!match) return null;
+  const point = { lat: Number(match[1]), lng: Number(match[2]) };
+  return hasCoordinates(point) ? point : null;
+};
+
+export const formatCoordinates = (point) => (hasCoordinates(point) ? `${point.lat}, ${point.lng}` : '');
+
+// Great-circle distance between two points.
+export const getDistanceKm = (a, b) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// Length of the round trip depot → stops in order → depot.
+export const getRouteDistanceKm = (depot, stops) => {
+  const points = [depot, ...stops, depot];
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += getDistanceKm(points[i - 1], points[i]);
+  }
+  return total;
+};
+
+// Reverse the stretch i..j of the tour while that shortens it, until no swap helps.
+const improveWithTwoOpt = (depot, tour) => {
+  const route = [...tour];
+  const point = (index) => (index < 0 || index >= route.length ? depot : route[index]);
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < route.length - 1; i++) {
+      for (let j = i + 1; j < route.length; j++) {
+        const before = getDistanceKm(point(i - 1), point(i)) + getDistanceKm(point(j), point(j + 1));
+        const after = getDistanceKm(point(i - 1), point(j)) + getDistanceKm(point(i), point(j + 1));
+        if (after < before - 1e-9) {
+          route.splice(i, j - i + 1, ...route.slice(i, j + 1).reverse());
+          improved = true;
+        }
+      }
+    }
+  }
+  return route;
+};
+
+// Order the stops of one vehicle. Orders without coordinates cannot be placed and are
+// returned apart. Returns { stops, unlocated, distanceKm }.
+export const optimizeRoute = (depot, orders) => {
+  const located = orders.filter(hasCoordinates);
+  const unlocated = orders.filter(order => !hasCoordinates(order));
+  if (!hasCoordinates(depot)) {
+    return { stops: [], unlocated: orders, distanceKm: null };
+  }
+
+  const remaining = [...located];
+  const tour = [];
+  let current = depot;
+  while (remaining.length > 0) {
+    let nearest = 0;
+    remaining.forEach((order, index) => {
+      if (getDistanceKm(current, order) < getDistanceKm(current, remaining[nearest])) {
+        nearest = index;
+      }
+    });
+    current = remaining.splice(nearest, 1)[0];
+    tour.push(current);
+  }
+
+  const stops = improveWithTwoOpt(depot, tour);
+  return { stops, unlocated, distanceKm: getRouteDistanceKm(depot, stops) };
+};
+
+// Orders with a saved stop (`routeStop`) first, in stop order, then the rest as given.
+export const sortByRouteStop = (orders) => {
+  const hasStop = (order) => Number.isInteger(order.routeStop);
+  return [
+    ...orders.filter(hasStop).sort((a, b) => a.routeStop - b.routeStop),
+    ...orders.filter(order => !hasStop(order)),
+  ];
+};
+
+// Saved routes of a day, one per crew with routed orders: [{ crew, stops, distanceKm }].
+// `crew` is null when no crews are set up.
+export const getDayRoutes = (orders, crews, depot) => groupOrdersByCrew(orders, crews)
+  .map(({ crew, orders: crewOrders }) => {
+    const stops = sortByRouteStop(crewOrders.filter(order => Number.isInteger(order.routeStop)));
+    const located = stops.filter(hasCoordinates);
+    return {
+      crew: crews.length > 0 ? crew : null,
+      stops,
+      distanceKm: hasCoordinates(depot) && located.length > 0 ? getRouteDistanceKm(depot, located) : null,
+    };
+  })
+  .filter(route => route.stops.length > 0);
+
+export const formatDistanceKm = (distanceKm) => `${distanceKm.toLocaleString('es-ES', { maximumFractionDigits: 1 })} km`;
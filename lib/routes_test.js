@@ -0,0 +1,65 @@
+import { assert, assertEquals } from '@std/assert';
+import { getDayRoutes, getDistanceKm, getRouteDistanceKm, optimizeRoute, parseCoordinates, sortByRouteStop } from './routes.js';
+
+const DEPOT = { lat: 40, lng: -3 };
+// Stops along a line east of the depot, listed out of order.
+const stop = (id, lng, fields = {}) => ({ id, orderNumber: id, customerName: id, lat: 40, lng, ...fields });
+
+Deno.test('parseCoordinates reads latitude and longitude pairs', () => {
+  assertEquals(parseCoordinates('40.4168, -3.7038'), { lat: 40.4168, lng: -3.7038 });
+  assertEquals(parseCoordinates('40.4168;-3.7038'), { lat: 40.4168, lng: -3.7038 });
+  assertEquals(parseCoordinates('40.4168 -3.7038'), { lat: 40.4168, lng: -3.7038 });
+  assertEquals(parseCoordinates('95, 10'), null);
+  assertEquals(parseCoordinates('Calle Mayor'), null);
+});
+
+Deno.test('getDistanceKm measures great-circle distances', () => {
+  // Madrid to Barcelona is about 505 km in a straight line.
+  const distance = getDistanceKm({ lat: 40.4168, lng: -3.7038 }, { lat: 41.3874, lng: 2.1686 });
+  assert(distance > 500 && distance < 510, String(distance));
+  assertEquals(getDistanceKm(DEPOT, DEPOT), 0);
+});
+
+Deno.test('optimizeRoute visits the stops without crossing back and leaves out orders without coordinates', () => {
+  const orders = [stop('c', -2.7), stop('a', -2.9), { id: 'x', orderNumber: 'x' }, stop('b', -2.8)];
+  const { stops, unlocated, distanceKm } = optimizeRoute(DEPOT, orders);
+  const ids = stops.map(order => order.id).join('');
+  assert(ids === 'abc' || ids === 'cba', ids);
+  assertEquals(unlocated.map(order => order.id), ['x']);
+  assertEquals(distanceKm, getRouteDistanceKm(DEPOT, stops));
+  assertEquals(optimizeRoute(null, orders).stops, []);
+});
+
+Deno.test('optimizeRoute improves a nearest-neighbour tour with 2-opt', () => {
+  // The corners of a square and its centre, where greedy choices leave crossing legs.
+  const corners = [
+    { id: 'a', lat: 40, lng: -2.99 },
+    { id: 'b', lat: 40, lng: -2.9 },
+    { id: 'c', lat: 40.1, lng: -2.9 },
+    { id: 'd', lat: 40.1, lng: -3 },
+    { id: 'e', lat: 40.05, lng: -2.95 },
+  ];
+  const { stops, distanceKm } = optimizeRoute(DEPOT, corners);
+  assertEquals(stops.length, corners.length);
+  const inGivenOrder = getRouteDistanceKm(DEPOT, corners);
+  assert(distanceKm <= inGivenOrder, `${distanceKm} > ${inGivenOrder}`);
+  // No two legs of the result cross: reversing any stretch never shortens it.
+  for (let i = 0; i < stops.length; i++) {
+    for (let j = i + 1; j < stops.length; j++) {
+      const swapped = [...stops.slice(0, i), ...stops.slice(i, j + 1).reverse(), ...stops.slice(j + 1)];
+      assert(getRouteDistanceKm(DEPOT, swapped) >= distanceKm - 1e-9);
+    }
+  }
+});
+
+Deno.test('getDayRoutes lists the saved stops of each crew in order', () => {
+  const orders = [stop('b', -2.8, { routeStop: 2, crewId: 'n' }), stop('a', -2.9, { routeStop: 1, crewId: 'n' }), stop('z', -2.5)];
+  assertEquals(sortByRouteStop(orders).map(order => order.id), ['a', 'b', 'z']);
+
+  const routes = getDayRoutes(orders, [{ id: 'n', name: 'Norte' }], DEPOT);
+  assertEquals(routes.length, 1);
+  assertEquals(routes[0].crew.name, 'Norte');
+  assertEquals(routes[0].stops.map(order => order.id), ['a', 'b']);
+  assertEquals(routes[0].distanceKm, getRouteDistanceKm(DEPOT, routes[0].stops));
+  assertEquals(getDayRoutes(orders, [], null)[0], { crew: null, stops: routes[0].stops, distanceKm: null });
+});
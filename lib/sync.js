@@ -0,0 +1,85 @@
+// Writes made without a connection. Firestore keeps them in its local cache and sends them
+// when the connection returns, but a commit only resolves once the server accepts it; the
+// tracker lets the app carry on as soon as a write is queued and reports the queued writes
+// that turn out to conflict when they reach the server.
+import { AUDITED_FIELDS } from './orders.js';
+
+// How long a commit may wait for the server before the write counts as queued.
+export const QUEUE_AFTER_MS = 3000;
+
+// Audited fields that a queued order write and another user's later change both touched.
+// `write` is { orderRef, before, after } and `entries` the order's audit history.
+export const findOverwrittenFields = (write, entries, { since, userId }) => {
+  if (!write.after) return [];
+  const fields = new Set();
+  entries
+    .filter(entry => entry.userId !== userId && entry.timestamp >= since)
+    .forEach(entry => Object.keys(entry.changes || {}).forEach(field => {
+      if (field in write.after && field in AUDITED_FIELDS) fields.add(field);
+    }));
+  return [...fields];
+};
+
+// Why the server turned a queued write down, in Spanish.
+export const describeSyncError = (error) => {
+  if (error && error.code === 'permission-denied') return 'No tienes permiso para este cambio.';
+  if (error && error.code === 'not-found') return 'El pedido ya no existe.';
+  return 'El servidor rechazó el cambio.';
+};
+
+// Track commits made through `commit(batch, writes)`. It resolves with 'synced' when the server
+// accepts the batch in time, or with 'queued' when offline or after `queueAfterMs`; a queued batch
+// that later fails, or that `findConflicts(entry)` flags, adds conflicts ({ id, writes, reason }).
+// `onChange({ pending, conflicts })` runs whenever either list changes.
+export const createSyncTracker = ({ isOnline, onChange, findConflicts = null, queueAfterMs = QUEUE_AFTER_MS }) => {
+  let pending = [];
+  let conflicts = [];
+  let nextId = 1;
+  const emit = () => onChange({ pending, conflicts });
+
+  const commit = (batch, writes = []) => new Promise((resolve, reject) => {
+    const entry = { id: nextId++, writes, queuedAt: new Date().toISOString() };
+    let queued = false;
+    let timer = null;
+    const queue = () => {
+      queued = true;
+      pending = [...pending, entry];
+      emit();
+      resolve('queued');
+    };
+
+    batch.commit().then(async () => {
+      clearTimeout(timer);
+      if (!queued) {
+        resolve('synced');
+        return;
+      }
+      pending = pending.filter(item => item !== entry);
+      const found = findConflicts ? await findConflicts(entry) : [];
+      conflicts = [...conflicts, ...found];
+      emit();
+    }, (error) => {
+      clearTimeout(timer);
+      if (!queued) {
+        reject(error);
+        return;
+      }
+      pending = pending.filter(item => item !== entry);
+      conflicts = [...conflicts, { id: `${entry.id}-rechazo`, writes, reason: describeSyncError(error) }];
+      emit();
+    });
+
+    if (isOnline()) {
+      timer = setTimeout(queue, queueAfterMs);
+    } else {
+      queue();
+    }
+  });
+
+  const dismissConflicts = () => {
+    conflicts = [];
+    emit();
+  };
+
+  return { commit, dismissConflicts };
+};
@@ -0,0 +1,68 @@
+import { assertEquals, assertRejects } from '@std/assert';
+import { createSyncTracker, findOverwrittenFields } from './sync.js';
+
+// Batch whose commit settles when the test says so.
+const createBatch = () => {
+  const batch = {};
+  batch.commit = () => new Promise((resolve, reject) => Object.assign(batch, { accept: resolve, refuse: reject }));
+  return batch;
+};
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+Deno.test('createSyncTracker waits for the server while online', async () => {
+  const changes = [];
+  const tracker = createSyncTracker({ isOnline: () => true, onChange: (state) => changes.push(state) });
+  const batch = createBatch();
+  const result = tracker.commit(batch);
+  batch.accept();
+  assertEquals(await result, 'synced');
+
+  const failing = createBatch();
+  const failed = tracker.commit(failing);
+  failing.refuse(new Error('denied'));
+  await assertRejects(() => failed, Error, 'denied');
+  assertEquals(changes, []);
+});
+
+Deno.test('createSyncTracker queues offline writes and reports those the server rejects', async () => {
+  let state = null;
+  const tracker = createSyncTracker({ isOnline: () => false, onChange: (next) => { state = next; } });
+  const writes = [{ after: { deliveryDate: 'x' } }];
+  const first = createBatch();
+  const second = createBatch();
+  assertEquals(await tracker.commit(first, writes), 'queued');
+  assertEquals(await tracker.commit(second, writes), 'queued');
+  assertEquals(state.pending.length, 2);
+
+  first.accept();
+  second.refuse({ code: 'not-found' });
+  await tick();
+  assertEquals(state.pending, []);
+  assertEquals(state.conflicts.map(conflict => conflict.reason), ['El pedido ya no existe.']);
+
+  tracker.dismissConflicts();
+  assertEquals(state.conflicts, []);
+});
+
+Deno.test('createSyncTracker queues writes the server takes too long to accept', async () => {
+  let state = null;
+  const findConflicts = (entry) => Promise.resolve([{ id: 'c', writes: entry.writes, reason: 'cambiado' }]);
+  const tracker = createSyncTracker({ isOnline: () => true, onChange: (next) => { state = next; }, findConflicts, queueAfterMs: 5 });
+  const batch = createBatch();
+  assertEquals(await tracker.commit(batch, []), 'queued');
+  batch.accept();
+  await tick();
+  assertEquals(state.conflicts.map(conflict => conflict.reason), ['cambiado']);
+});
+
+Deno.test('findOverwrittenFields lists fields another user changed since the write was queued', () => {
+  const write = { before: { type: 'parcial' }, after: { deliveryDate: 'b', routeStop: null } };
+  const entries = [
+    { userId: 'otro', timestamp: '2026-03-05T10:00:00.000Z', changes: { deliveryDate: {}, customerName: {} } },
+    { userId: 'yo', timestamp: '2026-03-05T10:00:00.000Z', changes: { deliveryDate: {} } },
+    { userId: 'otro', timestamp: '2026-03-01T10:00:00.000Z', changes: { deliveryDate: {} } },
+  ];
+  assertEquals(findOverwrittenFields(write, entries, { since: '2026-03-05T09:00:00.000Z', userId: 'yo' }), ['deliveryDate']);
+  assertEquals(findOverwrittenFields({ after: null }, entries, { since: '', userId: 'yo' }), []);
+});
@@ -0,0 +1,61 @@
+// Workspaces: depots or branches sharing one app id, each with its own orders, settings,
+// crews, customers and members. The default workspace keeps the original collections so
+// existing data stays where it is; the others nest theirs under workspaces/{workspaceId}.
+import { getCollectionPath, normalizeText } from './orders.js';
+import { getDeliveryDate } from './delivery_dates.js';
+import { getOrderStatus } from './order_status.js';
+
+export const DEFAULT_WORKSPACE_ID = 'principal';
+export const DEFAULT_WORKSPACE_NAME = 'Principal';
+
+export const isDefaultWorkspace = (workspaceId) => !workspaceId || workspaceId === DEFAULT_WORKSPACE_ID;
+
+// Firestore collection `name` of a workspace.
+export const getWorkspaceCollectionPath = (appId, workspaceId, name) => (isDefaultWorkspace(workspaceId)
+  ? getCollectionPath(appId, name)
+  : `${getCollectionPath(appId, 'workspaces')}/${workspaceId}/${name}`);
+
+// Every collection (and the settings document) of a workspace.
+export const getWorkspacePaths = (appId, workspaceId) => {
+  const path = (name) => getWorkspaceCollectionPath(appId, workspaceId, name);
+  return {
+    orders: path('orders'),
+    orderHistory: path('orderHistory'),
+    settings: `${path('settings')}/general`,
+    users: path('users'),
+    crews: path('crews'),
+    customers: path('customers'),
+    digestLog: path('digestLog'),
+  };
+};
+
+// The default workspace, which has no document of its own, followed by the others by name.
+export const sortWorkspaces = (workspaces) => [
+  { id: DEFAULT_WORKSPACE_ID, name: DEFAULT_WORKSPACE_NAME, ...workspaces.find(w => w.id === DEFAULT_WORKSPACE_ID) },
+  ...workspaces
+    .filter(w => w.id !== DEFAULT_WORKSPACE_ID)
+    .sort((a, b) => String(a.name || '').localeCompare(String(b.name || ''), 'es')),
+];
+
+export const getWorkspaceName = (workspaces, workspaceId) => {
+  const workspace = workspaces.find(w => w.id === workspaceId);
+  return workspace ? workspace.name : DEFAULT_WORKSPACE_NAME;
+};
+
+// Workspace id for a new workspace name: lowercase words without accents joined by dashes.
+export const getWorkspaceId = (name) => normalizeText(name).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// Orders per day and workspace for the overview, as { 'YYYY-MM-DD': { [workspaceId]: 3 } }.
+// `ordersByWorkspace` is { [workspaceId]: orders }; only orders still on the calendar count.
+export const countOrdersByWorkspaceDay = (ordersByWorkspace) => {
+  const counts = {};
+  Object.entries(ordersByWorkspace).forEach(([workspaceId, orders]) => {
+    orders.forEach(order => {
+      const dateKey = getDeliveryDate(order);
+      if (order.deleted || order.archived || !dateKey || getOrderStatus(order) === 'cancelado') return;
+      counts[dateKey] = counts[dateKey] || {};
+      counts[dateKey][workspaceId] = (counts[dateKey][workspaceId] || 0) + 1;
+    });
+  });
+  return counts;
+};
@@ -0,0 +1,29 @@
+import { assertEquals } from '@std/assert';
+import { countOrdersByWorkspaceDay, getWorkspaceId, getWorkspacePaths, sortWorkspaces } from './workspaces.js';
+
+Deno.test('getWorkspacePaths keeps the original collections for the default workspace', () => {
+  assertEquals(getWorkspacePaths('app', 'principal').orders, 'artifacts/app/public/data/orders');
+  assertEquals(getWorkspacePaths('app', 'principal').settings, 'artifacts/app/public/data/settings/general');
+  assertEquals(getWorkspacePaths('app', 'norte').orders, 'artifacts/app/public/data/workspaces/norte/orders');
+  assertEquals(getWorkspacePaths('app', 'norte').users, 'artifacts/app/public/data/workspaces/norte/users');
+});
+
+Deno.test('sortWorkspaces puts the default workspace first', () => {
+  const sorted = sortWorkspaces([{ id: 'sur', name: 'Sur' }, { id: 'norte', name: 'Norte' }]);
+  assertEquals(sorted.map(w => w.name), ['Principal', 'Norte', 'Sur']);
+  assertEquals(sortWorkspaces([{ id: 'principal', name: 'Madrid' }]).map(w => w.name), ['Madrid']);
+});
+
+Deno.test('getWorkspaceId builds a path-safe id from the name', () => {
+  assertEquals(getWorkspaceId(' Almacén Málaga (Sur) '), 'almacen-malaga-sur');
+  assertEquals(getWorkspaceId('¿?'), '');
+});
+
+Deno.test('countOrdersByWorkspaceDay counts calendar orders per day and workspace', () => {
+  const day = (d) => `2026-03-0${d}`;
+  const counts = countOrdersByWorkspaceDay({
+    principal: [{ deliveryDate: day(5) }, { deliveryDate: day(5) }, { deliveryDate: day(5), deleted: true }],
+    norte: [{ deliveryDate: day(5) }, { deliveryDate: day(6), status: 'cancelado' }, { deliveryDate: day(6), archived: true }, { deliveryDate: null }],
+  });
+  assertEquals(counts, { '2026-03-05': { principal: 2, norte: 1 } });
+});
@@ -0,0 +1,52 @@
+// Service worker that keeps the app shell available offline. Data is not cached here:
+// Firestore keeps its own local cache and queues writes until the connection returns.
+const CACHE_NAME = 'pedidos-shell-v1';
+const SHELL_FILES = ['./', './manifest.webmanifest', './icon.svg'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(SHELL_FILES)).then(() => self.skipWaiting()));
+});
+
+// Drop the shells of earlier versions.
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+// Pages come from the network when possible and from the cache otherwise; scripts, styles and
+// images are served from the cache and refreshed in the background. Other origins (Firebase,
+// fonts) are left alone.
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put('./', copy));
+          }
+          return response;
+        })
+        .catch(() => caches.match('./')),
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.open(CACHE_NAME).then(cache => cache.match(request).then(cached => {
+      const refreshed = fetch(request)
+        .then(response => {
+          if (response.ok) cache.put(request, response.clone());
+          return response;
+        })
+        .catch(() => cached);
+      return cached || refreshed;
+    })),
+  );
+});